@@ -1,7 +1,7 @@
 // FormTrack Background Service Worker
 // Handles storage and message passing
 
-const MAX_SUBMISSIONS = 200;
+importScripts('rules.js', 'schema.js', 'query.js', 'email.js', 'db.js', 'vault.js');
 
 // Global error handlers to prevent unhandled promise rejections
 // These can cause service worker warnings
@@ -20,16 +20,23 @@ self.addEventListener('error', (event) => {
  * Initialize storage if needed
  */
 async function initStorage() {
-  const result = await chrome.storage.local.get(['submissions', 'ignoreList', 'settings']);
+  const result = await chrome.storage.local.get(['ignoreList', 'settings']);
   
-  if (!result.submissions) {
-    await chrome.storage.local.set({ submissions: [] });
-  }
+  await migrateSubmissionsToDatabase();
+  await migrateSubmissionSchema();
+  
+  // Prune expired drafts
+  await loadDrafts();
+
+  // Retention rules are checked on a schedule
+  await ensureRetentionAlarm();
   
   if (!result.ignoreList) {
     await chrome.storage.local.set({ ignoreList: [] });
   }
 
+  await ensureRedactionKey();
+
   if (!result.settings) {
     await chrome.storage.local.set({ 
       settings: {
@@ -37,38 +44,97 @@ async function initStorage() {
       }
     });
   }
+
+  // The digest time depends on the settings and the time zone's current offset
+  await scheduleDigest();
+
+  // Emails left from the last session
+  await deliverOutbox();
 }
 
 /**
- * Send email via Resend API
+ * Create the per-install secret for the "hash" redaction policy (see hashValue in content.js)
+ * It is kept only in extension storage, never in submissions or exports. With the vault set up
+ * it is encrypted like the API keys, since with the secret the hash of a short number can be
+ * reversed by trying every value; a plain one left from before the vault is encrypted once unlocked
  */
-async function sendEmailViaResend(apiKey, emailData) {
-  try {
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: emailData.from || 'onboarding@resend.dev',
-        to: emailData.to,
-        subject: emailData.subject,
-        html: emailData.html || emailData.text
-      })
+async function ensureRedactionKey() {
+  if (await isVaultLocked()) {
+    return;
+  }
+  const { redactionKey } = await chrome.storage.local.get(['redactionKey']);
+  if (!redactionKey) {
+    await chrome.storage.local.set({
+      redactionKey: await encodeRedactionKey(FormTrackVault.toBase64(crypto.getRandomValues(new Uint8Array(32))))
     });
+  } else if (typeof redactionKey === 'string' && (await getVaultHeader())) {
+    await chrome.storage.local.set({ redactionKey: await encodeRedactionKey(redactionKey) });
+  }
+}
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-      throw new Error(errorData.message || `HTTP ${response.status}`);
-    }
+async function encodeRedactionKey(secret) {
+  return (await getVaultHeader())
+    ? FormTrackVault.encryptRedactionKey(await requireVaultKey(), secret)
+    : secret;
+}
 
-    const data = await response.json();
-    return { success: true, data };
-  } catch (error) {
-    console.error('FormTrack: Error sending email', error);
-    return { success: false, error: error.message };
+/**
+ * The redaction secret for content scripts; null while the vault is locked (they mask instead)
+ */
+async function getRedactionKey() {
+  const { redactionKey } = await chrome.storage.local.get(['redactionKey']);
+  if (!redactionKey || typeof redactionKey === 'string') {
+    return redactionKey || null;
   }
+  const session = await getVaultSession();
+  return session ? FormTrackVault.decryptRedactionKey(session.key, redactionKey) : null;
+}
+
+/**
+ * One-time move of the legacy `submissions` array from chrome.storage.local to IndexedDB
+ * The array is only removed after every entry has been written
+ */
+function migrateSubmissionsToDatabase() {
+  return queueStorageWrite(async () => {
+    const result = await chrome.storage.local.get(['submissions']);
+    if (!Array.isArray(result.submissions)) {
+      return;
+    }
+
+    const submissions = result.submissions.map(submission => 
+      submission.id ? submission : { ...submission, id: generateSubmissionId() }
+    );
+
+    if (submissions.length > 0) {
+      await FormTrackDB.putSubmissions(submissions);
+    }
+    await chrome.storage.local.remove('submissions');
+    console.debug(`FormTrack: Migrated ${submissions.length} submissions to IndexedDB`);
+    updateBadge();
+  });
+}
+
+// Records rewritten per transaction when upgrading the stored format
+const SCHEMA_MIGRATION_BATCH_SIZE = 100;
+
+/**
+ * Rewrite submissions stored in an older format (see schema.js) or without a form fingerprint
+ * Reads already upgrade records on the fly; this makes it permanent. Encrypted records can only be
+ * rewritten while the vault is unlocked, so this runs again after every unlock
+ */
+function migrateSubmissionSchema() {
+  return queueStorageWrite(async () => {
+    const ids = await FormTrackDB.getOutdatedSubmissionIds(FormTrackSchema.CURRENT_VERSION);
+    if (ids.length === 0 || await isVaultLocked()) {
+      return;
+    }
+
+    for (let i = 0; i < ids.length; i += SCHEMA_MIGRATION_BATCH_SIZE) {
+      const batch = await Promise.all(ids.slice(i, i + SCHEMA_MIGRATION_BATCH_SIZE).map(id => FormTrackDB.getSubmission(id)));
+      await FormTrackDB.putSubmissions(batch.filter(Boolean));
+    }
+    console.debug(`FormTrack: Upgraded ${ids.length} stored submissions (format v${FormTrackSchema.CURRENT_VERSION})`);
+  });
 }
 
 /**
@@ -110,7 +176,7 @@ Here is the form submission data:
         prompt += `Form Title: ${submission.title || 'Untitled'}\n`;
         prompt += `Timestamp: ${submission.timestamp || 'Unknown'}\n`;
         prompt += `Source: ${submission.source || 'Unknown'}\n\n`;
-        prompt += `Form Fields and Values:\n${JSON.stringify(submission.fields, null, 2)}\n\n`;
+        prompt += `Form Fields and Values:\n${JSON.stringify(FormTrackSchema.getLabelledValues(submission), null, 2)}\n\n`;
         prompt += `Please provide a concise summary (2-3 sentences) of this submission highlighting key information.`;
       } else {
         // Multiple submissions - form analysis
@@ -121,7 +187,7 @@ Here is the form submission data:
         
         submissions.forEach((sub, index) => {
           prompt += `Submission ${index + 1} (${sub.timestamp || 'Unknown time'}):\n`;
-          prompt += `Fields: ${JSON.stringify(sub.fields, null, 2)}\n\n`;
+          prompt += `Fields: ${JSON.stringify(FormTrackSchema.getLabelledValues(sub), null, 2)}\n\n`;
         });
         
         prompt += `Please provide:\n1. A summary of what type of form this is and its purpose\n2. Key patterns and trends across all submissions\n3. Notable insights or findings\n4. Any recommendations or observations`;
@@ -174,36 +240,77 @@ Here is the form submission data:
 }
 
 /**
- * Send email notification for form submission
+ * Escape page-controlled text for the email HTML
  */
-async function sendSubmissionEmail(submission) {
-  try {
-    const result = await chrome.storage.local.get(['settings']);
-    const settings = result.settings || {};
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-    // Check if API key and email are configured - if so, auto-send
-    if (!settings.resendApiKey || !settings.emailTo) {
-      console.debug('FormTrack: Email not configured');
-      return { success: false, error: 'Email not configured', skipped: true };
-    }
+/**
+ * Notification email for a single submission: { subject, html }
+ */
+function buildSubmissionEmail(submission) {
+  const fieldsHtml = getFieldsEmailHtml(submission);
 
-    // Auto-send if email notifications are enabled
-    // Once API key and email are configured, it will automatically send emails
-    if (settings.emailEnabled === false) {
-      return { success: false, skipped: true };
-    }
+  const html = buildEmailHtml('📋 Form Submission Notification', `
+            <p>A new form submission has been captured by FormTrack.</p>
+            <h3>Submission Details</h3>
+            <table>
+              <tr><td><strong>URL:</strong></td><td>${escapeHtml(submission.url)}</td></tr>
+              <tr><td><strong>Title:</strong></td><td>${escapeHtml(submission.title || 'Untitled')}</td></tr>
+              <tr><td><strong>Timestamp:</strong></td><td>${escapeHtml(new Date(submission.timestamp).toLocaleString())}</td></tr>
+              ${submission.source ? `<tr><td><strong>Source:</strong></td><td>${escapeHtml(submission.source)}</td></tr>` : ''}
+              ${submission.tags?.length ? `<tr><td><strong>Tags:</strong></td><td>${escapeHtml(submission.tags.join(', '))}</td></tr>` : ''}
+              ${submission.notes ? `<tr><td><strong>Notes:</strong></td><td>${escapeHtml(submission.notes)}</td></tr>` : ''}
+            </table>
+            <h3>Form Fields</h3>
+            <table>
+              ${fieldsHtml || '<tr><td colspan="2">No fields captured</td></tr>'}
+            </table>`);
 
-    // Auto-send by default - no additional toggle needed
+  return {
+    subject: `Form Submission: ${submission.title || 'New Submission'}`,
+    html
+  };
+}
 
-    // Format submission data for email
-    const fieldsHtml = Object.entries(submission.fields || {})
-      .map(([key, value]) => {
-        const displayValue = Array.isArray(value) ? value.join(', ') : value;
-        return `<tr><td><strong>${key}:</strong></td><td>${displayValue}</td></tr>`;
-      })
-      .join('');
+/**
+ * Table rows of a submission's fields for an email
+ */
+function getFieldsEmailHtml(submission) {
+  return FormTrackSchema.getFields(submission)
+    .map(field => {
+      const { value } = field;
+      let displayValue = value;
+      if (Array.isArray(value)) {
+        displayValue = value.join(', ');
+      } else if (value === null) {
+        displayValue = '';
+      } else if (typeof value === 'object') {
+        displayValue = JSON.stringify(value);
+      }
+
+      const required = field.required ? ' *' : '';
+      const nameHtml = field.label
+        ? `<strong>${escapeHtml(field.label)}${required}:</strong> <small>(${escapeHtml(field.name)})</small>`
+        : `<strong>${escapeHtml(field.name)}${required}:</strong>`;
+      const redactedNote = field.redacted ? ' <em>(redacted)</em>' : '';
+      const optionsHtml = field.options ? `<br><small>Options: ${escapeHtml(field.options.join(' · '))}</small>` : '';
+      return `<tr><td>${nameHtml}</td><td>${escapeHtml(displayValue)}${redactedNote}${optionsHtml}</td></tr>`;
+    })
+    .join('');
+}
 
-    const emailHtml = `
+/**
+ * Wrap email content in the FormTrack email layout
+ */
+function buildEmailHtml(heading, contentHtml) {
+  return `
       <!DOCTYPE html>
       <html>
       <head>
@@ -220,21 +327,10 @@ async function sendSubmissionEmail(submission) {
       <body>
         <div class="container">
           <div class="header">
-            <h2>📋 Form Submission Notification</h2>
+            <h2>${heading}</h2>
           </div>
           <div class="content">
-            <p>A new form submission has been captured by FormTrack.</p>
-            <h3>Submission Details</h3>
-            <table>
-              <tr><td><strong>URL:</strong></td><td>${submission.url}</td></tr>
-              <tr><td><strong>Title:</strong></td><td>${submission.title || 'Untitled'}</td></tr>
-              <tr><td><strong>Timestamp:</strong></td><td>${new Date(submission.timestamp).toLocaleString()}</td></tr>
-              ${submission.source ? `<tr><td><strong>Source:</strong></td><td>${submission.source}</td></tr>` : ''}
-            </table>
-            <h3>Form Fields</h3>
-            <table>
-              ${fieldsHtml || '<tr><td colspan="2">No fields captured</td></tr>'}
-            </table>
+            ${contentHtml}
             <div class="footer">
               <p>This email was sent automatically by FormTrack Chrome Extension.</p>
               <p>You can view all submissions in the extension popup.</p>
@@ -244,219 +340,2415 @@ async function sendSubmissionEmail(submission) {
       </body>
       </html>
     `;
+}
 
-    const emailResult = await sendEmailViaResend(settings.resendApiKey, {
-      to: settings.emailTo,
-      from: settings.emailFrom || 'onboarding@resend.dev',
-      subject: `Form Submission: ${submission.title || 'New Submission'}`,
-      html: emailHtml
-    });
+/**
+ * Email digests
+ * In daily/weekly delivery, new submissions are queued by ID under `digestQueue` and moved to
+ * the outbox as one email grouped by site when the `email-digest` alarm fires. Only IDs are
+ * queued, so nothing leaves the vault early; entries deleted in the meantime are skipped
+ */
+const DIGEST_ALARM = 'email-digest';
+const DEFAULT_DIGEST_HOUR = 8;
+const DEFAULT_DIGEST_WEEKDAY = 1; // Monday
+const MAX_DIGEST_QUEUE = 1000;
 
-    return emailResult;
-  } catch (error) {
-    console.error('FormTrack: Error sending submission email', error);
-    return { success: false, error: error.message };
-  }
+function isDigestDelivery(settings) {
+  return settings.emailDelivery === 'daily' || settings.emailDelivery === 'weekly';
 }
 
 /**
- * Save form submission to storage
+ * The configured time zone, or the browser's when it is unset or unknown
  */
-async function saveSubmission(submission) {
-  try {
-    const result = await chrome.storage.local.get(['submissions']);
-    let submissions = result.submissions || [];
-    
-    // Add new submission at the beginning (latest first)
-    submissions.unshift(submission);
-    
-    // Keep only the most recent MAX_SUBMISSIONS
-    if (submissions.length > MAX_SUBMISSIONS) {
-      submissions = submissions.slice(0, MAX_SUBMISSIONS);
+function resolveTimeZone(timeZone) {
+  if (timeZone) {
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch {
+      console.debug(`FormTrack: Unknown time zone ${timeZone}, using the browser's`);
     }
-    
-    // Save back to storage
-    await chrome.storage.local.set({ submissions });
-    
-    // Update badge with count (with error handling)
-    chrome.action.setBadgeText({ 
-      text: submissions.length > 0 ? submissions.length.toString() : '' 
-    }).catch(err => {
-      // Silently ignore badge update errors (common when service worker is terminating)
-      console.debug('FormTrack: Error updating badge', err);
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('FormTrack: Error saving submission', error);
-    return false;
   }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
 }
 
 /**
- * Helper function to safely send response
- * Prevents errors when message channel is already closed
+ * Wall-clock date and time of a moment in a time zone
  */
-function safeSendResponse(sendResponse, data) {
-  try {
-    // Check if there's a runtime error (channel might be closed)
-    if (chrome.runtime.lastError) {
-      // Channel already closed or error occurred, ignore silently
-      console.debug('FormTrack: Cannot send response, channel closed:', chrome.runtime.lastError.message);
-      return false;
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * The moment a wall-clock hour happens in a time zone
+ * The zone's offset is measured twice so a DST change in between is taken into account.
+ * An hour skipped by a spring-forward change resolves to the first valid time after it
+ */
+function getZonedTime(year, month, day, hour, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  const candidates = [];
+  let time = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time;
+    time = wallClock - offset;
+    candidates.unshift(time);
+  }
+
+  // In the gap neither offset gives the hour back: the one from before the change lands just after it
+  const exact = candidates.find(candidate => {
+    const parts = getZonedParts(new Date(candidate), timeZone);
+    return parts.day === day && parts.hour === hour;
+  });
+  return new Date(exact === undefined ? Math.max(...candidates) : exact);
+}
+
+/**
+ * When the next digest is due: the configured hour, on the configured weekday for weekly digests
+ */
+function getNextDigestTime(settings, now = new Date()) {
+  const timeZone = resolveTimeZone(settings.digestTimeZone);
+  const hour = Number.isInteger(settings.digestHour) ? settings.digestHour : DEFAULT_DIGEST_HOUR;
+  const weekday = Number.isInteger(settings.digestWeekday) ? settings.digestWeekday : DEFAULT_DIGEST_WEEKDAY;
+  const today = getZonedParts(now, timeZone);
+
+  // Today's slot may have passed, so look up to a week and a day ahead
+  for (let days = 0; days <= 7; days++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+    if (settings.emailDelivery === 'weekly' && date.getUTCDay() !== weekday) {
+      continue;
     }
-    // Check if sendResponse is still a valid function
-    if (typeof sendResponse !== 'function') {
-      console.debug('FormTrack: sendResponse is not a function');
-      return false;
+    const due = getZonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, timeZone);
+    if (due > now) {
+      return due;
     }
-    
-    // Attempt to send response
-    // Note: Even if this fails, we've attempted to send, which prevents the error
-    sendResponse(data);
-    return true;
-  } catch (error) {
-    // Response already sent or channel closed - this is normal when
-    // the sender doesn't wait for a response, so we silently ignore it
-    console.debug('FormTrack: Error sending response (this is normal if channel closed):', error.message);
-    return false;
   }
+  return null;
 }
 
 /**
- * Check if sendResponse callback is still valid
+ * Set the digest alarm from the settings; switching back to instant delivery sends what is queued
+ * The alarm is kept when it is already due at the next slot, or overdue: one missed while the
+ * browser was closed fires on startup, and replacing it would skip that digest
  */
-function isResponseCallbackValid(sendResponse) {
-  try {
-    return typeof sendResponse === 'function' && !chrome.runtime.lastError;
-  } catch {
-    return false;
+async function scheduleDigest() {
+  const settings = await readSettings();
+  if (!isDigestDelivery(settings)) {
+    await chrome.alarms.clear(DIGEST_ALARM);
+    const { digestQueue } = await chrome.storage.local.get(['digestQueue']);
+    if (digestQueue && digestQueue.length > 0) {
+      await sendDigest();
+    }
+    return null;
   }
+
+  const due = getNextDigestTime(settings);
+  const alarm = await chrome.alarms.get(DIGEST_ALARM);
+  if (alarm && (alarm.scheduledTime === due.getTime() || alarm.scheduledTime <= Date.now())) {
+    return new Date(alarm.scheduledTime);
+  }
+  await chrome.alarms.create(DIGEST_ALARM, { when: due.getTime() });
+  return due;
 }
 
 /**
- * Handle messages from content scripts and popup
+ * Queue a new submission for the next digest
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'FORM_SUBMISSION') {
-    // Fire-and-forget: content scripts don't wait for responses
-    // Process submission in background without blocking
-    saveSubmission(message.data).then(async (success) => {
-      // Send email notification if enabled (fire-and-forget)
-      if (success) {
-        sendSubmissionEmail(message.data).catch(err => {
-          console.debug('FormTrack: Error sending email notification', err);
-        });
-      }
-    }).catch(error => {
-      console.debug('FormTrack: Error saving submission', error);
-    });
-    
-    // Return false - no response needed, prevents channel closing errors
-    return false;
-  }
-  
-  if (message.type === 'GET_SETTINGS') {
-    chrome.storage.local.get(['settings']).then(result => {
-      // Ensure settings object always exists with defaults
-      const settings = result.settings || {
-        emailEnabled: true
-      };
-      safeSendResponse(sendResponse, { settings });
-    }).catch(error => {
-      console.error('FormTrack: Error getting settings', error);
-      // Return default settings on error
-      safeSendResponse(sendResponse, { 
-        settings: {
-          emailEnabled: true
-        } 
-      });
-    });
-    return true; // Keep channel open for async response
+function queueDigestSubmission(id) {
+  return queueStorageWrite(async () => {
+    const { digestQueue } = await chrome.storage.local.get(['digestQueue']);
+    const queue = (digestQueue || []).filter(queued => queued !== id);
+    queue.push(id);
+    await chrome.storage.local.set({ digestQueue: queue.slice(-MAX_DIGEST_QUEUE) });
+  });
+}
+
+/**
+ * Move the queued submissions into the outbox as one digest and send it
+ * Without email settings (or while the vault hides them) the entries stay queued for the next one
+ */
+async function sendDigest() {
+  const settings = await readSettings();
+  if (!FormTrackEmail.isConfigured(settings)) {
+    return { success: false, error: 'Email not configured', skipped: true };
   }
-  
-  if (message.type === 'SET_SETTINGS') {
-    chrome.storage.local.set({ settings: message.settings }).then(() => {
-      safeSendResponse(sendResponse, { success: true });
-    }).catch(error => {
-      safeSendResponse(sendResponse, { success: false, error: error.message });
+
+  // Taking the queue and adding the outbox item is one write, so a digest is never lost in between
+  const item = await queueStorageWrite(async () => {
+    const { digestQueue, digestLastSentAt, outbox } = await chrome.storage.local.get(['digestQueue', 'digestLastSentAt', 'outbox']);
+    if (!digestQueue || digestQueue.length === 0) {
+      return null;
+    }
+
+    const digest = createOutboxItem('digest', digestQueue, {
+      since: digestLastSentAt || null,
+      period: settings.emailDelivery
     });
-    return true;
-  }
-  
-  if (message.type === 'SEND_EMAIL') {
-    sendEmailViaResend(message.apiKey, message.email).then(result => {
-      // Fire-and-forget: content scripts don't wait for responses
-      // Process email sending in background without blocking
-      console.debug('FormTrack: Email sent successfully', result);
-    }).catch(error => {
-      console.debug('FormTrack: Error sending email', error);
+    await chrome.storage.local.set({
+      outbox: [...(outbox || []), digest],
+      digestQueue: [],
+      digestLastSentAt: digest.createdAt
     });
-    // Return false - no response needed, prevents channel closing errors
-    return false;
+    return digest;
+  });
+
+  if (!item) {
+    return { success: true, sent: 0 };
   }
-  
-  if (message.type === 'GET_SUBMISSIONS') {
-    chrome.storage.local.get(['submissions']).then(result => {
-      safeSendResponse(sendResponse, { submissions: result.submissions || [] });
-    }).catch(error => {
-      safeSendResponse(sendResponse, { submissions: [], error: error.message });
-    });
-    return true;
+
+  await deliverOutbox();
+  const pending = (await getOutbox()).find(queued => queued.id === item.id);
+  if (pending) {
+    return { success: false, error: `${pending.lastError || 'Not sent yet'} - the digest will be retried from the outbox` };
   }
-  
-  if (message.type === 'CLEAR_SUBMISSIONS') {
-    chrome.storage.local.set({ submissions: [] }).then(() => {
-      chrome.action.setBadgeText({ text: '' }).catch(() => {
-        // Silently ignore badge update errors
-      });
-      safeSendResponse(sendResponse, { success: true });
-    }).catch(error => {
-      safeSendResponse(sendResponse, { success: false, error: error.message });
-    });
-    return true;
+  return { success: true, sent: item.submissionIds.length };
+}
+
+/**
+ * Digest email for the given submissions: { subject, html }
+ * What is left over after switching back to instant delivery goes out as a plain digest
+ */
+function buildDigestEmail(submissions, settings, { since, period }) {
+  const timeZone = resolveTimeZone(settings.digestTimeZone);
+  const periodLabel = { daily: 'Daily ', weekly: 'Weekly ' }[period] || '';
+  const { html, siteCount } = buildDigestHtml(submissions, timeZone, since);
+  return {
+    subject: `FormTrack ${periodLabel.toLowerCase()}digest: ${submissions.length} submission${submissions.length !== 1 ? 's' : ''} on ${siteCount} site${siteCount !== 1 ? 's' : ''}`,
+    html: buildEmailHtml(`📋 FormTrack ${periodLabel}Digest`, html)
+  };
+}
+
+/**
+ * Digest email content: sites with the most submissions first, newest entries first within a site
+ */
+function buildDigestHtml(submissions, timeZone, since) {
+  const sites = new Map();
+  submissions.forEach(submission => {
+    let site;
+    try {
+      site = new URL(submission.pageUrl || submission.url).hostname.toLowerCase();
+    } catch {
+      site = submission.url || 'Unknown site';
+    }
+    if (!sites.has(site)) {
+      sites.set(site, []);
+    }
+    sites.get(site).push(submission);
+  });
+
+  const formatTime = timestamp => new Date(timestamp).toLocaleString('en-US', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  const sitesHtml = [...sites.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .map(([site, entries]) => {
+      const entriesHtml = entries
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .map(submission => `
+            <h4>${escapeHtml(submission.title || 'Untitled')} <small>${escapeHtml(formatTime(submission.timestamp))}</small></h4>
+            <p><small>${escapeHtml(submission.url)}</small></p>
+            ${submission.tags?.length ? `<p><strong>Tags:</strong> ${escapeHtml(submission.tags.join(', '))}</p>` : ''}
+            <table>
+              ${getFieldsEmailHtml(submission) || '<tr><td colspan="2">No fields captured</td></tr>'}
+            </table>`)
+        .join('');
+      return `<h3>${escapeHtml(site)} (${entries.length})</h3>${entriesHtml}`;
+    })
+    .join('');
+
+  const sinceText = since ? ` since ${formatTime(since)}` : '';
+  const html = `
+            <p>FormTrack captured ${submissions.length} submission${submissions.length !== 1 ? 's' : ''} on ${sites.size} site${sites.size !== 1 ? 's' : ''}${escapeHtml(sinceText)}. Times are in ${escapeHtml(timeZone)}.</p>
+            ${sitesHtml}`;
+  return { html, siteCount: sites.size };
+}
+
+/**
+ * Email a new submission through the outbox, or queue it for the next digest
+ */
+async function notifySubmission(submission) {
+  const settings = await readSettings();
+
+  // Auto-send once the provider and recipient are configured, unless notifications are off
+  if (!FormTrackEmail.isConfigured(settings)) {
+    console.debug('FormTrack: Email not configured');
+    return;
   }
-  
-  if (message.type === 'GET_IGNORE_LIST') {
-    chrome.storage.local.get(['ignoreList']).then(result => {
-      safeSendResponse(sendResponse, { ignoreList: result.ignoreList || [] });
-    }).catch(error => {
-      safeSendResponse(sendResponse, { ignoreList: [], error: error.message });
-    });
-    return true;
+  if (settings.emailEnabled === false) {
+    return;
   }
-  
-  if (message.type === 'SET_IGNORE_LIST') {
-    chrome.storage.local.set({ ignoreList: message.ignoreList }).then(() => {
-      safeSendResponse(sendResponse, { success: true });
-    }).catch(error => {
-      safeSendResponse(sendResponse, { success: false, error: error.message });
-    });
-    return true;
+
+  if (isDigestDelivery(settings)) {
+    await queueDigestSubmission(submission.id);
+    return;
   }
-  
-  if (message.type === 'GENERATE_SUMMARY') {
-    (async () => {
-      try {
-        const result = await chrome.storage.local.get(['settings']);
-        const settings = result.settings || {};
-        
-        if (!settings.geminiApiKey) {
-          // Always attempt to send response, safeSendResponse will handle if callback is invalid
-          safeSendResponse(sendResponse, { success: false, error: 'Gemini API key not configured. Please add it in settings.' });
-          return;
-        }
-        
-        const summaryResult = await generateSummaryWithGemini(
-          settings.geminiApiKey,
-          message.submissions,
-          message.formUrl || null
-        );
-        
-        // Always attempt to send response, safeSendResponse will handle if callback is invalid
-        safeSendResponse(sendResponse, summaryResult);
-      } catch (error) {
-        console.error('FormTrack: Error in GENERATE_SUMMARY handler', error);
+
+  // The email is rendered from the stored record when it goes out, so it waits until later
+  // captures of the same submit can no longer be merged into it (see saveSubmission)
+  const sendAt = Math.max(new Date(submission.timestamp).getTime() + DUPLICATE_WINDOW_MS, Date.now());
+  await enqueueOutbox('submission', [submission.id], { nextAttemptAt: new Date(sendAt).toISOString() });
+  await scheduleOutbox();
+
+  // The alarm covers a worker that stops first, but alarms fire no sooner than 30 seconds
+  setTimeout(() => {
+    deliverOutbox().catch(error => console.debug('FormTrack: Error delivering outbox', error));
+  }, sendAt - Date.now());
+}
+
+/**
+ * Outbox
+ * Every notification email is stored under `outbox` before it is sent and only removed once
+ * the email provider accepts it, so a failed request - or a service worker stopped mid-send - is retried
+ * by the `outbox` alarm with exponential backoff. After OUTBOX_MAX_ATTEMPTS, or an error that
+ * retrying cannot fix, the item is kept as 'failed' until it is retried or discarded.
+ * Items reference submissions by ID and are rendered when sent, like the digest queue.
+ * Item: { id, kind: 'submission' | 'digest', submissionIds, status: 'pending' | 'failed',
+ *         attempts, createdAt, nextAttemptAt, lastAttemptAt, lastError, since, period }
+ */
+const OUTBOX_ALARM = 'outbox';
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_RETRY_BASE_MS = 60 * 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+
+async function getOutbox() {
+  const { outbox } = await chrome.storage.local.get(['outbox']);
+  return outbox || [];
+}
+
+/**
+ * Wait before retry number `attempts`: 1, 2, 4... minutes, at most an hour
+ */
+function getOutboxRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_RETRY_MAX_MS);
+}
+
+function createOutboxItem(kind, submissionIds, extra = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    submissionIds,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    ...extra
+  };
+}
+
+/**
+ * Replace the outbox with update(items); must not run inside another queueStorageWrite task
+ */
+function updateOutbox(update) {
+  return queueStorageWrite(async () => {
+    const items = update(await getOutbox());
+    if (items.length > 0) {
+      await chrome.storage.local.set({ outbox: items });
+    } else {
+      await chrome.storage.local.remove('outbox');
+    }
+  });
+}
+
+function updateOutboxItem(id, changes) {
+  return updateOutbox(items => items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+}
+
+async function enqueueOutbox(kind, submissionIds, extra) {
+  const item = createOutboxItem(kind, submissionIds, extra);
+  await updateOutbox(items => [...items, item]);
+  return item;
+}
+
+/**
+ * Render an outbox item's email, or null when its submissions have all been deleted
+ */
+async function buildOutboxEmail(item, settings) {
+  const submissions = (await Promise.all(item.submissionIds.map(id => FormTrackDB.getSubmission(id)))).filter(Boolean);
+  if (submissions.length === 0) {
+    return null;
+  }
+  return item.kind === 'digest'
+    ? buildDigestEmail(submissions, settings, item)
+    : buildSubmissionEmail(submissions[0]);
+}
+
+/**
+ * Make one delivery attempt for an outbox item
+ */
+async function deliverOutboxItem(item, settings) {
+  const attempts = item.attempts + 1;
+  const attemptedAt = Date.now();
+
+  // Record the attempt first: if the worker stops mid-send, the alarm retries after the backoff
+  await updateOutboxItem(item.id, {
+    attempts,
+    lastAttemptAt: new Date(attemptedAt).toISOString(),
+    nextAttemptAt: new Date(attemptedAt + getOutboxRetryDelay(attempts)).toISOString()
+  });
+
+  let result;
+  try {
+    if (!FormTrackEmail.isConfigured(settings)) {
+      result = { success: false, error: 'Email not configured', retryable: false };
+    } else {
+      const email = await buildOutboxEmail(item, settings);
+      if (!email) {
+        await updateOutbox(items => items.filter(queued => queued.id !== item.id));
+        return;
+      }
+      result = await FormTrackEmail.sendEmail(settings, {
+        ...email,
+        to: settings.emailTo,
+        idempotencyKey: item.id
+      });
+    }
+  } catch (error) {
+    result = { success: false, error: error.message, retryable: true };
+  }
+
+  if (result.success) {
+    await updateOutbox(items => items.filter(queued => queued.id !== item.id));
+    return;
+  }
+
+  const failed = !result.retryable || attempts >= OUTBOX_MAX_ATTEMPTS;
+  // A Retry-After from the provider wins over the backoff when it is longer
+  const delay = Math.max(getOutboxRetryDelay(attempts), (result.retryAfter || 0) * 1000);
+  await updateOutboxItem(item.id, {
+    status: failed ? 'failed' : 'pending',
+    lastError: result.error,
+    nextAttemptAt: failed ? null : new Date(attemptedAt + delay).toISOString()
+  });
+  console.debug(`FormTrack: Email delivery ${failed ? 'failed' : 'will be retried'} (attempt ${attempts})`, result.error);
+}
+
+// The delivery run in progress, shared by concurrent callers
+let outboxDelivery = null;
+
+/**
+ * Send every outbox item that is due, then set the alarm for the next retry
+ * Runs one at a time; nothing is sent (or counted as an attempt) while the vault is locked
+ */
+function deliverOutbox() {
+  if (!outboxDelivery) {
+    outboxDelivery = runOutboxDelivery().finally(() => {
+      outboxDelivery = null;
+    });
+  }
+  return outboxDelivery;
+}
+
+async function runOutboxDelivery() {
+  if (await isVaultLocked()) {
+    return;
+  }
+
+  const settings = await readSettings();
+  const attempted = new Set();
+  for (;;) {
+    const now = Date.now();
+    const due = (await getOutbox()).find(item => 
+      item.status === 'pending' && !attempted.has(item.id) && new Date(item.nextAttemptAt).getTime() <= now
+    );
+    if (!due) {
+      break;
+    }
+    attempted.add(due.id);
+    await deliverOutboxItem(due, settings);
+  }
+
+  await scheduleOutbox();
+}
+
+async function scheduleOutbox() {
+  const retries = (await getOutbox())
+    .filter(item => item.status === 'pending')
+    .map(item => new Date(item.nextAttemptAt).getTime());
+
+  if (retries.length === 0) {
+    await chrome.alarms.clear(OUTBOX_ALARM);
+    return;
+  }
+  await chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(Math.min(...retries), Date.now()) });
+}
+
+/**
+ * Send outbox items again now with a fresh set of attempts (all failed items when `ids` is empty)
+ */
+async function retryOutboxItems(ids) {
+  const selected = new Set(ids || []);
+  const now = new Date().toISOString();
+  await updateOutbox(items => items.map(item => {
+    const retry = selected.size > 0 ? selected.has(item.id) : item.status === 'failed';
+    return retry ? { ...item, status: 'pending', attempts: 0, nextAttemptAt: now } : item;
+  }));
+  await deliverOutbox();
+}
+
+/**
+ * Outbox items for the popup, with the title of the submission they are about
+ */
+async function listOutbox() {
+  return Promise.all((await getOutbox()).map(async item => {
+    const submission = item.kind === 'submission'
+      ? await FormTrackDB.getSubmission(item.submissionIds[0])
+      : null;
+    return {
+      ...item,
+      title: submission ? submission.title || 'Untitled' : null,
+      url: submission ? submission.url : null
+    };
+  }));
+}
+
+/**
+ * Duplicate capture detection
+ * One real submit can be captured by the submit event, click/mousedown handlers
+ * and the fetch/XHR interceptors within a couple of seconds of each other
+ */
+const DUPLICATE_WINDOW_MS = 10000;
+const DUPLICATE_VALUE_OVERLAP = 0.8;
+const GENERIC_SOURCES = ['submit', 'fetch'];
+
+/**
+ * Page identity used for duplicate detection (origin + path, no query or hash)
+ */
+function getPageKey(submission) {
+  const pageUrl = submission.pageUrl || submission.url || '';
+  try {
+    const urlObj = new URL(pageUrl);
+    return urlObj.origin + urlObj.pathname.replace(/\/+$/, '');
+  } catch {
+    return pageUrl;
+  }
+}
+
+/**
+ * Collect normalized field values
+ * Values are compared rather than keys because different detection paths
+ * key the same answer differently (question text vs. entry IDs)
+ */
+function getFieldValueSet(fields) {
+  const values = new Set();
+  Object.values(fields || {}).forEach(value => {
+    (Array.isArray(value) ? value : [value]).forEach(item => {
+      if (item === null || item === undefined) return;
+      const normalized = (typeof item === 'object' ? JSON.stringify(item) : String(item)).trim().toLowerCase();
+      if (normalized) {
+        values.add(normalized);
+      }
+    });
+  });
+  return values;
+}
+
+/**
+ * Check whether two submissions are captures of the same real submit
+ */
+function isDuplicateSubmission(existing, incoming) {
+  const timeDiff = Math.abs(new Date(incoming.timestamp) - new Date(existing.timestamp));
+  if (!(timeDiff <= DUPLICATE_WINDOW_MS)) {
+    return false;
+  }
+
+  if (getPageKey(existing) !== getPageKey(incoming)) {
+    return false;
+  }
+
+  const existingValues = getFieldValueSet(FormTrackSchema.getFieldValues(existing));
+  const incomingValues = getFieldValueSet(FormTrackSchema.getFieldValues(incoming));
+  const smaller = existingValues.size <= incomingValues.size ? existingValues : incomingValues;
+  const larger = smaller === existingValues ? incomingValues : existingValues;
+
+  if (smaller.size === 0) {
+    return false;
+  }
+
+  let shared = 0;
+  smaller.forEach(value => {
+    if (larger.has(value)) shared++;
+  });
+
+  return shared / smaller.size >= DUPLICATE_VALUE_OVERLAP;
+}
+
+/**
+ * Merge a duplicate capture into the stored submission
+ * Keeps the most complete field set, the earliest timestamp and every detection path
+ */
+function mergeDuplicateSubmission(existing, incoming) {
+  const existingCount = FormTrackSchema.getFields(existing).length;
+  const incomingCount = FormTrackSchema.getFields(incoming).length;
+  const base = incomingCount > existingCount ? { ...existing, ...incoming } : { ...existing };
+
+  // A platform-specific source is more useful than the generic submit/fetch tags
+  if (!existing.source || GENERIC_SOURCES.includes(existing.source)) {
+    base.source = incoming.source || existing.source;
+  } else {
+    base.source = existing.source;
+  }
+
+  // The page URL is more useful to show than a fetch endpoint
+  const pageCapture = [existing, incoming].find(item => item.pageUrl && item.url === item.pageUrl);
+  if (pageCapture) {
+    base.url = pageCapture.url;
+  }
+
+  base.timestamp = new Date(incoming.timestamp) < new Date(existing.timestamp)
+    ? incoming.timestamp
+    : existing.timestamp;
+  base.detectedBy = [...new Set([...(existing.detectedBy || []), ...(incoming.detectedBy || [])])];
+  base.captureCount = (existing.captureCount || 1) + 1;
+
+  return base;
+}
+
+// Writes run one at a time so concurrent captures and edits see each other
+let storageQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write task on submissions after pending ones finish
+ */
+function queueStorageWrite(task) {
+  const run = storageQueue.then(task);
+  storageQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Generate a stable submission ID
+ */
+function generateSubmissionId() {
+  return crypto.randomUUID();
+}
+
+// Badge colours for the submission count and for paused capture
+const BADGE_COLOR = '#667eea';
+const BADGE_PAUSED_COLOR = '#9e9e9e';
+
+/**
+ * Update the toolbar badge with the submission count, or "OFF" while capture is paused
+ */
+async function updateBadge() {
+  try {
+    const { captureMode, captureResume } = await chrome.storage.local.get(['captureMode', 'captureResume']);
+    if (FormTrackRules.normalizeCaptureMode(captureMode) === 'paused') {
+      const until = captureResume
+        ? ` until ${new Date(captureResume.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+        : '';
+      await chrome.action.setBadgeBackgroundColor({ color: BADGE_PAUSED_COLOR });
+      await chrome.action.setBadgeText({ text: 'OFF' });
+      await chrome.action.setTitle({ title: `FormTrack (capture paused${until})` });
+      return;
+    }
+
+    const count = await FormTrackDB.countSubmissions();
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    await chrome.action.setBadgeText({ 
+      text: count > 0 ? count.toString() : '' 
+    });
+    await chrome.action.setTitle({ title: 'FormTrack' });
+  } catch (err) {
+    // Silently ignore badge update errors (common when service worker is terminating)
+    console.debug('FormTrack: Error updating badge', err);
+  }
+}
+
+/**
+ * Save form submission to storage
+ * Resolves to { success, duplicate, id } - duplicates are merged into the earlier entry
+ */
+function saveSubmission(submission) {
+  return queueStorageWrite(() => storeSubmission(submission));
+}
+
+async function storeSubmission(submission) {
+  try {
+    // Only captures inside the duplicate window can be the same submit
+    const windowStart = new Date(new Date(submission.timestamp) - DUPLICATE_WINDOW_MS).toISOString();
+    const recent = await FormTrackDB.getSubmissionsSince(windowStart);
+
+    const duplicate = recent.find(existing => isDuplicateSubmission(existing, submission));
+    if (duplicate) {
+      const merged = mergeDuplicateSubmission(duplicate, submission);
+      merged.id = duplicate.id;
+      await FormTrackDB.putSubmission(merged);
+      return { success: true, duplicate: true, id: merged.id };
+    }
+    
+    const id = generateSubmissionId();
+    await FormTrackDB.putSubmission({ ...submission, id, captureCount: 1 });
+    
+    updateBadge();
+    
+    return { success: true, duplicate: false, id };
+  } catch (error) {
+    console.error('FormTrack: Error saving submission', error);
+    return { success: false, duplicate: false };
+  }
+}
+
+/**
+ * Find the submission made before this one with the same form
+ * Falls back to the same form target (page or action) when the field set changed since
+ * Resolves to { success, previous } - previous is null for the first submission of a form
+ */
+async function getPreviousSubmission(id) {
+  const submission = await FormTrackDB.getSubmission(id);
+  if (!submission) {
+    return { success: false, error: 'Submission not found' };
+  }
+
+  const candidates = [{ domain: submission.domain, target: FormTrackDB.getFormTarget(submission) }];
+  if (submission.formFingerprint) {
+    candidates.unshift({ form: submission.formFingerprint });
+  }
+  for (const filter of candidates) {
+    const { submissions } = await FormTrackDB.querySubmissions({
+      limit: 1,
+      filter: { ...filter, before: submission.timestamp },
+      count: false
+    });
+    if (submissions.length > 0) {
+      return { success: true, previous: submissions[0] };
+    }
+  }
+
+  return { success: true, previous: null };
+}
+
+/**
+ * Full-text search, best match first
+ * Encrypted submissions are kept out of the search index, so with the vault on this scans instead (newest first)
+ */
+async function searchSubmissions({ query, cursor, limit, filter }) {
+  if (await getVaultHeader()) {
+    return FormTrackDB.querySubmissions({ cursor, limit, filter: { ...filter, query } });
+  }
+  return FormTrackDB.searchSubmissions({ query, cursor, limit, filter });
+}
+
+// Periods and list lengths shown on the dashboard
+const ANALYTICS_DAYS = 30;
+const ANALYTICS_WEEKS = 12;
+const ANALYTICS_TOP_COUNT = 10;
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function getLocalDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Count submissions per period for the last `length` periods (oldest first, empty ones included)
+ * `getStart(date)` returns the local midnight a period starts on; periods are `stepDays` long
+ */
+function countPerPeriod(timestampCounts, length, stepDays, getStart) {
+  const periods = new Map();
+  const start = getStart(new Date());
+  for (let i = length - 1; i >= 0; i--) {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() - i * stepDays);
+    periods.set(getLocalDateKey(date), 0);
+  }
+
+  timestampCounts.forEach((count, timestamp) => {
+    const key = getLocalDateKey(getStart(new Date(timestamp)));
+    if (periods.has(key)) {
+      periods.set(key, periods.get(key) + count);
+    }
+  });
+
+  return [...periods].map(([date, count]) => ({ date, count }));
+}
+
+function getDayStart(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Weeks start on Monday
+function getWeekStart(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+function sortCounts(counts, keyName) {
+  return [...counts]
+    .map(([key, count]) => ({ [keyName]: key, count }))
+    .sort((a, b) => b.count - a.count || a[keyName].localeCompare(b[keyName]));
+}
+
+/**
+ * Statistics for the dashboard, computed from the local database:
+ * { total, days, weeks, domains, domainCount, sources, forms, formCount, averageFields }
+ * Counts come from index keys; only each form's latest submission is decoded (for its title and field count)
+ */
+async function getAnalytics() {
+  const [timestamps, domains, sources, forms] = await Promise.all([
+    FormTrackDB.countByIndex('timestamp'),
+    FormTrackDB.countByIndex('domain'),
+    FormTrackDB.countByIndex('source'),
+    FormTrackDB.getForms()
+  ]);
+
+  let total = 0;
+  timestamps.forEach(count => { total += count; });
+  const fieldTotal = forms.reduce((sum, form) => sum + form.fieldCount, 0);
+
+  return {
+    total,
+    days: countPerPeriod(timestamps, ANALYTICS_DAYS, 1, getDayStart),
+    weeks: countPerPeriod(timestamps, ANALYTICS_WEEKS, 7, getWeekStart),
+    domains: sortCounts(domains, 'domain').filter(({ domain }) => domain).slice(0, ANALYTICS_TOP_COUNT),
+    domainCount: [...domains.keys()].filter(Boolean).length,
+    sources: sortCounts(sources, 'source'),
+    forms: [...forms].sort((a, b) => b.count - a.count).slice(0, ANALYTICS_TOP_COUNT),
+    formCount: forms.length,
+    averageFields: forms.length > 0 ? fieldTotal / forms.length : 0
+  };
+}
+
+// Submission properties that can be changed with UPDATE_SUBMISSION
+const EDITABLE_SUBMISSION_FIELDS = ['title', 'fields', 'tags', 'notes'];
+const MAX_NOTES_LENGTH = 5000;
+
+/**
+ * Clean user tags and notes in place; empty ones are removed from the submission
+ */
+function normalizeAnnotations(submission) {
+  if (submission.tags !== undefined) {
+    submission.tags = FormTrackSchema.normalizeTags(submission.tags);
+    if (submission.tags.length === 0) delete submission.tags;
+  }
+  if (submission.notes !== undefined) {
+    submission.notes = typeof submission.notes === 'string' ? submission.notes.trim().slice(0, MAX_NOTES_LENGTH) : '';
+    if (!submission.notes) delete submission.notes;
+  }
+  return submission;
+}
+
+/**
+ * Delete a single submission by ID
+ */
+function deleteSubmission(id) {
+  return queueStorageWrite(async () => {
+    const deleted = await FormTrackDB.deleteSubmission(id);
+    if (!deleted) {
+      return { success: false, error: 'Submission not found' };
+    }
+
+    updateBadge();
+    return { success: true };
+  });
+}
+
+/**
+ * Put back a submission removed with DELETE_SUBMISSION, as the popup kept it for its undo
+ */
+function restoreSubmission(submission) {
+  return queueStorageWrite(async () => {
+    if (!submission || typeof submission.id !== 'string') {
+      return { success: false, error: 'Submission is required' };
+    }
+    if (await FormTrackDB.getSubmission(submission.id)) {
+      return { success: false, error: 'Submission already exists' };
+    }
+
+    const restored = await FormTrackDB.putSubmission(FormTrackSchema.migrateSubmission(submission));
+    updateBadge();
+    return { success: true, submission: restored };
+  });
+}
+
+/**
+ * Pin or unpin a submission; pinned submissions are never removed by the retention rules
+ */
+function setSubmissionPinned(id, pinned) {
+  return queueStorageWrite(async () => {
+    const existing = await FormTrackDB.getSubmission(id);
+    if (!existing) {
+      return { success: false, error: 'Submission not found' };
+    }
+
+    const updated = { ...existing, pinned: true };
+    if (!pinned) {
+      delete updated.pinned;
+    }
+    const submission = await FormTrackDB.putSubmission(updated);
+    return { success: true, submission };
+  });
+}
+
+// Retention rules are enforced by an alarm, and whenever settings are saved
+const RETENTION_ALARM = 'retention';
+const RETENTION_CHECK_MINUTES = 60;
+
+/**
+ * Create the retention alarm unless it exists; re-creating it would restart the hour on every wake
+ */
+async function ensureRetentionAlarm() {
+  if (!(await chrome.alarms.get(RETENTION_ALARM))) {
+    await chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_CHECK_MINUTES });
+  }
+}
+
+/**
+ * Retention rules from the settings: { retentionDays, maxPerDomain } (0 = no limit)
+ */
+function getRetentionRules(settings) {
+  const toLimit = value => Math.max(parseInt(value, 10) || 0, 0);
+  return {
+    retentionDays: toLimit(settings.retentionDays),
+    maxPerDomain: toLimit(settings.maxPerDomain)
+  };
+}
+
+/**
+ * Delete submissions older than the retention period and beyond the per-domain limit
+ * Works on stored records without decoding, so it also runs while the vault is locked
+ * Resolves to the number of submissions deleted
+ */
+async function applyRetention() {
+  const { retentionDays, maxPerDomain } = getRetentionRules(await readSettings());
+  if (!retentionDays && !maxPerDomain) {
+    return 0;
+  }
+
+  const deleted = await queueStorageWrite(async () => {
+    let count = 0;
+    if (retentionDays) {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      count += await FormTrackDB.deleteSubmissionsBefore(cutoff);
+    }
+    if (maxPerDomain) {
+      count += await FormTrackDB.trimSubmissionsPerDomain(maxPerDomain);
+    }
+    return count;
+  });
+
+  if (deleted > 0) {
+    console.debug(`FormTrack: Retention rules removed ${deleted} submissions`);
+    updateBadge();
+  }
+  return deleted;
+}
+
+/**
+ * Delete everything captured on a site (and its subdomains), pinned submissions and drafts included
+ * Accepts a host name or a URL; resolves to { success, host, deleted }
+ */
+async function forgetSite(site) {
+  const host = String(site || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '');
+  const rule = { type: 'domain', pattern: host };
+  if (FormTrackRules.validateRule(rule)) {
+    return { success: false, error: 'Enter a site such as example.com' };
+  }
+
+  const deleted = await queueStorageWrite(async () => {
+    // Captures sealed while the vault was locked would be stored again on the next unlock
+    const { vaultQueue } = await chrome.storage.local.get(['vaultQueue']);
+    if (vaultQueue) {
+      const remaining = vaultQueue.filter(item => item.domain !== host && !(item.domain || '').endsWith(`.${host}`));
+      if (remaining.length < vaultQueue.length) {
+        await chrome.storage.local.set({ vaultQueue: remaining });
+      }
+    }
+    return FormTrackDB.deleteSubmissionsForDomain(host);
+  });
+  // The page key stays readable when the vault encrypts the draft's URL
+  await deleteDrafts(draft => FormTrackRules.matchesRule(rule, draft.pageKey || draft.url));
+
+  console.debug(`FormTrack: Forgot ${host}, ${deleted} submissions deleted`);
+  updateBadge();
+  return { success: true, host, deleted };
+}
+
+/**
+ * Per-site tracking controls
+ * Run from the page context menu and the popup's "This Site" panel. They write the same
+ * ignore/allow lists and capture mode as settings, so content scripts follow at once
+ */
+const SITE_ACTIONS = ['ignore-site', 'track-form', 'pause', 'resume', 'capture-now'];
+const RESUME_CAPTURE_ALARM = 'resume-capture';
+const PAUSE_MINUTES = 60;
+
+/**
+ * Parse a web page URL, or null for browser and extension pages
+ */
+function parseWebUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return /^https?:$/.test(urlObj.protocol) ? urlObj : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add rules to a stored rule list ('ignoreList' or 'allowList'), skipping those already there
+ */
+function addStoredRules(key, newRules) {
+  return queueStorageWrite(async () => {
+    const result = await chrome.storage.local.get([key]);
+    const rules = FormTrackRules.normalizeRules(result[key]);
+    const added = newRules.filter(rule => !rules.some(existing => existing.type === rule.type && existing.pattern === rule.pattern));
+    if (added.length > 0) {
+      await chrome.storage.local.set({ [key]: [...rules, ...added] });
+    }
+    return rules;
+  });
+}
+
+/**
+ * Change the capture mode, cancelling any timed pause
+ */
+async function setCaptureMode(captureMode) {
+  await chrome.alarms.clear(RESUME_CAPTURE_ALARM);
+  await chrome.storage.local.remove('captureResume');
+  // The badge follows through the storage change listener
+  await chrome.storage.local.set({ captureMode });
+}
+
+/**
+ * Ignore the page's whole site (a leading www. is dropped so every subdomain is covered)
+ */
+async function ignoreSite(url) {
+  const urlObj = parseWebUrl(url);
+  if (!urlObj) {
+    return { success: false, error: 'FormTrack only tracks web pages' };
+  }
+
+  const rule = { type: 'domain', pattern: urlObj.hostname.toLowerCase().replace(/^www\./, '') };
+  await addStoredRules('ignoreList', [rule]);
+  return { success: true, rule, message: `No longer tracking ${rule.pattern}` };
+}
+
+/**
+ * Capture only this page: allow its address and switch to allowlist mode
+ * The rule is a regex because `?` is a wildcard in globs; it matches the exact path with or
+ * without a query string or hash, not sibling paths (/form but not /form-other).
+ * Allowlist mode stops capture on every other site, so switching to it needs `confirmed`;
+ * without it the page is only allowed when that mode is already on
+ */
+async function trackOnlyForm(url, { confirmed = false } = {}) {
+  const urlObj = parseWebUrl(url);
+  if (!urlObj) {
+    return { success: false, error: 'FormTrack only tracks web pages' };
+  }
+
+  const page = `${urlObj.host}${urlObj.pathname}`;
+  const { captureMode } = await chrome.storage.local.get(['captureMode']);
+  const switching = FormTrackRules.normalizeCaptureMode(captureMode) !== 'allowlist';
+  if (switching && !confirmed) {
+    return {
+      success: false,
+      needsConfirm: true,
+      error: `Tracking only ${page} switches capture to "Only sites on the allow list", which stops capture on every other site until you change it in settings.`
+    };
+  }
+
+  const escaped = page.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const rule = { type: 'regex', pattern: `^https?://${escaped}(?:[?#]|$)` };
+  await addStoredRules('allowList', [rule]);
+  if (switching) {
+    await setCaptureMode('allowlist');
+  }
+
+  const { ignoreList } = await chrome.storage.local.get(['ignoreList']);
+  const match = FormTrackRules.findIgnoreMatch(FormTrackRules.normalizeRules(ignoreList), url);
+  const message = match
+    ? `Allowed ${page}, but the page is still ignored by ${match.builtIn ? 'a built-in sensitive page pattern' : `the ${match.rule.type} rule ${match.rule.pattern}`}`
+    : `Only tracking ${page}`;
+  return { success: true, rule, message };
+}
+
+/**
+ * Pause capture, resuming the previous mode after PAUSE_MINUTES
+ */
+async function pauseCapture() {
+  const { captureMode, captureResume } = await chrome.storage.local.get(['captureMode', 'captureResume']);
+  // Pausing again extends the pause but keeps the mode from before it
+  let mode = captureResume ? captureResume.mode : FormTrackRules.normalizeCaptureMode(captureMode);
+  if (mode === 'paused') {
+    mode = 'everything';
+  }
+
+  const resumeAt = Date.now() + PAUSE_MINUTES * 60 * 1000;
+  await chrome.storage.local.set({
+    captureMode: 'paused',
+    captureResume: { mode, at: new Date(resumeAt).toISOString() }
+  });
+  await chrome.alarms.create(RESUME_CAPTURE_ALARM, { when: resumeAt });
+
+  const time = new Date(resumeAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return { success: true, resumeAt: new Date(resumeAt).toISOString(), message: `Capture paused until ${time}` };
+}
+
+/**
+ * End a pause, timed or not, returning to the mode from before a timed pause
+ */
+async function resumeCapture() {
+  const { captureResume } = await chrome.storage.local.get(['captureResume']);
+  const mode = FormTrackRules.normalizeCaptureMode(captureResume && captureResume.mode);
+  await setCaptureMode(mode === 'paused' ? 'everything' : mode);
+  return { success: true, message: 'Capture resumed' };
+}
+
+/**
+ * Ask the content script in a tab to capture its form right away
+ * The content script only runs in the top frame
+ */
+async function captureFormNow(tabId) {
+  if (typeof tabId !== 'number') {
+    return { success: false, error: 'No page to capture' };
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'CAPTURE_NOW' }, { frameId: 0 });
+    return response || { success: false, error: 'The page did not answer' };
+  } catch (error) {
+    console.debug('FormTrack: Could not reach content script', error);
+    return { success: false, error: 'FormTrack is not running on this page yet. Reload the page and try again.' };
+  }
+}
+
+/**
+ * Run a per-site action for a page; resolves to { success, message } or { success, error }
+ */
+function runSiteAction(action, { url, tabId, confirmed } = {}) {
+  switch (action) {
+    case 'ignore-site':
+      return ignoreSite(url);
+    case 'track-form':
+      return trackOnlyForm(url, { confirmed });
+    case 'pause':
+      return pauseCapture();
+    case 'resume':
+      return resumeCapture();
+    case 'capture-now':
+      return captureFormNow(tabId);
+    default:
+      return Promise.resolve({ success: false, error: `Unknown action: ${action}` });
+  }
+}
+
+// Context menu entries, by site action
+const CONTEXT_MENU_TITLES = {
+  'ignore-site': 'Don\'t track this site',
+  'track-form': 'Track only this form',
+  'pause': 'Pause for 1 hour',
+  'capture-now': 'Capture this form now'
+};
+const CONTEXT_MENU_CONTEXTS = ['page', 'frame', 'editable', 'selection'];
+const CONTEXT_MENU_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+/**
+ * (Re)create the page context menu; the pause entry reads "Resume capture" while paused
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    Object.entries(CONTEXT_MENU_TITLES).forEach(([id, title]) => {
+      chrome.contextMenus.create({
+        id,
+        title,
+        contexts: CONTEXT_MENU_CONTEXTS,
+        documentUrlPatterns: CONTEXT_MENU_URL_PATTERNS
+      });
+    });
+    updateContextMenus();
+  });
+}
+
+async function updateContextMenus() {
+  try {
+    const { captureMode } = await chrome.storage.local.get(['captureMode']);
+    const mode = FormTrackRules.normalizeCaptureMode(captureMode);
+    await chrome.contextMenus.update('pause', {
+      title: mode === 'paused' ? 'Resume capture' : CONTEXT_MENU_TITLES.pause
+    });
+    // Switching to allowlist mode stops capture everywhere else, so only the popup does it (after asking)
+    await chrome.contextMenus.update('track-form', {
+      title: mode === 'allowlist' ? CONTEXT_MENU_TITLES['track-form'] : `${CONTEXT_MENU_TITLES['track-form']} (from the popup)`,
+      enabled: mode === 'allowlist'
+    });
+  } catch (err) {
+    // The menu may not exist yet; createContextMenus updates it once it does
+    console.debug('FormTrack: Error updating context menu', err);
+  }
+}
+
+/**
+ * Apply edits to a single submission
+ * Only EDITABLE_SUBMISSION_FIELDS are changed; the ID and capture metadata are kept
+ */
+function updateSubmission(id, changes) {
+  return queueStorageWrite(async () => {
+    const existing = await FormTrackDB.getSubmission(id);
+    if (!existing) {
+      return { success: false, error: 'Submission not found' };
+    }
+
+    const updates = {};
+    for (const key of EDITABLE_SUBMISSION_FIELDS) {
+      if (changes && changes[key] !== undefined) {
+        updates[key] = changes[key];
+      }
+    }
+
+    // The editor sends name -> value pairs; a full field list is accepted as well
+    if (updates.fields !== undefined) {
+      if (Array.isArray(updates.fields)) {
+        updates.fields = FormTrackSchema.normalizeFields(updates.fields);
+      } else if (typeof updates.fields === 'object' && updates.fields !== null) {
+        updates.fields = FormTrackSchema.applyFieldValues(existing.fields, updates.fields);
+      } else {
+        updates.fields = null;
+      }
+      if (!updates.fields) {
+        return { success: false, error: 'Fields must be an object of name/value pairs' };
+      }
+    }
+
+    // Emptied tags or notes are removed
+    const updated = normalizeAnnotations({ ...existing, ...updates, editedAt: new Date().toISOString() });
+    const submission = await FormTrackDB.putSubmission(updated);
+    return { success: true, submission };
+  });
+}
+
+/**
+ * Import of a previous FormTrack export
+ * The popup turns JSON or CSV files into submission objects; everything is validated here
+ */
+const IMPORTABLE_SUBMISSION_FIELDS = ['id', 'url', 'pageUrl', 'action', 'title', 'timestamp', 'fields', 'tags', 'notes', 'pinned', 'source', 'detectedBy', 'captureCount', 'editedAt', 'redactedFields', 'redactionPolicy', 'fieldLabels'];
+const MAX_IMPORT_ERRORS = 5;
+// Dropped unless they are strings: search and the popup call string methods on them
+const IMPORTED_STRING_FIELDS = ['url', 'pageUrl', 'action', 'title', 'source', 'editedAt', 'redactionPolicy'];
+
+/**
+ * Validate one imported entry
+ * Returns { submission } with only known properties, or { error } describing why it was rejected
+ */
+function normalizeImportedSubmission(entry, importedAt) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'not a submission object' };
+  }
+
+  const timestamp = new Date(entry.timestamp);
+  if (!entry.timestamp || isNaN(timestamp.getTime())) {
+    return { error: 'missing or invalid timestamp' };
+  }
+
+  const fieldList = Array.isArray(entry.fields);
+  if (!entry.fields || typeof entry.fields !== 'object' || (fieldList && !FormTrackSchema.normalizeFields(entry.fields))) {
+    return { error: 'fields must be a list of fields or an object of name/value pairs' };
+  }
+
+  const pageUrl = entry.pageUrl || entry.url;
+  if (typeof pageUrl !== 'string' || !pageUrl.trim()) {
+    return { error: 'missing page URL' };
+  }
+  // The site domain is taken from this URL (see db.js)
+  let parsedPageUrl;
+  try {
+    parsedPageUrl = new URL(pageUrl);
+  } catch {
+    return { error: 'invalid page URL' };
+  }
+  if (parsedPageUrl.protocol !== 'http:' && parsedPageUrl.protocol !== 'https:') {
+    return { error: 'page URL must use http or https' };
+  }
+
+  const submission = {};
+  IMPORTABLE_SUBMISSION_FIELDS.forEach(key => {
+    if (entry[key] !== undefined) {
+      submission[key] = entry[key];
+    }
+  });
+
+  IMPORTED_STRING_FIELDS.forEach(key => {
+    if (submission[key] !== undefined && typeof submission[key] !== 'string') {
+      delete submission[key];
+    }
+  });
+  if (submission.captureCount !== undefined && !(Number.isInteger(submission.captureCount) && submission.captureCount > 0)) {
+    delete submission.captureCount;
+  }
+
+  submission.timestamp = timestamp.toISOString();
+  // The popup shows `url`; entries with only a page URL use that
+  if (typeof submission.url !== 'string' || !submission.url) {
+    submission.url = pageUrl;
+  }
+  if (typeof submission.id !== 'string' || !submission.id) {
+    submission.id = generateSubmissionId();
+  }
+  if (submission.detectedBy !== undefined) {
+    if (Array.isArray(submission.detectedBy)) {
+      submission.detectedBy = submission.detectedBy.filter(path => typeof path === 'string');
+    } else {
+      delete submission.detectedBy;
+    }
+  }
+  ['redactedFields', 'fieldLabels'].forEach(key => {
+    if (submission[key] !== undefined && (!submission[key] || typeof submission[key] !== 'object' || Array.isArray(submission[key]))) {
+      delete submission[key];
+    }
+  });
+  normalizeAnnotations(submission);
+  if (submission.pinned !== true) {
+    delete submission.pinned;
+  }
+  submission.importedAt = importedAt;
+
+  // Both export versions are accepted; the file's version is not trusted, the fields are re-checked
+  delete submission.version;
+  return { submission: FormTrackSchema.migrateSubmission(submission) };
+}
+
+/**
+ * Copy of a submission with list values joined the way the CSV exports write them
+ */
+function joinListValues(submission) {
+  const fields = FormTrackSchema.getFields(submission).map(field => (
+    Array.isArray(field.value) ? { ...field, value: field.value.join('; ') } : field
+  ));
+  return { ...submission, fields };
+}
+
+/**
+ * Check whether two entries are the same submission, also when one came back from a CSV export
+ */
+function isImportDuplicate(existing, incoming) {
+  return isDuplicateSubmission(existing, incoming) ||
+         isDuplicateSubmission(joinListValues(existing), joinListValues(incoming));
+}
+
+/**
+ * Check whether a submission with the same ID, or a capture of the same submit, is already stored
+ */
+async function isAlreadyStored(submission) {
+  if (await FormTrackDB.getSubmission(submission.id)) {
+    return true;
+  }
+
+  const time = new Date(submission.timestamp).getTime();
+  const nearby = await FormTrackDB.getSubmissionsBetween(
+    new Date(time - DUPLICATE_WINDOW_MS).toISOString(),
+    new Date(time + DUPLICATE_WINDOW_MS).toISOString()
+  );
+  return nearby.some(existing => isImportDuplicate(existing, submission));
+}
+
+/**
+ * Import submissions
+ * - merge: entries already stored (same ID or same content) are skipped
+ * - replace: every stored submission is deleted first
+ * Resolves to { success, added, skipped, rejected, errors }
+ */
+function importSubmissions(entries, mode) {
+  return queueStorageWrite(async () => {
+    if (!Array.isArray(entries)) {
+      return { success: false, error: 'Expected a list of submissions' };
+    }
+
+    const importedAt = new Date().toISOString();
+    const result = { success: true, added: 0, skipped: 0, rejected: 0, errors: [] };
+    const accepted = [];
+    const acceptedIds = new Set();
+    const acceptedByPage = new Map();
+
+    entries.forEach((entry, index) => {
+      const { submission, error } = normalizeImportedSubmission(entry, importedAt);
+      if (error) {
+        result.rejected++;
+        if (result.errors.length < MAX_IMPORT_ERRORS) {
+          result.errors.push(`Entry ${index + 1}: ${error}`);
+        }
+        return;
+      }
+
+      // Duplicates inside the file itself
+      const pageKey = getPageKey(submission);
+      const samePage = acceptedByPage.get(pageKey) || [];
+      if (acceptedIds.has(submission.id) || samePage.some(other => isImportDuplicate(other, submission))) {
+        result.skipped++;
+        return;
+      }
+
+      acceptedIds.add(submission.id);
+      acceptedByPage.set(pageKey, [...samePage, submission]);
+      accepted.push(submission);
+    });
+
+    if (mode === 'replace') {
+      if (accepted.length === 0) {
+        return { ...result, success: false, error: 'No valid submissions in the file, nothing was replaced' };
+      }
+      await FormTrackDB.clearSubmissions();
+      await FormTrackDB.putSubmissions(accepted);
+      result.added = accepted.length;
+    } else {
+      const toAdd = [];
+      for (const submission of accepted) {
+        if (await isAlreadyStored(submission)) {
+          result.skipped++;
+        } else {
+          toAdd.push(submission);
+        }
+      }
+      if (toAdd.length > 0) {
+        await FormTrackDB.putSubmissions(toAdd);
+      }
+      result.added = toAdd.length;
+    }
+
+    console.debug(`FormTrack: Imported ${result.added} submissions (${result.skipped} skipped, ${result.rejected} rejected)`);
+    updateBadge();
+    return result;
+  });
+}
+
+/**
+ * Vault
+ * Optional passphrase encryption of submissions, drafts and API keys. The derived key is kept in memory and in
+ * chrome.storage.session (memory only, and not readable by content scripts) so a restarted service worker
+ * stays unlocked until the idle timeout. Captures made while locked are sealed with the vault's public key
+ * and kept in `vaultQueue` until the next unlock.
+ */
+const VAULT_AUTO_LOCK_ALARM = 'vault-auto-lock';
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const AUTO_LOCK_CHOICES = [5, 15, 30, 60, 240];
+const MIN_PASSPHRASE_LENGTH = 8;
+const VAULT_ACTIVITY_THROTTLE_MS = 10000;
+
+// undefined until read from storage, null when no vault is set up
+let vaultHeader;
+// { key, privateKey } while unlocked
+let vaultSession = null;
+let lastVaultActivityWrite = 0;
+
+async function getVaultHeader() {
+  if (vaultHeader === undefined) {
+    const result = await chrome.storage.local.get(['vault']);
+    vaultHeader = result.vault || null;
+  }
+  return vaultHeader;
+}
+
+function getAutoLockMs(header) {
+  return (header.autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES) * 60000;
+}
+
+function normalizeAutoLockMinutes(minutes) {
+  const value = parseInt(minutes, 10);
+  return AUTO_LOCK_CHOICES.includes(value) ? value : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * Get the unlocked vault keys, restoring them from session storage after a service worker restart
+ * Resolves to null while locked
+ */
+async function getVaultSession() {
+  if (vaultSession) {
+    return vaultSession;
+  }
+
+  const header = await getVaultHeader();
+  if (!header) {
+    return null;
+  }
+
+  const session = await chrome.storage.session.get(['vaultKey', 'vaultLastActivity']);
+  if (!session.vaultKey) {
+    return null;
+  }
+
+  if (Date.now() - (session.vaultLastActivity || 0) > getAutoLockMs(header)) {
+    await lockVault();
+    return null;
+  }
+
+  vaultSession = await FormTrackVault.openVault(header, FormTrackVault.fromBase64(session.vaultKey));
+  return vaultSession;
+}
+
+/**
+ * Get the AES key, rejecting with the locked error while the vault is locked
+ */
+async function requireVaultKey() {
+  const session = await getVaultSession();
+  if (!session) {
+    throw new Error(FormTrackVault.LOCKED_ERROR);
+  }
+  return session.key;
+}
+
+async function isVaultLocked() {
+  return Boolean(await getVaultHeader()) && !(await getVaultSession());
+}
+
+async function startVaultSession(header, keyBytes) {
+  vaultSession = await FormTrackVault.openVault(header, keyBytes);
+  lastVaultActivityWrite = Date.now();
+  await chrome.storage.session.set({
+    vaultKey: FormTrackVault.toBase64(keyBytes),
+    vaultLastActivity: lastVaultActivityWrite
+  });
+  await chrome.alarms.create(VAULT_AUTO_LOCK_ALARM, { periodInMinutes: 1 });
+}
+
+/**
+ * Forget the key everywhere it is held
+ */
+async function lockVault() {
+  vaultSession = null;
+  await chrome.storage.session.remove(['vaultKey', 'vaultLastActivity']);
+  await chrome.alarms.clear(VAULT_AUTO_LOCK_ALARM);
+}
+
+/**
+ * Record popup activity so the idle timer restarts
+ */
+function touchVault() {
+  if (!vaultSession || Date.now() - lastVaultActivityWrite < VAULT_ACTIVITY_THROTTLE_MS) {
+    return;
+  }
+  lastVaultActivityWrite = Date.now();
+  chrome.storage.session.set({ vaultLastActivity: lastVaultActivityWrite }).catch(err => {
+    console.debug('FormTrack: Error recording vault activity', err);
+  });
+}
+
+/**
+ * Lock the vault once it has been idle for longer than the auto-lock time
+ */
+async function checkVaultAutoLock() {
+  const header = await getVaultHeader();
+  if (!header) {
+    await chrome.alarms.clear(VAULT_AUTO_LOCK_ALARM);
+    return;
+  }
+
+  const session = await chrome.storage.session.get(['vaultLastActivity']);
+  if (Date.now() - (session.vaultLastActivity || 0) > getAutoLockMs(header)) {
+    await lockVault();
+    console.debug('FormTrack: Vault locked after inactivity');
+  }
+}
+
+// Submissions go through the vault whenever one is set up
+FormTrackDB.setCodec({
+  encode: async record => ((await getVaultHeader())
+    ? FormTrackVault.encryptRecord(await requireVaultKey(), record)
+    : record),
+  decode: async stored => FormTrackVault.decryptRecord(await requireVaultKey(), stored)
+});
+
+/**
+ * Read settings with secrets decrypted; secrets are left out while the vault is locked
+ */
+async function readSettings() {
+  const result = await chrome.storage.local.get(['settings']);
+  const settings = result.settings || { emailEnabled: true };
+  if (!settings.encryptedSecrets) {
+    return settings;
+  }
+
+  const session = await getVaultSession();
+  return session
+    ? FormTrackVault.decryptSettings(session.key, settings)
+    : FormTrackVault.stripSecrets(settings);
+}
+
+/**
+ * Save settings, encrypting secrets when the vault is set up (rejects while locked)
+ */
+async function writeSettings(settings) {
+  const stored = (await getVaultHeader())
+    ? await FormTrackVault.encryptSettings(await requireVaultKey(), settings)
+    : settings;
+  await chrome.storage.local.set({ settings: stored });
+}
+
+/**
+ * Seal a capture made while locked and add it to the queue
+ */
+function queueLockedCapture(submission) {
+  return queueStorageWrite(async () => {
+    const sealed = await FormTrackVault.seal(await getVaultHeader(), submission);
+    const result = await chrome.storage.local.get(['vaultQueue']);
+    const queue = result.vaultQueue || [];
+    // The domain stays readable, like the stored submissions' index, so forgetting a site reaches the queue
+    queue.push({ id: generateSubmissionId(), queuedAt: new Date().toISOString(), domain: FormTrackDB.getDomain(submission), sealed });
+    await chrome.storage.local.set({ vaultQueue: queue });
+    console.debug(`FormTrack: Vault locked, capture queued (${queue.length} waiting)`);
+  });
+}
+
+/**
+ * Store the captures queued while locked, resolving to how many were stored
+ * Entries that fail stay queued for the next unlock
+ */
+async function drainLockedCaptures() {
+  const session = await getVaultSession();
+  const result = await chrome.storage.local.get(['vaultQueue']);
+  const queue = result.vaultQueue || [];
+  if (!session || queue.length === 0) {
+    return 0;
+  }
+
+  const stored = new Set();
+  for (const item of queue) {
+    try {
+      const submission = await FormTrackVault.unseal(session.privateKey, item.sealed);
+      if (await storeCapturedSubmission(submission)) {
+        stored.add(item.id);
+      }
+    } catch (error) {
+      console.debug('FormTrack: Could not store queued capture', error);
+    }
+  }
+
+  await queueStorageWrite(async () => {
+    const current = (await chrome.storage.local.get(['vaultQueue'])).vaultQueue || [];
+    const remaining = current.filter(item => !stored.has(item.id));
+    if (remaining.length > 0) {
+      await chrome.storage.local.set({ vaultQueue: remaining });
+    } else {
+      await chrome.storage.local.remove('vaultQueue');
+    }
+  });
+
+  return stored.size;
+}
+
+/**
+ * Vault state for the popup
+ */
+async function getVaultStatus() {
+  const header = await getVaultHeader();
+  const result = await chrome.storage.local.get(['vaultQueue']);
+  return {
+    enabled: Boolean(header),
+    locked: header ? !(await getVaultSession()) : false,
+    autoLockMinutes: header ? header.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES,
+    queued: (result.vaultQueue || []).length
+  };
+}
+
+/**
+ * Set up the vault and encrypt everything already stored
+ */
+function enableVault(passphrase, autoLockMinutes) {
+  return queueStorageWrite(async () => {
+    if (await getVaultHeader()) {
+      return { success: false, error: 'The vault is already enabled' };
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return { success: false, error: `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+
+    const settings = await readSettings();
+    const redactionKey = await getRedactionKey();
+    const submissions = await FormTrackDB.getAllSubmissions();
+    const { header, keyBytes } = await FormTrackVault.createVault(passphrase);
+    header.autoLockMinutes = normalizeAutoLockMinutes(autoLockMinutes);
+
+    await chrome.storage.local.set({ vault: header });
+    vaultHeader = header;
+    await startVaultSession(header, keyBytes);
+
+    // Rewriting settings, drafts and every record encrypts them
+    await writeSettings(settings);
+    if (redactionKey) {
+      await chrome.storage.local.set({ redactionKey: await encodeRedactionKey(redactionKey) });
+    }
+    await rewriteDrafts(encodeDraft);
+    await FormTrackDB.putSubmissions(submissions);
+
+    console.debug(`FormTrack: Vault enabled, ${submissions.length} submissions encrypted`);
+    return { success: true, encrypted: submissions.length };
+  });
+}
+
+/**
+ * Unlock with the passphrase and store anything captured while locked
+ */
+async function unlockVault(passphrase) {
+  const header = await getVaultHeader();
+  if (!header) {
+    return { success: false, error: 'The vault is not enabled' };
+  }
+
+  let keyBytes;
+  try {
+    keyBytes = await FormTrackVault.unlockVault(header, String(passphrase || ''));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  await startVaultSession(header, keyBytes);
+  await ensureRedactionKey();
+  const stored = await drainLockedCaptures();
+  // Emails waiting for the key go out now
+  deliverOutbox().catch(error => {
+    console.debug('FormTrack: Could not deliver outbox', error);
+  });
+  migrateSubmissionSchema().catch(error => {
+    console.debug('FormTrack: Could not upgrade stored submissions', error);
+  });
+  updateBadge();
+  return { success: true, stored };
+}
+
+/**
+ * Decrypt everything and remove the vault (needs the passphrase)
+ */
+async function disableVault(passphrase) {
+  // Unlocking first also stores the locked-capture queue
+  const unlocked = await unlockVault(passphrase);
+  if (!unlocked.success) {
+    return unlocked;
+  }
+
+  return queueStorageWrite(async () => {
+    const settings = await readSettings();
+    const redactionKey = await getRedactionKey();
+    const submissions = await FormTrackDB.getAllSubmissions();
+
+    // Without a header the codec writes plain records; the stored header goes last so an
+    // interrupted run can simply be repeated
+    await rewriteDrafts(decodeDraft);
+    vaultHeader = null;
+    await chrome.storage.local.set(redactionKey ? { settings, redactionKey } : { settings });
+    await FormTrackDB.putSubmissions(submissions);
+    await chrome.storage.local.remove(['vault', 'vaultQueue']);
+    await lockVault();
+
+    console.debug(`FormTrack: Vault disabled, ${submissions.length} submissions decrypted`);
+    return { success: true, decrypted: submissions.length };
+  });
+}
+
+/**
+ * Change how long the vault stays unlocked without popup activity
+ */
+function setVaultAutoLock(minutes) {
+  return queueStorageWrite(async () => {
+    const header = await getVaultHeader();
+    if (!header) {
+      return { success: false, error: 'The vault is not enabled' };
+    }
+
+    vaultHeader = { ...header, autoLockMinutes: normalizeAutoLockMinutes(minutes) };
+    await chrome.storage.local.set({ vault: vaultHeader });
+    return { success: true, autoLockMinutes: vaultHeader.autoLockMinutes };
+  });
+}
+
+/**
+ * Handle a capture from a content script, resolving to { success, queued } or { success: false, error }
+ * While the vault is locked the capture is sealed and queued instead of stored
+ */
+async function handleCapturedSubmission(submission) {
+  if (await isVaultLocked()) {
+    await queueLockedCapture(submission);
+    deletePageDrafts(submission);
+    return { success: true, queued: true };
+  }
+  if (!(await storeCapturedSubmission(submission))) {
+    return { success: false, error: 'The submission could not be saved' };
+  }
+  return { success: true, queued: false };
+}
+
+/**
+ * Store a capture, drop its page's drafts and send the notification email
+ * Resolves to whether it was stored
+ */
+async function storeCapturedSubmission(capture) {
+  // Captures queued while the vault was locked may predate the current format
+  const submission = FormTrackSchema.migrateSubmission(capture);
+  const { success, duplicate, id } = await saveSubmission(submission);
+
+  // The form was submitted, so its draft is no longer needed
+  if (success) {
+    deletePageDrafts(submission);
+  }
+
+  // Send (or queue) the email notification if enabled (fire-and-forget)
+  // Duplicate captures of the same submit were already notified
+  if (success && !duplicate) {
+    notifySubmission({ ...submission, id }).catch(err => {
+      console.debug('FormTrack: Error sending email notification', err);
+    });
+  }
+
+  return success;
+}
+
+/**
+ * Drafts of in-progress forms, keyed by fingerprint (page origin + path + form key)
+ * Stored in chrome.storage.local under `drafts`; expired drafts are pruned on every access.
+ * With the vault set up their URL, title and answers are encrypted (sealed while locked, see vault.js)
+ */
+const DRAFT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function encodeDraft(draft) {
+  const header = await getVaultHeader();
+  if (!header) {
+    return draft;
+  }
+  const session = await getVaultSession();
+  return FormTrackVault.encryptDraft(header, session ? session.key : null, draft);
+}
+
+/**
+ * Readable draft, or null while the vault is locked
+ */
+async function decodeDraft(stored) {
+  if (!stored.encrypted && !stored.sealed) {
+    return stored;
+  }
+  const session = await getVaultSession();
+  return session ? FormTrackVault.decryptDraft(session, stored) : null;
+}
+
+/**
+ * Rewrite every stored draft with `rewrite(draft)` (null drops it)
+ * For turning the vault on or off; must run inside a queueStorageWrite task
+ */
+async function rewriteDrafts(rewrite) {
+  const drafts = await loadDrafts();
+  for (const [fingerprint, draft] of Object.entries(drafts)) {
+    const rewritten = await rewrite(draft);
+    if (rewritten) {
+      drafts[fingerprint] = rewritten;
+    } else {
+      delete drafts[fingerprint];
+    }
+  }
+  await chrome.storage.local.set({ drafts });
+}
+
+/**
+ * Load drafts, dropping any that have expired
+ */
+async function loadDrafts() {
+  const result = await chrome.storage.local.get(['drafts']);
+  const drafts = result.drafts || {};
+  const cutoff = Date.now() - DRAFT_TTL_MS;
+  let pruned = false;
+
+  for (const [fingerprint, draft] of Object.entries(drafts)) {
+    if (!draft || new Date(draft.updatedAt).getTime() < cutoff) {
+      delete drafts[fingerprint];
+      pruned = true;
+    }
+  }
+
+  if (pruned) {
+    await chrome.storage.local.set({ drafts });
+  }
+  return drafts;
+}
+
+/**
+ * Create or update a draft
+ */
+function saveDraft(draft) {
+  return queueStorageWrite(async () => {
+    if (!draft || !draft.fingerprint) {
+      return { success: false, error: 'Draft fingerprint is required' };
+    }
+
+    const drafts = await loadDrafts();
+    const existing = drafts[draft.fingerprint];
+    const now = new Date().toISOString();
+
+    drafts[draft.fingerprint] = await encodeDraft({
+      fingerprint: draft.fingerprint,
+      formKey: draft.formKey || 'page',
+      pageKey: getPageKey(draft),
+      url: draft.url,
+      title: draft.title,
+      fields: draft.fields || {},
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    });
+
+    await chrome.storage.local.set({ drafts });
+    return { success: true };
+  });
+}
+
+/**
+ * Get the drafts saved for a page, most recently edited first
+ * While the vault is locked none can be read, so none are offered
+ */
+async function getDraftsForPage(url) {
+  const drafts = await loadDrafts();
+  const pageKey = getPageKey({ url });
+  const matching = Object.values(drafts).filter(draft => draft.pageKey === pageKey);
+  return (await Promise.all(matching.map(decodeDraft)))
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Delete drafts matching a predicate
+ */
+function deleteDrafts(predicate) {
+  return queueStorageWrite(async () => {
+    const drafts = await loadDrafts();
+    let deleted = 0;
+
+    for (const [fingerprint, draft] of Object.entries(drafts)) {
+      if (predicate(draft)) {
+        delete drafts[fingerprint];
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      await chrome.storage.local.set({ drafts });
+    }
+    return { success: true, deleted };
+  });
+}
+
+/**
+ * Delete the drafts of the page a submission came from (fire-and-forget)
+ */
+function deletePageDrafts(submission) {
+  const pageKey = getPageKey(submission);
+  deleteDrafts(draft => draft.pageKey === pageKey).catch(err => {
+    console.debug('FormTrack: Error deleting drafts', err);
+  });
+}
+
+/**
+ * Helper function to safely send response
+ * Prevents errors when message channel is already closed
+ */
+function safeSendResponse(sendResponse, data) {
+  try {
+    // Check if there's a runtime error (channel might be closed)
+    if (chrome.runtime.lastError) {
+      // Channel already closed or error occurred, ignore silently
+      console.debug('FormTrack: Cannot send response, channel closed:', chrome.runtime.lastError.message);
+      return false;
+    }
+    // Check if sendResponse is still a valid function
+    if (typeof sendResponse !== 'function') {
+      console.debug('FormTrack: sendResponse is not a function');
+      return false;
+    }
+    
+    // Attempt to send response
+    // Note: Even if this fails, we've attempted to send, which prevents the error
+    sendResponse(data);
+    return true;
+  } catch (error) {
+    // Response already sent or channel closed - this is normal when
+    // the sender doesn't wait for a response, so we silently ignore it
+    console.debug('FormTrack: Error sending response (this is normal if channel closed):', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check if sendResponse callback is still valid
+ */
+function isResponseCallbackValid(sendResponse) {
+  try {
+    return typeof sendResponse === 'function' && !chrome.runtime.lastError;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Handle messages from content scripts and popup
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Use of the popup (no sender tab) or the dashboard keeps an unlocked vault open
+  if (!sender.tab || sender.url?.startsWith(chrome.runtime.getURL(''))) {
+    touchVault();
+  }
+
+  if (message.type === 'FORM_SUBMISSION') {
+    // Fire-and-forget: content scripts don't wait for responses, except "Capture this form now" (`reply`)
+    // Process submission in background without blocking
+    handleCapturedSubmission(message.data).then(result => {
+      if (message.reply) {
+        safeSendResponse(sendResponse, result);
+      }
+    }).catch(error => {
+      console.debug('FormTrack: Error saving submission', error);
+      if (message.reply) {
+        safeSendResponse(sendResponse, { success: false, error: error.message });
+      }
+    });
+    
+    // Keep the channel open only when the content script waits for the result
+    return Boolean(message.reply);
+  }
+  
+  if (message.type === 'SAVE_DRAFT') {
+    // Fire-and-forget from content scripts, like FORM_SUBMISSION
+    saveDraft(message.draft).catch(error => {
+      console.debug('FormTrack: Error saving draft', error);
+    });
+    return false;
+  }
+  
+  if (message.type === 'GET_DRAFTS') {
+    getDraftsForPage(message.url).then(drafts => {
+      safeSendResponse(sendResponse, { drafts });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { drafts: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'DELETE_DRAFT') {
+    deleteDrafts(draft => draft.fingerprint === message.fingerprint).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_REDACTION_KEY') {
+    // Content scripts hash sensitive values with it before anything leaves the page
+    getRedactionKey().then(key => {
+      safeSendResponse(sendResponse, { key });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { key: null, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_SETTINGS') {
+    // Secrets are decrypted when the vault is unlocked and left out while it is locked
+    readSettings().then(settings => {
+      safeSendResponse(sendResponse, { settings });
+    }).catch(error => {
+      console.error('FormTrack: Error getting settings', error);
+      // Return default settings on error
+      safeSendResponse(sendResponse, { 
+        settings: {
+          emailEnabled: true
+        } 
+      });
+    });
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'SET_SETTINGS') {
+    // Rejects while the vault is locked, since secrets could not be encrypted
+    writeSettings(message.settings || {}).then(async () => {
+      // Turning draft autosave off also removes drafts already saved
+      if (!message.settings || !message.settings.draftsEnabled) {
+        await queueStorageWrite(() => chrome.storage.local.remove('drafts'));
+      }
+      // New retention rules apply right away, not only at the next scheduled check
+      const removed = await applyRetention();
+      await scheduleDigest();
+      safeSendResponse(sendResponse, { success: true, removed });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SEND_EMAIL') {
+    // Test emails are sent directly, with the provider settings from the form, so the popup can show the result
+    FormTrackEmail.sendEmail(message.settings || {}, message.email).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_OUTBOX') {
+    listOutbox().then(items => {
+      safeSendResponse(sendResponse, { items, maxAttempts: OUTBOX_MAX_ATTEMPTS });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { items: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'RETRY_OUTBOX') {
+    // { ids } - omit to retry every failed delivery
+    retryOutboxItems(message.ids).then(() => listOutbox()).then(items => {
+      safeSendResponse(sendResponse, { success: true, items });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'DISCARD_OUTBOX') {
+    const ids = new Set(message.ids || []);
+    updateOutbox(items => items.filter(item => !ids.has(item.id))).then(() => scheduleOutbox()).then(() => {
+      safeSendResponse(sendResponse, { success: true });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_DIGEST_STATUS') {
+    Promise.all([
+      chrome.storage.local.get(['digestQueue', 'digestLastSentAt']),
+      chrome.alarms.get(DIGEST_ALARM)
+    ]).then(([result, alarm]) => {
+      safeSendResponse(sendResponse, {
+        pending: (result.digestQueue || []).length,
+        lastSentAt: result.digestLastSentAt || null,
+        nextAt: alarm ? new Date(alarm.scheduledTime).toISOString() : null
+      });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { pending: 0, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SEND_DIGEST') {
+    sendDigest().then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_SUBMISSIONS') {
+    // Paged: { cursor, limit, filter: { form, domain, target, source, tag, after, before, query } }
+    // An invalid query is reported in `error`
+    FormTrackDB.querySubmissions({
+      cursor: message.cursor || null,
+      limit: message.limit,
+      filter: message.filter || {}
+    }).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { submissions: [], nextCursor: null, total: 0, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SEARCH_SUBMISSIONS') {
+    // { query, cursor, limit, filter } - same filter and response as GET_SUBMISSIONS, ranked by relevance
+    searchSubmissions({
+      query: message.query || '',
+      cursor: message.cursor || null,
+      limit: message.limit,
+      filter: message.filter || {}
+    }).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { submissions: [], nextCursor: null, total: 0, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_FORMS') {
+    FormTrackDB.getForms().then(forms => {
+      safeSendResponse(sendResponse, { forms });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { forms: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_TAGS') {
+    FormTrackDB.getTags().then(tags => {
+      safeSendResponse(sendResponse, { tags });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { tags: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_ANALYTICS') {
+    getAnalytics().then(analytics => {
+      safeSendResponse(sendResponse, analytics);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_SEARCH_SUGGESTIONS') {
+    FormTrackDB.getSearchSuggestions().then(suggestions => {
+      safeSendResponse(sendResponse, suggestions);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { domains: [], sources: [], fields: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_SUBMISSION') {
+    FormTrackDB.getSubmission(message.id).then(submission => {
+      safeSendResponse(sendResponse, submission 
+        ? { success: true, submission } 
+        : { success: false, error: 'Submission not found' });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_PREVIOUS_SUBMISSION') {
+    getPreviousSubmission(message.id).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'DELETE_SUBMISSION') {
+    deleteSubmission(message.id).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'RESTORE_SUBMISSION') {
+    restoreSubmission(message.submission).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SET_PINNED') {
+    setSubmissionPinned(message.id, Boolean(message.pinned)).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'FORGET_SITE') {
+    forgetSite(message.site).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'UPDATE_SUBMISSION') {
+    updateSubmission(message.id, message.changes).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'CLEAR_SUBMISSIONS') {
+    queueStorageWrite(() => FormTrackDB.clearSubmissions()).then(() => {
+      // Errors are handled inside updateBadge; a paused badge stays paused
+      updateBadge();
+      safeSendResponse(sendResponse, { success: true });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'IMPORT_SUBMISSIONS') {
+    importSubmissions(message.submissions, message.mode === 'replace' ? 'replace' : 'merge').then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_IGNORE_LIST') {
+    chrome.storage.local.get(['ignoreList']).then(result => {
+      safeSendResponse(sendResponse, { ignoreList: result.ignoreList || [] });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { ignoreList: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SET_IGNORE_LIST') {
+    // Drop invalid entries so content scripts never receive a broken rule
+    const ignoreList = FormTrackRules.normalizeRules(message.ignoreList);
+    chrome.storage.local.set({ ignoreList }).then(() => {
+      safeSendResponse(sendResponse, { success: true, ignoreList });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GET_CAPTURE_SETTINGS') {
+    chrome.storage.local.get(['captureMode', 'allowList', 'captureResume']).then(result => {
+      safeSendResponse(sendResponse, {
+        captureMode: FormTrackRules.normalizeCaptureMode(result.captureMode),
+        allowList: result.allowList || [],
+        // When a timed pause ends
+        resumeAt: result.captureResume ? result.captureResume.at : null
+      });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { captureMode: 'everything', allowList: [], error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SET_CAPTURE_MODE') {
+    if (!FormTrackRules.CAPTURE_MODES.includes(message.captureMode)) {
+      safeSendResponse(sendResponse, { success: false, error: `Unknown capture mode: ${message.captureMode}` });
+      return false;
+    }
+    setCaptureMode(message.captureMode).then(() => {
+      safeSendResponse(sendResponse, { success: true, captureMode: message.captureMode });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SITE_ACTION') {
+    if (!SITE_ACTIONS.includes(message.action)) {
+      safeSendResponse(sendResponse, { success: false, error: `Unknown action: ${message.action}` });
+      return false;
+    }
+    runSiteAction(message.action, message).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SET_ALLOW_LIST') {
+    // Same rule format as the ignore list
+    const allowList = FormTrackRules.normalizeRules(message.allowList);
+    chrome.storage.local.set({ allowList }).then(() => {
+      safeSendResponse(sendResponse, { success: true, allowList });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_STATUS') {
+    getVaultStatus().then(status => {
+      safeSendResponse(sendResponse, status);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { enabled: false, locked: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_ENABLE') {
+    enableVault(message.passphrase, message.autoLockMinutes).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_UNLOCK') {
+    unlockVault(message.passphrase).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_LOCK') {
+    lockVault().then(() => {
+      safeSendResponse(sendResponse, { success: true });
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_DISABLE') {
+    disableVault(message.passphrase).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'VAULT_SET_AUTO_LOCK') {
+    setVaultAutoLock(message.minutes).then(result => {
+      safeSendResponse(sendResponse, result);
+    }).catch(error => {
+      safeSendResponse(sendResponse, { success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === 'GENERATE_SUMMARY') {
+    (async () => {
+      try {
+        const settings = await readSettings();
+        
+        if (!settings.geminiApiKey && await isVaultLocked()) {
+          safeSendResponse(sendResponse, { success: false, error: FormTrackVault.LOCKED_ERROR });
+          return;
+        }
+        
+        if (!settings.geminiApiKey) {
+          // Always attempt to send response, safeSendResponse will handle if callback is invalid
+          safeSendResponse(sendResponse, { success: false, error: 'Gemini API key not configured. Please add it in settings.' });
+          return;
+        }
+        
+        const summaryResult = await generateSummaryWithGemini(
+          settings.geminiApiKey,
+          message.submissions,
+          message.formUrl || null
+        );
+        
+        // Always attempt to send response, safeSendResponse will handle if callback is invalid
+        safeSendResponse(sendResponse, summaryResult);
+      } catch (error) {
+        console.error('FormTrack: Error in GENERATE_SUMMARY handler', error);
         // Always attempt to send response, safeSendResponse will handle if callback is invalid
         safeSendResponse(sendResponse, { success: false, error: error.message || 'Unknown error' });
       }
@@ -469,8 +2761,66 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
+// Auto-lock the vault after inactivity
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === VAULT_AUTO_LOCK_ALARM) {
+    checkVaultAutoLock().catch(err => {
+      console.debug('FormTrack: Error checking vault auto-lock', err);
+    });
+  }
+  if (alarm.name === RETENTION_ALARM) {
+    applyRetention().catch(err => {
+      console.debug('FormTrack: Error applying retention rules', err);
+    });
+  }
+  if (alarm.name === DIGEST_ALARM) {
+    sendDigest().catch(err => {
+      console.debug('FormTrack: Error sending digest', err);
+    }).finally(() => scheduleDigest()).catch(err => {
+      console.debug('FormTrack: Error scheduling digest', err);
+    });
+  }
+  if (alarm.name === OUTBOX_ALARM) {
+    deliverOutbox().catch(err => {
+      console.debug('FormTrack: Error delivering outbox', err);
+    });
+  }
+  if (alarm.name === RESUME_CAPTURE_ALARM) {
+    resumeCapture().catch(err => {
+      console.debug('FormTrack: Error resuming capture', err);
+    });
+  }
+});
+
+// Page context menu: per-site tracking controls for the clicked page
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  chrome.storage.local.get(['captureMode']).then(({ captureMode }) => {
+    const paused = FormTrackRules.normalizeCaptureMode(captureMode) === 'paused';
+    const action = info.menuItemId === 'pause' && paused ? 'resume' : info.menuItemId;
+    return runSiteAction(action, {
+      url: info.pageUrl || (tab && tab.url),
+      tabId: tab && tab.id
+    });
+  }).then(result => {
+    console.debug('FormTrack: Context menu action', info.menuItemId, result);
+  }).catch(err => {
+    console.debug('FormTrack: Error running context menu action', err);
+  });
+});
+
+// Show paused capture on the badge and context menu, however the mode was changed
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.captureMode || changes.captureResume)) {
+    updateBadge();
+    updateContextMenus();
+  }
+});
+
 // Initialize storage on install/startup
 chrome.runtime.onInstalled.addListener(() => {
+  // Context menu entries persist, so they are only created on install and update
+  createContextMenus();
+
   // Use catch to prevent unhandled promise rejection warnings
   initStorage().catch(err => {
     console.debug('FormTrack: Error initializing storage on install', err);
@@ -489,17 +2839,5 @@ initStorage().catch(err => {
   console.debug('FormTrack: Error initializing storage', err);
 });
 
-// Set initial badge count (with error handling)
-chrome.storage.local.get(['submissions']).then(result => {
-  const count = (result.submissions || []).length;
-  if (count > 0) {
-    chrome.action.setBadgeText({ text: count.toString() }).catch(err => {
-      // Silently ignore badge update errors
-      console.debug('FormTrack: Error setting badge', err);
-    });
-  }
-}).catch(err => {
-  // Silently ignore storage errors during initialization
-  console.debug('FormTrack: Error getting submissions for badge', err);
-});
-
+// Set initial badge count (errors are handled inside updateBadge)
+updateBadge();
@@ -7,16 +7,22 @@
   // Maximum number of submissions to store
   const MAX_SUBMISSIONS = 200;
 
-  // Ignore list of domains/patterns (users can customize later)
-  const DEFAULT_IGNORE_PATTERNS = [
-    /login/i,
-    /signin/i,
-    /password/i,
-    /auth/i,
-    /bank/i,
-    /credit/i,
-    /payment/i
-  ];
+  // User-managed ignore rules, kept in sync with chrome.storage
+  let userIgnoreRules = [];
+
+  // Capture mode and allow list, kept in sync the same way
+  let captureMode = 'everything';
+  let allowRules = [];
+
+  // Nothing is captured until the above are loaded, since capture may be paused or the site ignored
+  let configLoaded = false;
+
+  // Draft autosave is opt-in (settings.draftsEnabled)
+  const DRAFT_SAVE_INTERVAL_MS = 2000;
+  const DRAFT_OFFER_DELAY_MS = 1500;
+  let draftsEnabled = false;
+  const draftTimers = new Map();
+  let draftGeneration = 0;
 
   /**
    * Safely send message to background script
@@ -78,18 +84,563 @@
   }
 
   /**
-   * Check if a URL or form action should be ignored
+   * Load the user ignore list, capture mode and settings, and keep them updated when they change
+   * Resolves once the initial values are loaded
+   */
+  function loadStoredConfig() {
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.ignoreList) {
+          userIgnoreRules = FormTrackRules.normalizeRules(changes.ignoreList.newValue);
+        }
+        if (changes.captureMode) {
+          captureMode = FormTrackRules.normalizeCaptureMode(changes.captureMode.newValue);
+        }
+        if (changes.allowList) {
+          allowRules = FormTrackRules.normalizeRules(changes.allowList.newValue);
+        }
+        if (changes.settings) {
+          applySettings(changes.settings.newValue);
+        }
+        // Capture may have been resumed or this page allowed
+        if (changes.captureMode || changes.allowList || changes.ignoreList) {
+          startPlatformMonitoring();
+        }
+      });
+
+      return chrome.storage.local.get(['ignoreList', 'captureMode', 'allowList', 'settings']).then(result => {
+        userIgnoreRules = FormTrackRules.normalizeRules(result.ignoreList);
+        captureMode = FormTrackRules.normalizeCaptureMode(result.captureMode);
+        allowRules = FormTrackRules.normalizeRules(result.allowList);
+        applySettings(result.settings);
+        configLoaded = true;
+      }).catch(err => {
+        console.debug('FormTrack: Could not load ignore list', err);
+      });
+    } catch (error) {
+      // Extension context invalidated - keep the built-in patterns only
+      console.debug('FormTrack: Error loading ignore list', error);
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * Apply the settings the content script cares about
+   */
+  function applySettings(settings) {
+    draftsEnabled = Boolean(settings && settings.draftsEnabled);
+    redactionPolicy = REDACTION_POLICIES.includes(settings && settings.redactionPolicy)
+      ? settings.redactionPolicy
+      : 'mask';
+  }
+
+  /**
+   * Check if a URL or form action should be ignored: the stored config has not loaded yet,
+   * capture is paused, the page is not on the allow list (allowlist mode), or it matches the ignore list
    */
   function shouldIgnore(url, action) {
-    const urlStr = (url || '').toLowerCase();
-    const actionStr = (action || '').toLowerCase();
-    
-    for (const pattern of DEFAULT_IGNORE_PATTERNS) {
-      if (pattern.test(urlStr) || pattern.test(actionStr)) {
-        return true;
+    return !configLoaded ||
+           !FormTrackRules.isAllowedByMode(captureMode, allowRules, url, action) ||
+           FormTrackRules.findIgnoreMatch(userIgnoreRules, url, action) !== null;
+  }
+
+  /**
+   * Redaction
+   * Sensitive values are found by content and by autocomplete hints, then masked, hashed or
+   * dropped here so they never leave the page
+   */
+
+  // settings.redactionPolicy
+  const REDACTION_POLICIES = ['mask', 'hash', 'drop'];
+  let redactionPolicy = 'mask';
+  // HMAC key for the "hash" policy and the per-install secret it was imported from (asked of the
+  // service worker for each capture, since the vault keeps it encrypted)
+  let redactionKey = null;
+  let redactionSecret = null;
+
+  // Autocomplete tokens that make a control's whole value sensitive
+  const SENSITIVE_AUTOCOMPLETE = {
+    'cc-number': 'card-number',
+    'cc-csc': 'card-security-code',
+    'cc-exp': 'card-expiry',
+    'cc-exp-month': 'card-expiry',
+    'cc-exp-year': 'card-expiry',
+    'one-time-code': 'one-time-code',
+    'current-password': 'password',
+    'new-password': 'password'
+  };
+
+  // Content detectors, in priority order for matches starting at the same place
+  const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+  const SSN_PATTERN = /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g;
+  const NINO_PATTERN = /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/gi;
+  const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gi;
+  const TOKEN_PATTERN = /[A-Za-z0-9_\-+/=.]{20,}/g;
+
+  // Prefixes of well-known API keys, flagged whatever their entropy
+  const KNOWN_TOKEN_PREFIX = /^(sk-|sk_live_|rk_live_|ghp_|gho_|github_pat_|glpat-|xox[abpr]-|AKIA|AIza|hf_|re_)/;
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const MIN_TOKEN_ENTROPY = 3.5;
+
+  /**
+   * Luhn checksum used by payment card numbers
+   */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * IBAN mod-97 check
+   */
+  function isValidIban(text) {
+    const iban = text.replace(/ /g, '').toUpperCase();
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const value = parseInt(char, 36);
+      remainder = Number(`${remainder}${value}`) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * Shannon entropy in bits per character
+   */
+  function getEntropy(text) {
+    const counts = {};
+    for (const char of text) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / text.length;
+      return entropy - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Decide whether a long word looks like an API key or access token
+   */
+  function isSecretToken(word, text, index) {
+    if (KNOWN_TOKEN_PREFIX.test(word)) return true;
+    // Skip URLs, paths, email addresses and ordinary identifiers
+    if (text[index - 1] === ':' || text[index - 1] === '@' || text[index + word.length] === '@') return false;
+    if (word.includes('/') && word.includes('.')) return false;
+    if (UUID_PATTERN.test(word)) return false;
+    if (!/\d/.test(word) || !/[A-Za-z]/.test(word)) return false;
+    return getEntropy(word) >= MIN_TOKEN_ENTROPY;
+  }
+
+  /**
+   * Find sensitive substrings of a value
+   * Returns non-overlapping [{ kind, start, end, text }] in order
+   */
+  function findSensitiveMatches(text) {
+    const detectors = [
+      { kind: 'card-number', pattern: CARD_PATTERN, accept: match => passesLuhn(match.replace(/\D/g, '')) },
+      { kind: 'national-id', pattern: SSN_PATTERN },
+      { kind: 'national-id', pattern: NINO_PATTERN },
+      { kind: 'iban', pattern: IBAN_PATTERN, accept: isValidIban },
+      { kind: 'token', pattern: TOKEN_PATTERN, accept: (match, index) => isSecretToken(match, text, index) }
+    ];
+
+    const matches = [];
+    detectors.forEach(({ kind, pattern, accept }, priority) => {
+      for (const match of text.matchAll(pattern)) {
+        if (accept && !accept(match[0], match.index)) continue;
+        matches.push({ kind, priority, start: match.index, end: match.index + match[0].length, text: match[0] });
+      }
+    });
+
+    matches.sort((a, b) => a.start - b.start || b.end - a.end || a.priority - b.priority);
+
+    let lastEnd = 0;
+    return matches.filter(match => {
+      if (match.start < lastEnd) return false;
+      lastEnd = match.end;
+      return true;
+    });
+  }
+
+  /**
+   * Mask a value, keeping the last four characters of long values (e.g. a card's last digits)
+   */
+  function maskValue(text) {
+    const keep = text.length >= 12 ? 4 : 0;
+    return text.slice(0, text.length - keep).replace(/[A-Za-z0-9]/g, '•') + text.slice(text.length - keep);
+  }
+
+  /**
+   * Fetch the base64 secret and import it; resolves to null while the vault is locked or if it cannot be used
+   */
+  async function loadRedactionKey() {
+    const response = await safeSendMessage({ type: 'GET_REDACTION_KEY' });
+    const secret = response && response.key;
+    if (typeof secret !== 'string' || !globalThis.crypto || !crypto.subtle) return null;
+    if (secret !== redactionSecret) {
+      redactionSecret = secret;
+      try {
+        const bytes = Uint8Array.from(atob(secret), char => char.charCodeAt(0));
+        redactionKey = crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+          .catch(() => null);
+      } catch (error) {
+        console.debug('FormTrack: Invalid redaction key', error);
+        redactionKey = null;
+      }
+    }
+    return redactionKey;
+  }
+
+  /**
+   * Short HMAC-SHA-256 of a value with separators removed, so equal values hash alike
+   * A plain hash of an ID or card number can be reversed by hashing every candidate; the key cannot be guessed
+   * Resolves to null without the key or where WebCrypto is unavailable (insecure pages)
+   */
+  async function hashValue(text) {
+    const key = await loadRedactionKey();
+    if (!key) return null;
+    const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text.replace(/[\s-]/g, '')));
+    return [...new Uint8Array(digest)].slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function replaceSensitive(text, policy) {
+    if (policy === 'hash') {
+      const digest = await hashValue(text);
+      if (digest) return `[hmac:${digest}]`;
+    }
+    return maskValue(text);
+  }
+
+  /**
+   * Redact sensitive substrings inside a value, walking arrays and JSON objects
+   * Resolves to { value, kinds }
+   */
+  async function redactValue(value, policy) {
+    if (Array.isArray(value)) {
+      const results = await Promise.all(value.map(item => redactValue(item, policy)));
+      return { value: results.map(result => result.value), kinds: results.flatMap(result => result.kinds) };
+    }
+
+    if (value && typeof value === 'object') {
+      const redacted = {};
+      const kinds = [];
+      for (const [key, item] of Object.entries(value)) {
+        const result = await redactValue(item, policy);
+        redacted[key] = result.value;
+        kinds.push(...result.kinds);
+      }
+      return { value: redacted, kinds };
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { value, kinds: [] };
+    }
+
+    const text = String(value);
+    const matches = findSensitiveMatches(text);
+    if (matches.length === 0) {
+      return { value, kinds: [] };
+    }
+
+    let result = '';
+    let lastEnd = 0;
+    for (const match of matches) {
+      result += text.slice(lastEnd, match.start) + await replaceSensitive(match.text, policy);
+      lastEnd = match.end;
+    }
+    return { value: result + text.slice(lastEnd), kinds: matches.map(match => match.kind) };
+  }
+
+  /**
+   * Redact a whole value flagged by an autocomplete hint
+   */
+  async function redactWholeValue(value, policy) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => redactWholeValue(item, policy)));
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text ? replaceSensitive(text, policy) : value;
+  }
+
+  /**
+   * Get the redaction kind implied by the autocomplete attribute of a field's controls
+   */
+  function getAutocompleteKind(name) {
+    for (const element of findFieldElements(name)) {
+      const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+      const token = tokens.find(candidate => SENSITIVE_AUTOCOMPLETE[candidate]);
+      if (token) return SENSITIVE_AUTOCOMPLETE[token];
+    }
+    return null;
+  }
+
+  /**
+   * Apply a redaction policy to captured fields
+   * Resolves to { fields, redactedFields } where redactedFields maps field name -> detected kinds
+   */
+  async function redactFields(fields, policy) {
+    const redacted = {};
+    const redactedFields = {};
+
+    for (const [name, value] of Object.entries(fields)) {
+      const autocompleteKind = getAutocompleteKind(name);
+      if (autocompleteKind) {
+        redactedFields[name] = [autocompleteKind];
+        if (policy !== 'drop') {
+          redacted[name] = await redactWholeValue(value, policy);
+        }
+        continue;
+      }
+
+      const result = await redactValue(value, policy);
+      if (result.kinds.length > 0) {
+        redactedFields[name] = [...new Set(result.kinds)];
+        if (policy === 'drop') continue;
       }
+      redacted[name] = result.value;
     }
-    return false;
+
+    return { fields: redacted, redactedFields };
+  }
+
+  /**
+   * Send a captured submission to the background worker
+   * Every capture path goes through here so the ignore list and redaction apply to all of them
+   */
+  /**
+   * Redact a capture and send it to the background worker
+   * With `reply`, resolves to what the worker did: { success, fieldCount, queued } or { success: false, error }
+   */
+  function sendSubmission(submission, { reply = false } = {}) {
+    if (shouldIgnore(window.location.href, submission.action)) {
+      console.debug('FormTrack: Submission ignored (capture mode or ignore list)');
+      return Promise.resolve({ success: false, error: 'This page is not captured (capture mode or ignore list)' });
+    }
+
+    // Pending draft saves would recreate the draft the background deletes on submit
+    cancelDraftSaves();
+
+    const policy = redactionPolicy;
+    const { fieldMeta, ...capture } = submission;
+    const meta = resolveFieldMeta(capture.fields, fieldMeta);
+    return redactFields(capture.fields, policy).then(({ fields, redactedFields }) => {
+      const fieldCount = Object.keys(fields).length;
+      if (fieldCount === 0) {
+        console.debug('FormTrack: Nothing left to store after redaction');
+        return { success: false, error: 'Every field was dropped as a sensitive value, nothing was stored' };
+      }
+
+      // Dropped fields stay in the list without a value so the redaction is still on record
+      const values = {};
+      Object.keys(capture.fields).forEach(key => {
+        if (key in fields || redactedFields[key]) {
+          values[key] = key in fields ? fields[key] : null;
+        }
+      });
+
+      const data = {
+        ...capture,
+        version: FormTrackSchema.CURRENT_VERSION,
+        fields: FormTrackSchema.buildFields(values, meta, redactedFields),
+        // Record the page the capture happened on - fetch captures use the endpoint as `url`
+        pageUrl: window.location.href
+      };
+      if (Object.keys(redactedFields).length > 0) {
+        data.redactionPolicy = policy;
+      }
+
+      return safeSendMessage({ type: 'FORM_SUBMISSION', data, reply }).then(result => {
+        if (!reply) return { success: true, fieldCount };
+        // safeSendMessage resolves to nothing when the worker cannot be reached
+        if (!result) {
+          return { success: false, error: 'FormTrack could not be reached. Reload the page and try again.' };
+        }
+        return result.success ? { ...result, fieldCount } : result;
+      });
+    }).catch(error => {
+      console.debug('FormTrack: Redaction failed, submission not stored', error);
+      return { success: false, error: 'Redaction failed, nothing was stored' };
+    });
+  }
+
+  /**
+   * Field labels
+   * Raw names like `f_23a` or `q[4]` mean little later, so each control's human label is
+   * resolved from the page and stored alongside the name
+   */
+  const MAX_LABEL_LENGTH = 200;
+
+  /**
+   * Text of a node without the text of any controls inside it (e.g. a wrapping label's <select>)
+   */
+  function getTextWithoutControls(node) {
+    const copy = node.cloneNode(true);
+    copy.querySelectorAll('input, select, textarea, button, script, style').forEach(child => child.remove());
+    return copy.textContent;
+  }
+
+  /**
+   * Tidy label text: collapse whitespace and drop required markers and trailing colons
+   */
+  function cleanLabelText(text) {
+    return (text || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/\s*[*:]+$/, '')
+      .trim()
+      .slice(0, MAX_LABEL_LENGTH);
+  }
+
+  /**
+   * Resolve aria-labelledby IDs to their combined text
+   */
+  function getLabelledByText(element) {
+    const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .map(getTextWithoutControls)
+      .join(' ');
+  }
+
+  /**
+   * Label of a radio or checkbox group: the fieldset legend or an ARIA group's label
+   */
+  function getGroupLabel(element) {
+    const fieldset = element.closest('fieldset');
+    const legend = fieldset && fieldset.querySelector('legend');
+    if (legend) {
+      const text = cleanLabelText(getTextWithoutControls(legend));
+      if (text) return text;
+    }
+
+    const group = element.closest('[role="radiogroup"], [role="group"]');
+    if (group) {
+      return cleanLabelText(getLabelledByText(group) || group.getAttribute('aria-label'));
+    }
+    return '';
+  }
+
+  // Unnamed controls of these types carry no answer
+  const UNLABELLED_SKIPPED_TYPES = ['submit', 'button', 'reset', 'image', 'hidden'];
+
+  /**
+   * Check whether an element is an input, select or textarea that holds an answer
+   */
+  function isLabelledDataControl(element) {
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) &&
+      !UNLABELLED_SKIPPED_TYPES.includes(element.type);
+  }
+
+  /**
+   * Check whether a checkbox shares its name with other checkboxes (a multi-choice group)
+   */
+  function isCheckboxGroup(element) {
+    if (element.type !== 'checkbox' || !element.name) return false;
+    const scope = element.form || document;
+    return scope.querySelectorAll(`input[type="checkbox"][name="${CSS.escape(element.name)}"]`).length > 1;
+  }
+
+  /**
+   * Resolve the human label of a control
+   * Tries <label for> and wrapping labels, aria-labelledby, aria-label, the fieldset legend,
+   * then placeholder and title. Radio buttons and checkbox groups use the group label, since
+   * their own labels name an option rather than the question
+   */
+  function getFieldLabel(element) {
+    if (element.type === 'radio' || isCheckboxGroup(element)) {
+      const groupLabel = getGroupLabel(element);
+      if (groupLabel) return groupLabel;
+    }
+
+    const candidates = [
+      () => [...(element.labels || [])].map(getTextWithoutControls).join(' '),
+      () => getLabelledByText(element),
+      () => element.getAttribute('aria-label'),
+      () => getGroupLabel(element),
+      () => element.getAttribute('placeholder'),
+      () => element.getAttribute('title')
+    ];
+
+    for (const candidate of candidates) {
+      const text = cleanLabelText(candidate());
+      if (text) return text;
+    }
+    return '';
+  }
+
+  /**
+   * Field type of a control: its input type, or select, select-multiple, textarea, radio or checkbox
+   */
+  function getControlType(element) {
+    const role = element.getAttribute('role');
+    if (element.tagName === 'SELECT') return element.multiple ? 'select-multiple' : 'select';
+    if (element.tagName === 'TEXTAREA' || role === 'textbox' || element.isContentEditable) return 'textarea';
+    if (role === 'radio' || role === 'checkbox') return role;
+    return element.type || 'text';
+  }
+
+  /**
+   * Describe the page controls behind a captured field: { label, type, options, required }
+   * `key` is the captured key; when it is not the controls' name it is already question text
+   */
+  function getControlMeta(elements, key) {
+    const element = elements[0];
+    const rawName = element.getAttribute('name');
+    const meta = { type: getControlType(element) };
+
+    if (element.tagName === 'SELECT') {
+      meta.options = [...element.options].map(option => option.value).filter(Boolean);
+    } else if (meta.type === 'radio' || meta.type === 'checkbox') {
+      const choices = elements.length > 1 || !element.form
+        ? elements
+        : [...element.form.querySelectorAll(`input[name="${CSS.escape(element.name)}"]`)];
+      meta.options = choices
+        .map(choice => choice.getAttribute('data-value') || choice.value || choice.getAttribute('aria-label'))
+        .filter(value => value && value !== 'on');
+    }
+
+    meta.required = elements.some(control => control.required || control.getAttribute('aria-required') === 'true' ||
+      Boolean(control.closest('[aria-required="true"]')));
+
+    meta.label = rawName === key || rawName === `entry.${key}` ? getFieldLabel(element) : cleanLabelText(key);
+    return meta;
+  }
+
+  /**
+   * Metadata for captured keys, found on the page with the same lookup used for refilling
+   * What an extractor already knows (`known`) wins over what is found on the page
+   */
+  function resolveFieldMeta(fields, known = {}) {
+    const meta = {};
+    Object.keys(fields).forEach(key => {
+      let found = {};
+      try {
+        const elements = findFieldElements(key);
+        if (elements.length > 0) {
+          found = getControlMeta(elements, key);
+        }
+      } catch (error) {
+        // Keys that cannot be matched on the page keep what the extractor knew
+      }
+
+      meta[key] = { ...found };
+      Object.entries(known[key] || {}).forEach(([property, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          meta[key][property] = value;
+        }
+      });
+    });
+    return meta;
   }
 
   /**
@@ -101,9 +652,10 @@
 
     for (let i = 0; i < formElements.length; i++) {
       const element = formElements[i];
-      
-      // Skip if no name attribute
-      if (!element.name) continue;
+
+      // Unnamed controls are kept under their label; buttons and controls without one are skipped
+      const key = element.name || (isLabelledDataControl(element) ? getFieldLabel(element) : '');
+      if (!key) continue;
       
       // Skip password fields
       if (element.type === 'password') continue;
@@ -134,14 +686,14 @@
       // Only store non-empty values
       if (value !== null && value !== '' && value !== undefined) {
         // Handle multiple values with same name (checkboxes, etc.)
-        if (formData[element.name]) {
-          if (Array.isArray(formData[element.name])) {
-            formData[element.name].push(value);
+        if (formData[key]) {
+          if (Array.isArray(formData[key])) {
+            formData[key].push(value);
           } else {
-            formData[element.name] = [formData[element.name], value];
+            formData[key] = [formData[key], value];
           }
         } else {
-          formData[element.name] = value;
+          formData[key] = value;
         }
       }
     }
@@ -178,14 +730,12 @@
       action: actionUrl || pageUrl,
       timestamp: new Date().toISOString(),
       fields: formData,
-      title: document.title || 'Untitled Page'
+      title: document.title || 'Untitled Page',
+      detectedBy: ['submit']
     };
     
     // Send to background worker
-    safeSendMessage({
-      type: 'FORM_SUBMISSION',
-      data: submission
-    });
+    sendSubmission(submission);
   }
 
   /**
@@ -217,12 +767,27 @@
     return hostname.includes('forms.clickup.com');
   }
 
+  /**
+   * Describe a Google Forms question container: its options and whether an answer is required
+   */
+  function getGoogleQuestionMeta(container) {
+    if (!container) return {};
+    const options = [...container.querySelectorAll('[role="radio"], [role="checkbox"], [role="option"], input[type="radio"], input[type="checkbox"]')]
+      .map(option => option.getAttribute('data-value') || option.getAttribute('aria-label') || option.value)
+      .filter(value => value && value !== 'on');
+    const heading = container.querySelector('[role="heading"]');
+    return {
+      options: [...new Set(options)],
+      required: Boolean(container.querySelector('[aria-required="true"]')) || /\*\s*$/.test(heading?.textContent || '')
+    };
+  }
+
   /**
    * Extract data from Google Forms
+   * Question metadata (raw name, label, type, options, required) is collected into `questionData` by key
    */
-  function extractGoogleFormData() {
+  function extractGoogleFormData(questionData = {}) {
     const formData = {};
-    const questionData = {};
     
     try {
       // Method 1: Try to find form fields in Google Forms structure
@@ -247,7 +812,8 @@
           let questionText = null;
 
           // Try to get question text (label)
-          const label = element.closest('[data-item-id]')?.querySelector('[role="heading"], .freebirdFormviewerViewItemsItemItemTitle, label, .mdc-text-field__label');
+          const container = element.closest('[data-item-id]');
+          const label = container?.querySelector('[role="heading"], .freebirdFormviewerViewItemsItemItemTitle, label, .mdc-text-field__label');
           questionText = label?.textContent?.trim() || `Question ${index + 1}`;
 
           // Handle different input types
@@ -268,6 +834,13 @@
               } else {
                 formData[fieldName] = [formData[fieldName], fieldValue];
               }
+
+              questionData[fieldName] = {
+                name: element.getAttribute('name'),
+                label: cleanLabelText(questionText),
+                type: getControlType(element),
+                ...getGoogleQuestionMeta(container)
+              };
               return;
             }
           } else if (element.tagName === 'TEXTAREA') {
@@ -299,8 +872,10 @@
             
             // Store metadata
             questionData[key] = {
-              value: fieldValue,
-              type: element.type || element.tagName.toLowerCase()
+              name: element.getAttribute('name'),
+              label: key === questionText ? cleanLabelText(questionText) : '',
+              type: getControlType(element),
+              ...getGoogleQuestionMeta(container)
             };
           }
         } catch (err) {
@@ -327,8 +902,9 @@
 
   /**
    * Capture Google Form submission
+   * `trigger` names the detection path (click, mousedown, fetch, xhr) for deduplication
    */
-  function captureGoogleFormSubmission() {
+  function captureGoogleFormSubmission(trigger = 'dom') {
     if (!isGoogleForm()) return;
     
     // Try multiple times with delays to capture data
@@ -337,7 +913,8 @@
     
     function attemptCapture() {
       attempts++;
-      const formData = extractGoogleFormData();
+      const questionData = {};
+      const formData = extractGoogleFormData(questionData);
       
       if (Object.keys(formData).length === 0 && attempts < maxAttempts) {
         // Retry after a short delay
@@ -369,13 +946,12 @@
         timestamp: new Date().toISOString(),
         fields: formData,
         title: document.title || 'Google Form',
-        source: 'google-forms'
+        source: 'google-forms',
+        detectedBy: [trigger],
+        fieldMeta: questionData
       };
 
-      safeSendMessage({
-        type: 'FORM_SUBMISSION',
-        data: submission
-      });
+      sendSubmission(submission);
     }
     
     attemptCapture();
@@ -413,14 +989,14 @@
               button.addEventListener('click', (e) => {
                 console.debug('FormTrack: Google Form submit button clicked');
                 // Capture immediately and also after delay
-                setTimeout(captureGoogleFormSubmission, 100);
-                setTimeout(captureGoogleFormSubmission, 800);
-                setTimeout(captureGoogleFormSubmission, 1500);
+                setTimeout(() => captureGoogleFormSubmission('click'), 100);
+                setTimeout(() => captureGoogleFormSubmission('click'), 800);
+                setTimeout(() => captureGoogleFormSubmission('click'), 1500);
               }, true);
               
               // Also listen for mousedown for better coverage
               button.addEventListener('mousedown', () => {
-                setTimeout(captureGoogleFormSubmission, 500);
+                setTimeout(() => captureGoogleFormSubmission('mousedown'), 500);
               }, true);
             }
           });
@@ -562,8 +1138,9 @@
 
   /**
    * Capture Microsoft Form submission
+   * `trigger` names the detection path (click, mousedown, fetch, xhr) for deduplication
    */
-  function captureMicrosoftFormSubmission() {
+  function captureMicrosoftFormSubmission(trigger = 'dom') {
     if (!isMicrosoftForm()) return;
     
     const formData = extractMicrosoftFormData();
@@ -578,13 +1155,11 @@
       timestamp: new Date().toISOString(),
       fields: formData,
       title: document.title || 'Microsoft Form',
-      source: 'microsoft-forms'
+      source: 'microsoft-forms',
+      detectedBy: [trigger]
     };
 
-    safeSendMessage({
-      type: 'FORM_SUBMISSION',
-      data: submission
-    });
+    sendSubmission(submission);
   }
 
   /**
@@ -613,7 +1188,7 @@
             button.dataset.formtrackWatched = 'true';
             button.addEventListener('click', () => {
               // Wait a bit for form data to be ready
-              setTimeout(captureMicrosoftFormSubmission, 500);
+              setTimeout(() => captureMicrosoftFormSubmission('click'), 500);
             }, true);
           }
         });
@@ -632,7 +1207,7 @@
         if (!button.dataset.formtrackWatched) {
           button.dataset.formtrackWatched = 'true';
           button.addEventListener('click', () => {
-            setTimeout(captureMicrosoftFormSubmission, 500);
+            setTimeout(() => captureMicrosoftFormSubmission('click'), 500);
           }, true);
         }
       });
@@ -756,8 +1331,9 @@
 
   /**
    * Capture ClickUp Form submission
+   * `trigger` names the detection path (click, mousedown, fetch, xhr) for deduplication
    */
-  function captureClickUpFormSubmission() {
+  function captureClickUpFormSubmission(trigger = 'dom') {
     if (!isClickUpForm()) return;
     
     // Try multiple times with delays to capture data
@@ -802,13 +1378,11 @@
         timestamp: new Date().toISOString(),
         fields: formData,
         title: document.title || 'ClickUp Form',
-        source: 'clickup-forms'
+        source: 'clickup-forms',
+        detectedBy: [trigger]
       };
 
-      safeSendMessage({
-        type: 'FORM_SUBMISSION',
-        data: submission
-      });
+      sendSubmission(submission);
     }
     
     attemptCapture();
@@ -852,14 +1426,14 @@
               button.addEventListener('click', (e) => {
                 console.debug('FormTrack: ClickUp Form submit button clicked');
                 // Capture immediately and also after delay
-                setTimeout(captureClickUpFormSubmission, 100);
-                setTimeout(captureClickUpFormSubmission, 500);
-                setTimeout(captureClickUpFormSubmission, 1000);
+                setTimeout(() => captureClickUpFormSubmission('click'), 100);
+                setTimeout(() => captureClickUpFormSubmission('click'), 500);
+                setTimeout(() => captureClickUpFormSubmission('click'), 1000);
               }, true);
               
               // Also listen for mousedown for better coverage
               button.addEventListener('mousedown', () => {
-                setTimeout(captureClickUpFormSubmission, 300);
+                setTimeout(() => captureClickUpFormSubmission('mousedown'), 300);
               }, true);
             }
           });
@@ -892,276 +1466,751 @@
   }
 
   /**
-   * Handle programmatic form submissions (AJAX, fetch, etc.)
+   * Network capture
+   * network-hooks.js patches fetch, XHR and sendBeacon in the page's main world (this isolated
+   * world has its own copies, so patching them here never sees page requests) and relays
+   * parsed request bodies with window.postMessage.
    */
-  function interceptFetch() {
-    const originalFetch = window.fetch;
-    window.fetch = function(...args) {
-      const [url, options] = args;
-      
-      // Check if this looks like a form submission
-      if (options && options.method && 
-          (options.method.toUpperCase() === 'POST' || options.method.toUpperCase() === 'PUT') &&
-          options.body) {
-        
-        try {
-          // Special handling for Google Forms, Microsoft Forms, and ClickUp Forms
-          const urlStr = typeof url === 'string' ? url : url.toString();
-          const isGoogleFormsEndpoint = urlStr.includes('forms/d/e/') || 
-                                        urlStr.includes('forms/u/0/d/e/') ||
-                                        urlStr.includes('/formResponse');
-          const isMicrosoftFormsEndpoint = urlStr.includes('forms.office.com') ||
-                                          urlStr.includes('forms.microsoft.com') ||
-                                          urlStr.includes('forms.office365.com') ||
-                                          urlStr.includes('/api/form/') ||
-                                          urlStr.includes('/api/Response') ||
-                                          urlStr.includes('/SubmitForm');
-          const isClickUpFormsEndpoint = urlStr.includes('forms.clickup.com') ||
-                                        urlStr.includes('/api/form/') ||
-                                        urlStr.includes('/form/submit') ||
-                                        urlStr.includes('/submit-form');
-
-          if (isGoogleFormsEndpoint) {
-            // Capture Google Form submission with multiple attempts
-            console.debug('FormTrack: Google Forms endpoint detected');
-            setTimeout(() => {
-              captureGoogleFormSubmission();
-            }, 200);
-            setTimeout(() => {
-              captureGoogleFormSubmission();
-            }, 800);
-            setTimeout(() => {
-              captureGoogleFormSubmission();
-            }, 1500);
-          }
+  const NETWORK_CHANNEL = 'formtrack-network';
+  const NETWORK_CHANNEL_VERSION = 1;
+  const NETWORK_KINDS = ['fetch', 'xhr', 'beacon'];
+  const NETWORK_BODY_TYPES = ['form-data', 'url-encoded', 'json', 'multipart'];
+  const MAX_NETWORK_FIELDS = 200;
+
+  // Any script on the page can post to the relay channel, so a request only counts as a
+  // submission shortly after a trusted click or Enter press, and only a few per minute are kept
+  const NETWORK_CAPTURE_WINDOW_MS = 5000;
+  const NETWORK_CAPTURE_LIMIT = 5;
+  const NETWORK_CAPTURE_LIMIT_WINDOW_MS = 60 * 1000;
+  let lastUserActionAt = 0;
+  let networkCaptureTimes = [];
+
+  // Form platforms, by the hosts their pages are served from
+  const NETWORK_PLATFORM_HOSTS = {
+    'google-forms': ['docs.google.com'],
+    'microsoft-forms': ['forms.office.com', 'forms.microsoft.com', 'forms.office365.com'],
+    'clickup-forms': ['forms.clickup.com']
+  };
+
+  // Telemetry endpoints that post on every click and never carry form answers
+  const NETWORK_IGNORED_HOSTS = [
+    'google-analytics.com',
+    'analytics.google.com',
+    'doubleclick.net',
+    'googletagmanager.com',
+    'facebook.com',
+    'segment.io',
+    'sentry.io',
+    'mixpanel.com',
+    'hotjar.com',
+    'clarity.ms',
+    'datadoghq.com',
+    'nr-data.net'
+  ];
 
-          if (isMicrosoftFormsEndpoint) {
-            // Capture Microsoft Form submission
-            setTimeout(() => {
-              captureMicrosoftFormSubmission();
-            }, 300);
-          }
+  function isPlatformPage(source) {
+    const hostname = window.location.hostname.toLowerCase();
+    return NETWORK_PLATFORM_HOSTS[source].some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
 
-          if (isClickUpFormsEndpoint) {
-            // Capture ClickUp Form submission
-            console.debug('FormTrack: ClickUp Forms endpoint detected');
-            setTimeout(() => {
-              captureClickUpFormSubmission();
-            }, 200);
-            setTimeout(() => {
-              captureClickUpFormSubmission();
-            }, 800);
-            setTimeout(() => {
-              captureClickUpFormSubmission();
-            }, 1500);
-          }
+  /**
+   * Work out which form platform (if any) a request goes to
+   * Only a page on the platform's own host counts; elsewhere the same paths are ordinary requests
+   */
+  function classifyEndpoint(urlStr) {
+    const isGoogleFormsEndpoint = urlStr.includes('forms/d/e/') || 
+                                  urlStr.includes('forms/u/0/d/e/') ||
+                                  urlStr.includes('/formResponse');
+    const isMicrosoftFormsEndpoint = urlStr.includes('forms.office.com') ||
+                                    urlStr.includes('forms.microsoft.com') ||
+                                    urlStr.includes('forms.office365.com') ||
+                                    urlStr.includes('/api/form/') ||
+                                    urlStr.includes('/api/Response') ||
+                                    urlStr.includes('/SubmitForm');
+    const isClickUpFormsEndpoint = urlStr.includes('forms.clickup.com') ||
+                                  urlStr.includes('/api/form/') ||
+                                  urlStr.includes('/form/submit') ||
+                                  urlStr.includes('/submit-form');
+
+    if (isGoogleFormsEndpoint && isPlatformPage('google-forms')) return 'google-forms';
+    if (isMicrosoftFormsEndpoint && isPlatformPage('microsoft-forms')) return 'microsoft-forms';
+    if (isClickUpFormsEndpoint && isPlatformPage('clickup-forms')) return 'clickup-forms';
+    return null;
+  }
 
-          // Try to parse body as form data or JSON
-          let formData = {};
-          
-          if (options.body instanceof FormData) {
-            options.body.forEach((value, key) => {
-              // Skip passwords
-              if (key.toLowerCase().includes('password')) return;
-              formData[key] = value;
-            });
-          } else if (typeof options.body === 'string') {
-            try {
-              const parsed = JSON.parse(options.body);
-              
-              // For Google Forms, extract meaningful data
-              if (isGoogleFormsEndpoint) {
-                // Google Forms sends data in a specific format
-                if (parsed['entry.'] || parsed['entry']) {
-                  Object.keys(parsed).forEach(key => {
-                    if (key.startsWith('entry.') || key.startsWith('entry_')) {
-                      const cleanKey = key.replace(/^entry\.?/, '');
-                      formData[cleanKey] = parsed[key];
-                    } else if (!key.toLowerCase().includes('password')) {
-                      formData[key] = parsed[key];
-                    }
-                  });
-                } else {
-                  Object.keys(parsed).forEach(key => {
-                    if (!key.toLowerCase().includes('password')) {
-                      formData[key] = parsed[key];
-                    }
-                  });
-                }
-              } else {
-                Object.keys(parsed).forEach(key => {
-                  if (!key.toLowerCase().includes('password')) {
-                    formData[key] = parsed[key];
-                  }
-                });
-              }
-            } catch (e) {
-              // Not JSON, might be URL-encoded
-              const params = new URLSearchParams(options.body);
-              params.forEach((value, key) => {
-                if (!key.toLowerCase().includes('password')) {
-                  // For Google Forms entry format
-                  if (key.startsWith('entry.')) {
-                    const cleanKey = key.replace(/^entry\./, '');
-                    formData[cleanKey] = value;
-                  } else {
-                    formData[key] = value;
-                  }
-                }
-              });
-            }
-          }
-          
-          if (Object.keys(formData).length > 0) {
-            const submission = {
-              url: urlStr,
-              action: urlStr,
-              timestamp: new Date().toISOString(),
-              fields: formData,
-              title: document.title || 'Untitled Page',
-              source: isGoogleFormsEndpoint ? 'google-forms' : 
-                      (isMicrosoftFormsEndpoint ? 'microsoft-forms' : 
-                      (isClickUpFormsEndpoint ? 'clickup-forms' : 'fetch'))
-            };
-            
-            safeSendMessage({
-              type: 'FORM_SUBMISSION',
-              data: submission
-            });
-          }
-        } catch (err) {
-          // Silently fail
-        }
+  /**
+   * Check a relayed message has the shape network-hooks.js sends
+   * Page scripts can post to the same window, so nothing is trusted beyond this
+   */
+  function isValidNetworkMessage(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (data.channel !== NETWORK_CHANNEL || data.version !== NETWORK_CHANNEL_VERSION) return false;
+    if (!NETWORK_KINDS.includes(data.kind) || !NETWORK_BODY_TYPES.includes(data.bodyType)) return false;
+    if (typeof data.method !== 'string' || typeof data.url !== 'string') return false;
+    if (!data.fields || typeof data.fields !== 'object' || Array.isArray(data.fields)) return false;
+
+    const count = Object.keys(data.fields).length;
+    return count > 0 && count <= MAX_NETWORK_FIELDS;
+  }
+
+  function isIgnoredNetworkHost(urlStr) {
+    try {
+      const hostname = new URL(urlStr).hostname.toLowerCase();
+      return NETWORK_IGNORED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Count a relayed capture against the per-minute limit; false once the limit is reached
+   */
+  function takeNetworkCaptureSlot() {
+    const now = Date.now();
+    networkCaptureTimes = networkCaptureTimes.filter(time => now - time < NETWORK_CAPTURE_LIMIT_WINDOW_MS);
+    if (networkCaptureTimes.length >= NETWORK_CAPTURE_LIMIT) {
+      console.debug('FormTrack: Too many network captures, request skipped');
+      return false;
+    }
+    networkCaptureTimes.push(now);
+    return true;
+  }
+
+  /**
+   * Remember trusted clicks and Enter presses that could submit a form
+   */
+  function recordUserAction(event) {
+    if (!event.isTrusted) return;
+    if (event.type === 'keydown' && event.key !== 'Enter') return;
+    lastUserActionAt = Date.now();
+  }
+
+  /**
+   * Clean relayed fields: drop passwords and strip the Google Forms `entry.` prefix
+   */
+  function cleanNetworkFields(fields) {
+    const formData = {};
+    Object.keys(fields).forEach(key => {
+      if (key.toLowerCase().includes('password')) return;
+      if (key.startsWith('entry.') || key.startsWith('entry_')) {
+        formData[key.replace(/^entry[._]?/, '')] = fields[key];
+      } else {
+        formData[key] = fields[key];
       }
-      
-      return originalFetch.apply(this, args);
-    };
+    });
+    return formData;
   }
 
   /**
-   * Intercept XMLHttpRequest for Google Forms, Microsoft Forms, and ClickUp Forms
+   * Trigger the DOM-based platform capture after a platform request goes out
    */
-  function interceptXHR() {
-    const originalOpen = XMLHttpRequest.prototype.open;
-    const originalSend = XMLHttpRequest.prototype.send;
+  function scheduleDomCapture(source, trigger) {
+    if (source === 'google-forms') {
+      console.debug('FormTrack: Google Forms endpoint detected');
+      [200, 800, 1500].forEach(delay => {
+        setTimeout(() => captureGoogleFormSubmission(trigger), delay);
+      });
+    } else if (source === 'microsoft-forms') {
+      setTimeout(() => captureMicrosoftFormSubmission(trigger), 300);
+    } else if (source === 'clickup-forms') {
+      console.debug('FormTrack: ClickUp Forms endpoint detected');
+      [200, 800, 1500].forEach(delay => {
+        setTimeout(() => captureClickUpFormSubmission(trigger), delay);
+      });
+    }
+  }
 
-    XMLHttpRequest.prototype.open = function(method, url, ...rest) {
-      this._formtrackUrl = url;
-      this._formtrackMethod = method;
-      return originalOpen.apply(this, [method, url, ...rest]);
-    };
+  /**
+   * Handle a request relayed from the main world
+   */
+  function handleNetworkMessage(event) {
+    // Only accept messages posted by this page to itself
+    if (event.source !== window) return;
+    if (!isValidNetworkMessage(event.data)) return;
 
-    XMLHttpRequest.prototype.send = function(data) {
-      if (this._formtrackMethod && 
-          (this._formtrackMethod.toUpperCase() === 'POST' || this._formtrackMethod.toUpperCase() === 'PUT') &&
-          this._formtrackUrl) {
-        
-        const urlStr = this._formtrackUrl.toString();
-        const isGoogleFormsEndpoint = urlStr.includes('forms/d/e/') || 
-                                      urlStr.includes('forms/u/0/d/e/') ||
-                                      urlStr.includes('/formResponse');
-        const isMicrosoftFormsEndpoint = urlStr.includes('forms.office.com') ||
-                                        urlStr.includes('forms.microsoft.com') ||
-                                        urlStr.includes('forms.office365.com') ||
-                                        urlStr.includes('/api/form/') ||
-                                        urlStr.includes('/api/Response') ||
-                                        urlStr.includes('/SubmitForm');
-        const isClickUpFormsEndpoint = urlStr.includes('forms.clickup.com') ||
-                                      urlStr.includes('/api/form/') ||
-                                      urlStr.includes('/form/submit') ||
-                                      urlStr.includes('/submit-form');
-
-        if ((isGoogleFormsEndpoint || isMicrosoftFormsEndpoint || isClickUpFormsEndpoint) && data) {
-          try {
-            let formData = {};
-            
-            if (data instanceof FormData) {
-              data.forEach((value, key) => {
-                if (!key.toLowerCase().includes('password')) {
-                  formData[key] = value;
-                }
-              });
-            } else if (typeof data === 'string') {
-              try {
-                const parsed = JSON.parse(data);
-                Object.keys(parsed).forEach(key => {
-                  if (key.startsWith('entry.') || key.startsWith('entry_')) {
-                    const cleanKey = key.replace(/^entry\.?/, '');
-                    formData[cleanKey] = parsed[key];
-                  } else if (!key.toLowerCase().includes('password')) {
-                    formData[key] = parsed[key];
-                  }
-                });
-              } catch (e) {
-                const params = new URLSearchParams(data);
-                params.forEach((value, key) => {
-                  if (!key.toLowerCase().includes('password')) {
-                    if (key.startsWith('entry.')) {
-                      const cleanKey = key.replace(/^entry\./, '');
-                      formData[cleanKey] = value;
-                    } else {
-                      formData[key] = value;
-                    }
-                  }
-                });
-              }
-            }
+    try {
+      const { kind, url: urlStr, fields } = event.data;
+      if (Date.now() - lastUserActionAt > NETWORK_CAPTURE_WINDOW_MS) return;
 
-            if (Object.keys(formData).length > 0) {
-              setTimeout(() => {
-                const submission = {
-                  url: window.location.href,
-                  action: urlStr,
-                  timestamp: new Date().toISOString(),
-                  fields: formData,
-                  title: document.title || (isMicrosoftFormsEndpoint ? 'Microsoft Form' : (isClickUpFormsEndpoint ? 'ClickUp Form' : 'Google Form')),
-                  source: isMicrosoftFormsEndpoint ? 'microsoft-forms' : (isClickUpFormsEndpoint ? 'clickup-forms' : 'google-forms')
-                };
-
-                safeSendMessage({
-                  type: 'FORM_SUBMISSION',
-                  data: submission
-                });
-              }, 200);
-            }
+      const source = classifyEndpoint(urlStr);
+      if (!source && isIgnoredNetworkHost(urlStr)) return;
+      if (!takeNetworkCaptureSlot()) return;
 
-            // Also trigger DOM-based capture for better coverage
-            if (isMicrosoftFormsEndpoint) {
-              setTimeout(() => {
-                captureMicrosoftFormSubmission();
-              }, 300);
-            }
+      if (source) {
+        scheduleDomCapture(source, kind);
+      }
 
-            if (isClickUpFormsEndpoint) {
-              setTimeout(() => {
-                captureClickUpFormSubmission();
-              }, 300);
-            }
-          } catch (err) {
-            // Silently fail
-          }
+      const formData = cleanNetworkFields(fields);
+      if (Object.keys(formData).length === 0) return;
+
+      sendSubmission({
+        url: window.location.href,
+        action: urlStr,
+        timestamp: new Date().toISOString(),
+        fields: formData,
+        title: document.title || 'Untitled Page',
+        // Generic AJAX captures keep the 'fetch' source; detectedBy records the actual API
+        source: source || 'fetch',
+        detectedBy: [`${kind}-body`]
+      });
+    } catch (err) {
+      // Silently fail
+    }
+  }
+
+  /**
+   * Start listening for requests relayed by network-hooks.js
+   */
+  function setupNetworkCapture() {
+    window.addEventListener('message', handleNetworkMessage);
+    document.addEventListener('click', recordUserAction, true);
+    document.addEventListener('keydown', recordUserAction, true);
+  }
+
+  /**
+   * Form restore
+   * Writes a stored submission's fields back into the page so a past answer can be reused
+   */
+  const RESTORE_CONTROL_SELECTOR = 'input, textarea, select, [role="radio"], [role="checkbox"], [role="textbox"], [contenteditable="true"]';
+  const RESTORE_SKIPPED_TYPES = {
+    password: 'password fields are never restored',
+    file: 'files cannot be restored',
+    hidden: 'hidden fields are left untouched',
+    submit: 'not an input',
+    button: 'not an input',
+    reset: 'not an input',
+    image: 'not an input'
+  };
+
+  /**
+   * Normalize text for loose label/value comparison
+   */
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Get the visible label text of a control, if any
+   */
+  function getControlLabelText(element) {
+    const label = element.labels && element.labels[0];
+    return normalizeText(label?.textContent || element.getAttribute('aria-label') || '');
+  }
+
+  /**
+   * Find the page controls a stored field name refers to
+   * Tries the name attribute, Google Forms entry IDs, element IDs, then label, aria-label,
+   * resolved labels of unnamed controls and question heading text (the platform extractors
+   * key fields by question text)
+   */
+  function findFieldElements(name) {
+    const byName = document.querySelectorAll(`[name="${CSS.escape(name)}"]`);
+    if (byName.length > 0) return [...byName];
+
+    // Google Forms entry IDs are stored without the "entry." prefix
+    if (/^\d+$/.test(name)) {
+      const byEntry = document.querySelectorAll(`[name="entry.${name}"]`);
+      if (byEntry.length > 0) return [...byEntry];
+    }
+
+    const byId = document.getElementById(name);
+    if (byId && byId.matches(RESTORE_CONTROL_SELECTOR)) return [byId];
+
+    const wanted = normalizeText(name);
+    if (!wanted) return [];
+
+    for (const label of document.querySelectorAll('label')) {
+      if (label.control && normalizeText(label.textContent) === wanted) {
+        return label.control.type === 'radio' || label.control.type === 'checkbox'
+          ? [...document.querySelectorAll(`[name="${CSS.escape(label.control.name)}"]`)]
+          : [label.control];
+      }
+    }
+
+    const byAria = [...document.querySelectorAll(RESTORE_CONTROL_SELECTOR)]
+      .filter(element => normalizeText(element.getAttribute('aria-label')) === wanted);
+    if (byAria.length > 0) return byAria;
+
+    // Unnamed controls are captured under the label getFieldLabel() resolves
+    const byFieldLabel = [...document.querySelectorAll('input:not([name]), textarea:not([name]), select:not([name])')]
+      .filter(element => normalizeText(getFieldLabel(element)) === wanted);
+    if (byFieldLabel.length > 0) return byFieldLabel;
+
+    // Question containers used by Google, Microsoft and ClickUp Forms
+    const heading = [...document.querySelectorAll('[role="heading"], legend, [class*="QuestionTitle"], [class*="questionTitle"]')]
+      .find(element => normalizeText(element.textContent).replace(/\s*\*$/, '') === wanted);
+    const container = heading?.closest('[data-item-id], [role="listitem"], [role="radiogroup"], fieldset, [data-automation-id="questionItem"], [class*="question"]');
+    if (container) {
+      return [...container.querySelectorAll(RESTORE_CONTROL_SELECTOR)];
+    }
+
+    return [];
+  }
+
+  /**
+   * Check whether a choice control (radio, checkbox, option) represents a stored value
+   */
+  function choiceMatches(element, value) {
+    const wanted = normalizeText(String(value));
+    return [
+      element.value,
+      element.getAttribute('data-value'),
+      element.getAttribute('aria-label'),
+      element.textContent,
+      element.labels && element.labels[0]?.textContent
+    ].some(candidate => candidate !== undefined && candidate !== null && normalizeText(candidate) === wanted);
+  }
+
+  /**
+   * Set a value through the native setter so React/Angular value tracking sees a change
+   */
+  function setNativeValue(element, value) {
+    const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+      : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : HTMLInputElement.prototype;
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+      setter.call(element, value);
+    } else {
+      element.value = value;
+    }
+  }
+
+  /**
+   * Fire the events frameworks listen to after a programmatic change
+   */
+  function dispatchValueEvents(element) {
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new Event('blur'));
+  }
+
+  /**
+   * Check or uncheck a choice control with a real click, so page handlers run as for a user
+   */
+  function setChoiceState(element, checked) {
+    const isChecked = element.matches('input') ? element.checked : element.getAttribute('aria-checked') === 'true';
+    if (isChecked !== checked) {
+      element.click();
+    }
+  }
+
+  /**
+   * Restore one stored field into its controls
+   * Returns { status: 'matched' | 'skipped', reason }
+   */
+  function restoreField(elements, value) {
+    const values = (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined);
+
+    if (values.some(item => typeof item === 'object')) {
+      return { status: 'skipped', reason: 'value is not plain text' };
+    }
+
+    const usable = elements.filter(element => !element.disabled && !element.readOnly);
+    if (usable.length === 0) {
+      return { status: 'skipped', reason: 'field is disabled or read-only' };
+    }
+
+    const first = usable[0];
+    const type = (first.type || '').toLowerCase();
+
+    if (RESTORE_SKIPPED_TYPES[type]) {
+      return { status: 'skipped', reason: RESTORE_SKIPPED_TYPES[type] };
+    }
+
+    // Radio buttons and checkboxes, native or ARIA
+    const choices = usable.filter(element => 
+      element.type === 'radio' || element.type === 'checkbox' ||
+      element.getAttribute('role') === 'radio' || element.getAttribute('role') === 'checkbox'
+    );
+    if (choices.length > 0) {
+      const isRadioGroup = choices.every(element => element.type === 'radio' || element.getAttribute('role') === 'radio');
+      const selected = choices.filter(element => values.some(item => choiceMatches(element, item)));
+
+      // A lone checkbox stored as "checked"/"on" has no value to match against
+      if (selected.length === 0 && choices.length === 1 && values.some(item => ['checked', 'on', 'selected', 'true'].includes(normalizeText(String(item))))) {
+        selected.push(choices[0]);
+      }
+
+      if (selected.length === 0) {
+        return { status: 'skipped', reason: `no option matches "${values.join(', ')}"` };
+      }
+
+      if (isRadioGroup) {
+        setChoiceState(selected[0], true);
+      } else {
+        choices.forEach(element => setChoiceState(element, selected.includes(element)));
+      }
+      return { status: 'matched' };
+    }
+
+    if (first.tagName === 'SELECT') {
+      const options = [...first.options];
+      const wanted = options.filter(option => values.some(item => choiceMatches(option, item)));
+
+      if (wanted.length === 0) {
+        return { status: 'skipped', reason: `no option matches "${values.join(', ')}"` };
+      }
+
+      if (first.multiple) {
+        options.forEach(option => {
+          option.selected = wanted.includes(option);
+        });
+      } else {
+        setNativeValue(first, wanted[0].value);
+      }
+      dispatchValueEvents(first);
+      return { status: 'matched' };
+    }
+
+    const text = values.map(String).join(', ');
+
+    if (first.isContentEditable || (first.getAttribute('role') === 'textbox' && !('value' in first))) {
+      first.focus();
+      first.textContent = text;
+      dispatchValueEvents(first);
+      return { status: 'matched' };
+    }
+
+    first.focus();
+    setNativeValue(first, text);
+    dispatchValueEvents(first);
+    return { status: 'matched' };
+  }
+
+  /**
+   * Restore stored fields into the page
+   * `fields` is a submission's field list or a draft's name -> value map
+   * Returns { matched: [names], skipped: [{ name, reason }], notFound: [names] }, named by label
+   */
+  function restoreFormFields(fields) {
+    const report = { matched: [], skipped: [], notFound: [] };
+    const entries = Array.isArray(fields)
+      ? fields
+      : Object.entries(fields || {}).map(([name, value]) => ({ name, value }));
+
+    entries.forEach(field => {
+      const name = field.label || field.name;
+
+      // Masked or hashed values would only fill the form with placeholders
+      if (field.redacted) {
+        report.skipped.push({ name, reason: 'redacted' });
+        return;
+      }
+
+      try {
+        let elements = findFieldElements(field.name);
+        if (elements.length === 0 && field.label) {
+          elements = findFieldElements(field.label);
+        }
+        if (elements.length === 0) {
+          report.notFound.push(name);
+          return;
+        }
+
+        const result = restoreField(elements, field.value);
+        if (result.status === 'matched') {
+          report.matched.push(name);
+        } else {
+          report.skipped.push({ name, reason: result.reason });
         }
+      } catch (error) {
+        report.skipped.push({ name, reason: error.message });
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Draft autosave
+   * Keeps a throttled copy of in-progress answers so they survive a crash or an accidental close
+   */
+
+  /**
+   * Identify a form within the page; controls outside any <form> share the 'page' key
+   */
+  function getFormKey(form) {
+    if (!form) return 'page';
+    if (form.id) return `id:${form.id}`;
+    if (form.getAttribute('name')) return `name:${form.getAttribute('name')}`;
+    if (form.getAttribute('action')) return `action:${form.getAttribute('action')}`;
+    return `index:${[...document.forms].indexOf(form)}`;
+  }
+
+  /**
+   * Fingerprint of a form on this page (origin + path + form key)
+   */
+  function getDraftFingerprint(formKey) {
+    return `${window.location.origin}${window.location.pathname}::${formKey}`;
+  }
+
+  /**
+   * Collect the current answers for a draft
+   */
+  function extractDraftFields(form) {
+    if (form) return extractFormData(form);
+    if (isGoogleForm()) return extractGoogleFormData();
+    if (isMicrosoftForm()) return extractMicrosoftFormData();
+    if (isClickUpForm()) return extractClickUpFormData();
+
+    // Named controls that are not inside any form
+    const fields = {};
+    document.querySelectorAll('input[name], textarea[name], select[name]').forEach(element => {
+      if (element.form || element.type === 'password' || element.disabled) return;
+      if ((element.type === 'checkbox' || element.type === 'radio') && !element.checked) return;
+      if (element.type === 'file' || !element.value) return;
+      fields[element.name] = fields[element.name] !== undefined
+        ? [].concat(fields[element.name], element.value)
+        : element.value;
+    });
+    return fields;
+  }
+
+  /**
+   * Send the current state of a form to the background as a draft
+   */
+  function saveDraft(form, formKey) {
+    const fields = extractDraftFields(form);
+    const fingerprint = getDraftFingerprint(formKey);
+
+    if (Object.keys(fields).length === 0) {
+      safeSendMessage({ type: 'DELETE_DRAFT', fingerprint });
+      return;
+    }
+
+    // Drafts are for refilling, so sensitive fields are always dropped rather than masked
+    const generation = draftGeneration;
+    redactFields(fields, 'drop').then(redacted => {
+      // A submit since this save started has already deleted the draft
+      if (generation !== draftGeneration) return;
+
+      if (Object.keys(redacted.fields).length === 0) {
+        safeSendMessage({ type: 'DELETE_DRAFT', fingerprint });
+        return;
       }
 
-      return originalSend.apply(this, [data]);
+      safeSendMessage({
+        type: 'SAVE_DRAFT',
+        draft: {
+          fingerprint,
+          formKey,
+          url: window.location.href,
+          title: document.title || 'Untitled Page',
+          fields: redacted.fields
+        }
+      });
+    }).catch(error => {
+      console.debug('FormTrack: Could not save draft', error);
+    });
+  }
+
+  /**
+   * Schedule a draft save after user input, at most once per DRAFT_SAVE_INTERVAL_MS per form
+   */
+  function handleDraftInput(event) {
+    if (!draftsEnabled) return;
+
+    const target = event.target;
+    if (!target || !target.matches || !target.matches('input, textarea, select, [contenteditable="true"], [role="textbox"]')) {
+      return;
+    }
+    if (target.type === 'password' || !event.isTrusted) return;
+
+    const form = target.form || target.closest('form');
+    if (shouldIgnore(window.location.href, form?.action)) return;
+
+    // Throttle: the pending save reads the form when it fires, so later input is included
+    const formKey = getFormKey(form);
+    if (draftTimers.has(formKey)) return;
+
+    draftTimers.set(formKey, setTimeout(() => {
+      draftTimers.delete(formKey);
+      saveDraft(form, formKey);
+    }, DRAFT_SAVE_INTERVAL_MS));
+  }
+
+  /**
+   * Drop pending draft saves (called when the form is submitted)
+   */
+  function cancelDraftSaves() {
+    draftTimers.forEach(timer => clearTimeout(timer));
+    draftTimers.clear();
+    draftGeneration++;
+  }
+
+  /**
+   * Show an in-page offer to restore a draft, one draft at a time
+   */
+  function showDraftOffer(drafts) {
+    const draft = drafts[0];
+    if (!draft) return;
+
+    document.getElementById('formtrack-draft-offer')?.remove();
+
+    const host = document.createElement('div');
+    host.id = 'formtrack-draft-offer';
+    // Closed shadow root keeps page styles out and the offer out of page scripts' reach
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+      <style>
+        .offer {
+          position: fixed;
+          right: 20px;
+          bottom: 20px;
+          z-index: 2147483647;
+          max-width: 340px;
+          padding: 14px 16px;
+          background: white;
+          color: #333;
+          border-left: 4px solid #667eea;
+          border-radius: 8px;
+          box-shadow: 0 6px 24px rgba(0, 0, 0, 0.2);
+          font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+        }
+        .title { font-weight: 600; margin-bottom: 4px; }
+        .meta { color: #666; font-size: 12px; margin-bottom: 10px; }
+        .actions { display: flex; gap: 8px; }
+        button {
+          padding: 6px 12px;
+          border-radius: 6px;
+          border: 1px solid #667eea;
+          font: inherit;
+          cursor: pointer;
+        }
+        .restore { background: #667eea; color: white; }
+        .discard { background: white; color: #667eea; }
+      </style>
+      <div class="offer" role="dialog" aria-label="FormTrack draft recovery">
+        <div class="title">📋 FormTrack saved your unsent answers</div>
+        <div class="meta"></div>
+        <div class="actions">
+          <button class="restore">Restore answers</button>
+          <button class="discard">Discard</button>
+        </div>
+      </div>
+    `;
+
+    const fieldCount = Object.keys(draft.fields || {}).length;
+    shadow.querySelector('.meta').textContent = 
+      `${fieldCount} field${fieldCount !== 1 ? 's' : ''}, last edited ${new Date(draft.updatedAt).toLocaleString()}`;
+
+    const next = () => {
+      host.remove();
+      showDraftOffer(drafts.slice(1));
     };
+
+    shadow.querySelector('.restore').addEventListener('click', () => {
+      const report = restoreFormFields(draft.fields);
+      console.debug('FormTrack: Draft restored', report);
+      next();
+    });
+
+    shadow.querySelector('.discard').addEventListener('click', () => {
+      safeSendMessage({ type: 'DELETE_DRAFT', fingerprint: draft.fingerprint });
+      next();
+    });
+
+    document.body.appendChild(host);
   }
 
-  // Initialize
-  function init() {
-    // Listen for form submit events
-    document.addEventListener('submit', captureFormSubmission, true);
-    
-    // Intercept fetch for AJAX submissions
-    if (window.fetch) {
-      interceptFetch();
+  /**
+   * Ask the background for drafts saved on this page and offer to restore them
+   */
+  async function offerDraftRecovery() {
+    if (!draftsEnabled || shouldIgnore(window.location.href)) return;
+
+    const response = await safeSendMessage({ type: 'GET_DRAFTS', url: window.location.href });
+    const drafts = (response && response.drafts) || [];
+    if (drafts.length > 0) {
+      showDraftOffer(drafts);
+    }
+  }
+
+  /**
+   * On-demand capture
+   * "Capture this form now" (context menu or popup) for forms the automatic detection missed
+   */
+
+  // Element the page context menu was last opened on
+  let contextMenuTarget = null;
+
+  /**
+   * Pick the form to capture: the one the context menu was opened on, the one holding the
+   * focused control, or else the largest form on the page
+   * Null means the platform form or controls outside any <form>
+   */
+  function findFormToCapture() {
+    for (const element of [contextMenuTarget, document.activeElement]) {
+      const form = element && (element.form || (element.closest && element.closest('form')));
+      if (form) return form;
     }
+    if (isGoogleForm() || isMicrosoftForm() || isClickUpForm()) return null;
+
+    return [...document.forms].reduce((largest, form) => 
+      !largest || form.elements.length > largest.elements.length ? form : largest, null);
+  }
 
-    // Intercept XHR for Google Forms and other AJAX submissions
-    if (window.XMLHttpRequest) {
-      interceptXHR();
+  /**
+   * Capture the current answers as a submission; returns { success, fieldCount } or an error
+   * The capture mode and ignore list still apply
+   */
+  async function captureFormNow() {
+    const form = findFormToCapture();
+    const actionUrl = (form && form.action) || window.location.href;
+
+    const fields = extractDraftFields(form);
+    if (Object.keys(fields).length === 0) {
+      return { success: false, error: 'No filled-in fields found on this page' };
     }
 
+    let source = 'manual';
+    if (!form && isGoogleForm()) source = 'google-forms';
+    else if (!form && isMicrosoftForm()) source = 'microsoft-forms';
+    else if (!form && isClickUpForm()) source = 'clickup-forms';
+
+    return sendSubmission({
+      url: window.location.href,
+      action: actionUrl,
+      timestamp: new Date().toISOString(),
+      fields,
+      title: document.title || 'Untitled Page',
+      source,
+      detectedBy: ['manual']
+    }, { reply: true });
+  }
+
+  /**
+   * Handle requests from the popup and the background worker
+   */
+  function setupMessageListener() {
+    try {
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'RESTORE_FORM') {
+          sendResponse({ success: true, ...restoreFormFields(message.fields) });
+        }
+        if (message.type === 'CAPTURE_NOW') {
+          captureFormNow().then(sendResponse);
+          return true;
+        }
+        return false;
+      });
+    } catch (error) {
+      console.debug('FormTrack: Could not listen for messages', error);
+    }
+  }
+
+  // Platform monitors are attached once, when capture is first allowed on this page
+  let platformMonitoringStarted = false;
+
+  /**
+   * Start the Google Forms, Microsoft Forms and ClickUp Forms monitors, unless capture is
+   * paused or this page is not allowed
+   */
+  function startPlatformMonitoring() {
+    if (platformMonitoringStarted || shouldIgnore(window.location.href)) return;
+    platformMonitoringStarted = true;
+
     // Setup Google Forms specific monitoring
     if (isGoogleForm()) {
       setupGoogleFormMonitoring();
@@ -1199,6 +2248,7 @@
         window.location.hostname.includes('forms.office365.com') ||
         window.location.hostname.includes('forms.clickup.com')) {
       setInterval(() => {
+        if (shouldIgnore(window.location.href)) return;
         if (isGoogleForm() && document.querySelector('[role="button"][aria-label*="Submit"]')) {
           setupGoogleFormMonitoring();
         }
@@ -1210,7 +2260,38 @@
         }
       }, 2000);
     }
+  }
+
+  // Initialize
+  function init() {
+    // Load user ignore rules, the capture mode and settings before any capture can happen
+    loadStoredConfig().then(() => {
+      startPlatformMonitoring();
+
+      // Give dynamically rendered forms a moment to appear before offering a draft
+      setTimeout(() => {
+        offerDraftRecovery().catch(err => {
+          console.debug('FormTrack: Could not check for drafts', err);
+        });
+      }, DRAFT_OFFER_DELAY_MS);
+    });
+
+    // Answer restore and capture requests from the popup and context menu
+    setupMessageListener();
+    document.addEventListener('contextmenu', (event) => {
+      contextMenuTarget = event.target;
+    }, true);
+
+    // Listen for form submit events
+    document.addEventListener('submit', captureFormSubmission, true);
+
+    // Track in-progress answers for draft recovery (no-op unless enabled)
+    document.addEventListener('input', handleDraftInput, true);
+    document.addEventListener('change', handleDraftInput, true);
     
+    // Receive fetch/XHR/sendBeacon bodies relayed from the page's main world
+    setupNetworkCapture();
+
     const detected = [];
     if (isGoogleForm()) detected.push('Google Forms');
     if (isMicrosoftForm()) detected.push('Microsoft Forms');
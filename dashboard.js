@@ -0,0 +1,172 @@
+// FormTrack Dashboard Script
+// Charts of the local submission history; the statistics come from the background worker
+
+const VAULT_LOCKED_ERROR = 'Vault is locked';
+
+const SOURCE_LABELS = {
+  'google-forms': 'Google Forms',
+  'microsoft-forms': 'Microsoft Forms',
+  'clickup-forms': 'ClickUp Forms',
+  fetch: 'Fetch / XHR',
+  submit: 'Form submit',
+  manual: 'Captured on request'
+};
+
+// DOM elements
+const dashboardMessage = document.getElementById('dashboardMessage');
+const dashboardContent = document.getElementById('dashboardContent');
+const refreshBtn = document.getElementById('refreshBtn');
+
+/**
+ * Escape text for safe use inside innerHTML templates
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse a YYYY-MM-DD key as a local date
+ */
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function formatShortDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function formatNumber(value, digits = 0) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: digits });
+}
+
+/**
+ * Vertical bars for [{ date, count }], labelled every `labelEvery` columns
+ */
+function renderColumnChart(container, periods, labelEvery, describe) {
+  const max = Math.max(1, ...periods.map(period => period.count));
+
+  container.innerHTML = periods.map((period, i) => {
+    const date = parseDateKey(period.date);
+    const height = (period.count / max) * 100;
+    const label = i % labelEvery === 0 || i === periods.length - 1 ? formatShortDate(date) : '';
+    return `
+      <div class="column" title="${escapeHtml(describe(date, period.count))}">
+        <div class="column-count">${period.count || ''}</div>
+        <div class="column-bar-area">
+          <div class="column-bar" style="height: ${height}%"></div>
+        </div>
+        <div class="column-label">${escapeHtml(label)}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Horizontal bars for [{ label, count }]
+ */
+function renderBarChart(container, rows) {
+  if (rows.length === 0) {
+    container.innerHTML = '<div class="chart-empty">No data yet</div>';
+    return;
+  }
+
+  const max = Math.max(...rows.map(row => row.count));
+  container.innerHTML = rows.map(row => `
+    <div class="bar-row">
+      <div class="bar-label" title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</div>
+      <div class="bar-track">
+        <div class="bar-fill" style="width: ${(row.count / max) * 100}%"></div>
+      </div>
+      <div class="bar-count">${formatNumber(row.count)}</div>
+    </div>
+  `).join('');
+}
+
+function renderFormsTable(forms) {
+  const formsTable = document.getElementById('formsTable');
+  if (forms.length === 0) {
+    formsTable.innerHTML = '<tr><td colspan="4" class="chart-empty">No forms yet</td></tr>';
+    return;
+  }
+
+  formsTable.innerHTML = forms.map(form => `
+    <tr>
+      <td>
+        <div class="form-title">${escapeHtml(form.title || 'Untitled form')}</div>
+        <div class="form-url">${escapeHtml(form.url)}</div>
+      </td>
+      <td>${formatNumber(form.count)}</td>
+      <td>${formatNumber(form.fieldCount)}</td>
+      <td>${escapeHtml(new Date(form.lastSubmitted).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }))}</td>
+    </tr>
+  `).join('');
+}
+
+function renderAnalytics(analytics) {
+  document.getElementById('totalSubmissions').textContent = formatNumber(analytics.total);
+  document.getElementById('totalForms').textContent = formatNumber(analytics.formCount);
+  document.getElementById('averageFields').textContent = formatNumber(analytics.averageFields, 1);
+  document.getElementById('totalDomains').textContent = formatNumber(analytics.domainCount);
+
+  renderColumnChart(document.getElementById('dailyChart'), analytics.days, 7,
+    (date, count) => `${formatShortDate(date)}: ${count} submission${count === 1 ? '' : 's'}`);
+  renderColumnChart(document.getElementById('weeklyChart'), analytics.weeks, 2,
+    (date, count) => `Week of ${formatShortDate(date)}: ${count} submission${count === 1 ? '' : 's'}`);
+
+  renderBarChart(document.getElementById('domainChart'),
+    analytics.domains.map(({ domain, count }) => ({ label: domain, count })));
+  renderBarChart(document.getElementById('sourceChart'),
+    analytics.sources.map(({ source, count }) => ({ label: SOURCE_LABELS[source] || source, count })));
+
+  renderFormsTable(analytics.forms);
+}
+
+function showMessage(text) {
+  dashboardMessage.textContent = text;
+  dashboardMessage.style.display = '';
+  dashboardContent.style.display = 'none';
+}
+
+/**
+ * Load the statistics from the background worker
+ */
+async function loadAnalytics() {
+  refreshBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ANALYTICS' });
+
+    if (response && response.error === VAULT_LOCKED_ERROR) {
+      showMessage('🔒 FormTrack is locked. Unlock it from the toolbar popup, then click Refresh.');
+      return;
+    }
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    if (response.total === 0) {
+      showMessage('No submissions yet. Statistics appear here once FormTrack has captured some forms.');
+      return;
+    }
+
+    renderAnalytics(response);
+    dashboardMessage.style.display = 'none';
+    dashboardContent.style.display = '';
+  } catch (error) {
+    console.error('Error loading analytics:', error);
+    showMessage('Error loading statistics');
+  } finally {
+    refreshBtn.disabled = false;
+  }
+}
+
+refreshBtn.addEventListener('click', loadAnalytics);
+
+loadAnalytics();
@@ -0,0 +1,931 @@
+// FormTrack Submission Database
+// IndexedDB storage for submissions, used by the background service worker (after schema.js and query.js)
+
+const FormTrackDB = (function() {
+  'use strict';
+
+  const DB_NAME = 'formtrack';
+  const DB_VERSION = 3;
+  const SUBMISSIONS_STORE = 'submissions';
+
+  // Search index postings { id, token, weight, timestamp }, keyed [id, token]; version 3
+  const TERMS_STORE = 'terms';
+
+  // How much a token counts for, by where in the submission it appears
+  const TERM_WEIGHTS = {
+    title: 3,
+    tags: 3,
+    value: 2,
+    notes: 2,
+    name: 1,
+    label: 1,
+    url: 1
+  };
+
+  // A query word that is only the start of an indexed token scores this fraction of an exact match
+  const PREFIX_MATCH_WEIGHT = 0.5;
+
+  // Index name -> key path; version 2 added `form`
+  const SUBMISSION_INDEXES = {
+    timestamp: ['timestamp', 'id'],
+    domain: ['domain', 'timestamp', 'id'],
+    source: ['source', 'timestamp', 'id'],
+    form: ['formFingerprint', 'timestamp', 'id']
+  };
+
+  const DEFAULT_PAGE_SIZE = 50;
+  const MAX_PAGE_SIZE = 500;
+
+  // Highest possible value for the trailing parts of a compound key (arrays sort after strings)
+  const KEY_MAX = [];
+
+  // Records read per transaction while paging
+  const READ_BATCH_SIZE = 100;
+
+  // Filter properties that narrow a query besides its search text
+  const FILTER_KEYS = ['form', 'domain', 'target', 'source', 'tag', 'after', 'before'];
+
+  // Recent submissions whose field names are offered as search suggestions
+  const SUGGESTION_SAMPLE_SIZE = 500;
+
+  let dbPromise = null;
+
+  // Optional { encode, decode } hooks, set by the service worker when the vault is in use
+  let codec = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   */
+  function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   * Indexes are compound keys ending in [timestamp, id] so pages sort newest first with stable cursors
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.objectStoreNames.contains(SUBMISSIONS_STORE)
+            ? request.transaction.objectStore(SUBMISSIONS_STORE)
+            : db.createObjectStore(SUBMISSIONS_STORE, { keyPath: 'id' });
+
+          // Records stored before an index existed are added to it when they are next written
+          Object.entries(SUBMISSION_INDEXES).forEach(([name, keyPath]) => {
+            if (!store.indexNames.contains(name)) {
+              store.createIndex(name, keyPath);
+            }
+          });
+
+          if (!db.objectStoreNames.contains(TERMS_STORE)) {
+            const terms = db.createObjectStore(TERMS_STORE, { keyPath: ['id', 'token'] });
+            terms.createIndex('token', 'token');
+            indexStoredRecords(store, terms);
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the extension upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Fill a new search index from the records already stored (encrypted ones are left out)
+   */
+  function indexStoredRecords(store, terms) {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const dbCursor = request.result;
+      if (!dbCursor) return;
+      if (!dbCursor.value.encrypted) {
+        getPostings(dbCursor.value).forEach(posting => terms.put(posting));
+      }
+      dbCursor.continue();
+    };
+  }
+
+  /**
+   * Search index postings for a plain record: one per distinct token, weighted by where and how often it appears
+   */
+  function getPostings(record) {
+    const weights = new Map();
+    const add = (text, weight) => {
+      FormTrackQuery.tokenize(text).forEach(token => {
+        weights.set(token, (weights.get(token) || 0) + weight);
+      });
+    };
+
+    add(record.title, TERM_WEIGHTS.title);
+    add(record.url, TERM_WEIGHTS.url);
+    add(record.notes, TERM_WEIGHTS.notes);
+    (record.tags || []).forEach(tag => add(tag, TERM_WEIGHTS.tags));
+    FormTrackSchema.getFields(record).forEach(field => {
+      add(field.name, TERM_WEIGHTS.name);
+      add(field.label, TERM_WEIGHTS.label);
+      [].concat(field.value ?? []).forEach(item => {
+        add(typeof item === 'object' ? JSON.stringify(item) : item, TERM_WEIGHTS.value);
+      });
+    });
+
+    return [...weights].map(([token, weight]) => ({ id: record.id, token, weight, timestamp: record.timestamp }));
+  }
+
+  /**
+   * Key range of every posting for one submission
+   */
+  function postingRange(id) {
+    return IDBKeyRange.bound([id], [id, KEY_MAX]);
+  }
+
+  /**
+   * Get the host name a submission was captured on
+   */
+  function getDomain(submission) {
+    try {
+      return new URL(submission.pageUrl || submission.url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Origin + path of a URL (no query, hash or trailing slash)
+   */
+  function getPathKey(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.origin + urlObj.pathname.replace(/\/+$/, '');
+    } catch {
+      return url || '';
+    }
+  }
+
+  /**
+   * Short synchronous string hash (cyrb53), as 14 hex digits
+   */
+  function hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  }
+
+  /**
+   * Where a form was sent: origin + path of the action, or of the page when there is none
+   */
+  function getFormTarget(submission) {
+    return getPathKey(submission.action || submission.pageUrl || submission.url);
+  }
+
+  /**
+   * Identity of the form a submission came from: its target and the set of field names.
+   * Repeat submissions of one form share it, even across query strings or a form embedded on several pages
+   */
+  function getFormFingerprint(submission) {
+    const target = getFormTarget(submission);
+    const names = [...new Set(FormTrackSchema.getFields(submission).map(field => field.name))].sort();
+    return hashText(JSON.stringify([target, names]));
+  }
+
+  /**
+   * Add the indexed properties to a submission before it is stored
+   * Plain form submits have no source, so they are indexed as 'submit'
+   */
+  function toRecord(submission) {
+    return {
+      ...submission,
+      timestamp: submission.timestamp || new Date().toISOString(),
+      domain: getDomain(submission),
+      source: submission.source || 'submit',
+      formFingerprint: getFormFingerprint(submission)
+    };
+  }
+
+  /**
+   * Install the record codec
+   * encode(record) runs before every write; decode(stored) runs for records marked `encrypted`
+   */
+  function setCodec(nextCodec) {
+    codec = nextCodec;
+  }
+
+  async function encodeRecord(record) {
+    return codec ? codec.encode(record) : record;
+  }
+
+  /**
+   * Decode a stored record and bring it to the current submission format
+   */
+  async function decodeRecord(stored) {
+    if (!stored || !stored.encrypted) {
+      return FormTrackSchema.migrateSubmission(stored);
+    }
+    if (!codec) {
+      throw new Error('Encrypted submission found but no codec is installed');
+    }
+    return FormTrackSchema.migrateSubmission(await codec.decode(stored));
+  }
+
+  /**
+   * Encode the position after the last returned record
+   */
+  function encodeCursor(record) {
+    return JSON.stringify([record.timestamp, record.id]);
+  }
+
+  function decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(cursor);
+      if (Array.isArray(position) && position.length === 2) {
+        return position.map(String);
+      }
+    } catch {
+      // Fall through
+    }
+    throw new Error('Invalid cursor');
+  }
+
+  /**
+   * Build the key range for a page, newest first
+   * `after` is inclusive, `before` and the cursor are exclusive
+   */
+  function buildRange(prefix, filter, cursor) {
+    const lower = filter.after ? [...prefix, filter.after] : prefix;
+
+    let upper = [...prefix, KEY_MAX];
+    let upperOpen = false;
+
+    if (filter.before) {
+      upper = [...prefix, filter.before];
+      upperOpen = true;
+    }
+
+    if (cursor) {
+      const cursorKey = [...prefix, ...decodeCursor(cursor)];
+      if (indexedDB.cmp(cursorKey, upper) < 0) {
+        upper = cursorKey;
+        upperOpen = true;
+      }
+    }
+
+    if (indexedDB.cmp(lower, upper) > 0) {
+      return null;
+    }
+    return IDBKeyRange.bound(lower, upper, false, upperOpen);
+  }
+
+  /**
+   * Read up to `count` stored records from an index range, newest first
+   */
+  async function readBatch(indexName, range, count) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index(indexName);
+    const records = [];
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(range, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const dbCursor = request.result;
+        if (!dbCursor) {
+          resolve();
+          return;
+        }
+
+        records.push(dbCursor.value);
+        if (records.length === count) {
+          resolve();
+          return;
+        }
+        dbCursor.continue();
+      };
+    });
+
+    return records;
+  }
+
+  /**
+   * Check a decoded record against a query filter and its parsed search
+   */
+  function matchesFilter(record, filter, query) {
+    return (!filter.form || record.formFingerprint === filter.form) &&
+           (!filter.domain || record.domain === filter.domain.toLowerCase()) &&
+           (!filter.target || getFormTarget(record) === filter.target) &&
+           (!filter.source || record.source === filter.source) &&
+           (!filter.tag || FormTrackSchema.hasTag(record, filter.tag)) &&
+           (!filter.after || record.timestamp >= filter.after) &&
+           (!filter.before || record.timestamp < filter.before) &&
+           FormTrackQuery.matchesQuery(record, query);
+  }
+
+  function hasFilter(filter, query) {
+    return FILTER_KEYS.some(key => filter[key]) || query.terms.length > 0;
+  }
+
+  /**
+   * Count the records of an index range that pass the filter (a full read, since most of it needs decoding)
+   */
+  async function countMatches(indexName, prefix, bounds, filter, query) {
+    let count = 0;
+    let position = null;
+    for (;;) {
+      const range = buildRange(prefix, bounds, position);
+      if (!range) break;
+
+      const batch = await readBatch(indexName, range, READ_BATCH_SIZE);
+      const records = await Promise.all(batch.map(decodeRecord));
+      count += records.filter(record => matchesFilter(record, filter, query)).length;
+
+      if (batch.length < READ_BATCH_SIZE) break;
+      position = encodeCursor(batch[batch.length - 1]);
+    }
+    return count;
+  }
+
+  /**
+   * Query one page of submissions, newest first
+   * filter: { form, domain, target, source, tag, after, before, query } - query uses the search language in query.js
+   * Resolves to { submissions, nextCursor, total, stored } - nextCursor is null on the last page, total counts
+   * the submissions that match the filter (null with `count: false`) and stored counts all of them
+   */
+  async function querySubmissions({ cursor = null, limit = DEFAULT_PAGE_SIZE, filter = {}, count = true } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = FormTrackQuery.parseQuery(filter.query);
+    if (query.errors.length > 0) {
+      throw new Error(`Invalid search: ${query.errors[0]}`);
+    }
+
+    // The query's after:/before: narrow the range that is read
+    const timeRange = FormTrackQuery.getTimeRange(query);
+    const bounds = {
+      after: [filter.after, timeRange.after].filter(Boolean).sort().pop(),
+      before: [filter.before, timeRange.before].filter(Boolean).sort()[0]
+    };
+
+    // Use the most selective index available; the rest of the filter is applied to each batch
+    let indexName = 'timestamp';
+    let prefix = [];
+    if (filter.form) {
+      indexName = 'form';
+      prefix = [filter.form];
+    } else if (filter.domain) {
+      indexName = 'domain';
+      prefix = [filter.domain.toLowerCase()];
+    } else if (filter.source) {
+      indexName = 'source';
+      prefix = [filter.source];
+    }
+
+    const stored = await countSubmissions();
+    let total = null;
+    if (count) {
+      total = hasFilter(filter, query) ? await countMatches(indexName, prefix, bounds, filter, query) : stored;
+    }
+    const submissions = [];
+    let hasMore = false;
+    let position = cursor;
+
+    // Records are read in batches because decoding is async and would end a cursor's transaction
+    while (!hasMore) {
+      const range = buildRange(prefix, bounds, position);
+      if (!range) break;
+
+      const batch = await readBatch(indexName, range, READ_BATCH_SIZE);
+      const records = await Promise.all(batch.map(decodeRecord));
+
+      for (const record of records) {
+        if (!matchesFilter(record, filter, query)) continue;
+
+        if (submissions.length === pageSize) {
+          hasMore = true;
+          break;
+        }
+        submissions.push(record);
+      }
+
+      if (batch.length < READ_BATCH_SIZE) break;
+      position = encodeCursor(batch[batch.length - 1]);
+    }
+
+    return {
+      submissions,
+      nextCursor: hasMore ? encodeCursor(submissions[submissions.length - 1]) : null,
+      total,
+      stored
+    };
+  }
+
+  /**
+   * IDs of the submissions containing every query word (as a whole token or the start of one), best match first
+   * A word scores its postings' weight times its inverse document frequency; ties go to the newest submission
+   */
+  async function rankSubmissions(words) {
+    const total = await countSubmissions();
+    const db = await openDatabase();
+    const transaction = db.transaction(TERMS_STORE, 'readonly');
+    const index = transaction.objectStore(TERMS_STORE).index('token');
+    const postingLists = await Promise.all(words.map(word => {
+      return promisifyRequest(index.getAll(IDBKeyRange.bound(word, `${word}\uffff`)));
+    }));
+
+    let ranked = null;
+    words.forEach((word, i) => {
+      // A submission's best posting for this word (a prefix can match several of its tokens)
+      const matches = new Map();
+      postingLists[i].forEach(posting => {
+        const weight = posting.weight * (posting.token === word ? 1 : PREFIX_MATCH_WEIGHT);
+        const match = matches.get(posting.id);
+        if (!match || weight > match.weight) {
+          matches.set(posting.id, { weight, timestamp: posting.timestamp });
+        }
+      });
+
+      const idf = Math.log(1 + total / Math.max(matches.size, 1));
+      const next = new Map();
+      matches.forEach((match, id) => {
+        if (ranked && !ranked.has(id)) return;
+        const score = (ranked ? ranked.get(id).score : 0) + match.weight * idf;
+        next.set(id, { id, score, timestamp: match.timestamp });
+      });
+      ranked = next;
+    });
+
+    return [...ranked.values()]
+      .sort((a, b) => b.score - a.score || b.timestamp.localeCompare(a.timestamp))
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Read and decode submissions by ID, in order (null for IDs no longer stored)
+   */
+  async function readSubmissions(ids) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const store = transaction.objectStore(SUBMISSIONS_STORE);
+    const records = await Promise.all(ids.map(id => promisifyRequest(store.get(id))));
+    return Promise.all(records.map(record => (record ? decodeRecord(record) : null)));
+  }
+
+  /**
+   * Full-text search using the search index, best match first
+   * Takes the same filter as querySubmissions; a query without free-text words falls back to it (newest first)
+   * Resolves to { submissions, nextCursor, total, stored } like querySubmissions - the cursor is a position in the ranking
+   */
+  async function searchSubmissions({ query = '', cursor = null, limit = DEFAULT_PAGE_SIZE, filter = {}, count = true } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const parsed = FormTrackQuery.parseQuery(query);
+    if (parsed.errors.length > 0) {
+      throw new Error(`Invalid search: ${parsed.errors[0]}`);
+    }
+
+    const words = [...new Set(parsed.terms
+      .filter(term => term.type === 'text' && !term.negate)
+      .flatMap(term => FormTrackQuery.tokenize(term.value)))];
+    if (words.length === 0) {
+      return querySubmissions({ cursor, limit, filter: { ...filter, query }, count });
+    }
+
+    const start = cursor === null ? 0 : Number(cursor);
+    if (!Number.isInteger(start) || start < 0) {
+      throw new Error('Invalid cursor');
+    }
+
+    // Candidates are checked against the full query, since the index only knows about words
+    const ranked = await rankSubmissions(words);
+    const submissions = [];
+    let nextCursor = null;
+    let total = count ? 0 : null;
+
+    // Without a count, reading stops once the page is full
+    for (let i = count ? 0 : start; i < ranked.length && (count || nextCursor === null); i += READ_BATCH_SIZE) {
+      const records = await readSubmissions(ranked.slice(i, i + READ_BATCH_SIZE));
+      for (let j = 0; j < records.length; j++) {
+        const record = records[j];
+        if (!record || !matchesFilter(record, filter, parsed)) continue;
+        if (count) total++;
+        if (i + j < start || nextCursor !== null) continue;
+
+        if (submissions.length === pageSize) {
+          nextCursor = String(i + j);
+          continue;
+        }
+        submissions.push(record);
+      }
+    }
+
+    return { submissions, nextCursor, total, stored: await countSubmissions() };
+  }
+
+  /**
+   * Get every submission captured at or after a timestamp, newest first
+   */
+  async function getSubmissionsSince(timestamp) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index('timestamp');
+    const records = await promisifyRequest(index.getAll(IDBKeyRange.lowerBound([timestamp])));
+    return Promise.all(records.reverse().map(decodeRecord));
+  }
+
+  /**
+   * Get every stored submission, newest first
+   */
+  function getAllSubmissions() {
+    return getSubmissionsSince('');
+  }
+
+  /**
+   * Get every submission captured between two timestamps (both inclusive), newest first
+   */
+  async function getSubmissionsBetween(start, end) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index('timestamp');
+    const records = await promisifyRequest(index.getAll(IDBKeyRange.bound([start], [end, KEY_MAX])));
+    return Promise.all(records.reverse().map(decodeRecord));
+  }
+
+  /**
+   * Get a single submission by ID
+   */
+  async function getSubmission(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const record = await promisifyRequest(transaction.objectStore(SUBMISSIONS_STORE).get(id));
+    return record ? decodeRecord(record) : null;
+  }
+
+  /**
+   * Insert or replace submissions in a single transaction
+   */
+  async function putSubmissions(submissions) {
+    const records = submissions.map(toRecord);
+    // Encode before opening the transaction, which would otherwise commit while waiting
+    const stored = await Promise.all(records.map(encodeRecord));
+
+    const db = await openDatabase();
+    const transaction = db.transaction([SUBMISSIONS_STORE, TERMS_STORE], 'readwrite');
+    const store = transaction.objectStore(SUBMISSIONS_STORE);
+    const terms = transaction.objectStore(TERMS_STORE);
+    stored.forEach((record, i) => {
+      store.put(record);
+      // Replace the record's postings; encrypted records are kept out of the search index
+      terms.delete(postingRange(record.id));
+      if (!record.encrypted) {
+        getPostings(records[i]).forEach(posting => terms.put(posting));
+      }
+    });
+    await promisifyTransaction(transaction);
+    return records;
+  }
+
+  /**
+   * Insert or replace a single submission
+   */
+  async function putSubmission(submission) {
+    const [record] = await putSubmissions([submission]);
+    return record;
+  }
+
+  /**
+   * Delete a single submission, resolving to false when it did not exist
+   */
+  async function deleteSubmission(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUBMISSIONS_STORE, TERMS_STORE], 'readwrite');
+    const store = transaction.objectStore(SUBMISSIONS_STORE);
+    const existing = await promisifyRequest(store.getKey(id));
+    if (existing === undefined) {
+      return false;
+    }
+    store.delete(id);
+    transaction.objectStore(TERMS_STORE).delete(postingRange(id));
+    await promisifyTransaction(transaction);
+    return true;
+  }
+
+  /**
+   * Delete every submission
+   */
+  async function clearSubmissions() {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUBMISSIONS_STORE, TERMS_STORE], 'readwrite');
+    transaction.objectStore(SUBMISSIONS_STORE).clear();
+    transaction.objectStore(TERMS_STORE).clear();
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * Delete the stored records of an index range for which `predicate(record)` is true, without decoding
+   * Resolves to the number deleted
+   */
+  async function deleteWhere(indexName, range, direction, predicate) {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUBMISSIONS_STORE, TERMS_STORE], 'readwrite');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index(indexName);
+    const terms = transaction.objectStore(TERMS_STORE);
+    let deleted = 0;
+
+    const request = index.openCursor(range, direction);
+    request.onsuccess = () => {
+      const dbCursor = request.result;
+      if (!dbCursor) return;
+      if (predicate(dbCursor.value)) {
+        dbCursor.delete();
+        terms.delete(postingRange(dbCursor.value.id));
+        deleted++;
+      }
+      dbCursor.continue();
+    };
+
+    await promisifyTransaction(transaction);
+    return deleted;
+  }
+
+  /**
+   * Delete every unpinned submission captured before a timestamp
+   */
+  function deleteSubmissionsBefore(timestamp) {
+    return deleteWhere('timestamp', IDBKeyRange.upperBound([timestamp]), 'next', record => !record.pinned);
+  }
+
+  /**
+   * Keep only the newest `max` unpinned submissions of each domain; pinned ones are kept and not counted
+   */
+  function trimSubmissionsPerDomain(max) {
+    const kept = new Map();
+    return deleteWhere('domain', null, 'prev', record => {
+      if (record.pinned) return false;
+      const count = (kept.get(record.domain) || 0) + 1;
+      kept.set(record.domain, count);
+      return count > max;
+    });
+  }
+
+  /**
+   * Delete every submission captured on a host or its subdomains, pinned ones included
+   */
+  function deleteSubmissionsForDomain(domain) {
+    const host = domain.toLowerCase();
+    return deleteWhere('domain', null, 'next', record => record.domain === host || record.domain.endsWith(`.${host}`));
+  }
+
+  /**
+   * IDs of records stored in a format older than `version` or before form fingerprints, read without decoding
+   */
+  async function getOutdatedSubmissionIds(version) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const ids = [];
+
+    await new Promise((resolve, reject) => {
+      const request = transaction.objectStore(SUBMISSIONS_STORE).openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const dbCursor = request.result;
+        if (!dbCursor) {
+          resolve();
+          return;
+        }
+        if (!(dbCursor.value.version >= version) || !dbCursor.value.formFingerprint) {
+          ids.push(dbCursor.value.id);
+        }
+        dbCursor.continue();
+      };
+    });
+
+    return ids;
+  }
+
+  /**
+   * Summaries of every distinct form, most recently submitted first:
+   * { formFingerprint, count, firstSubmitted, lastSubmitted, title, url, fieldCount }
+   * Counts come from the `form` index keys; only the latest submission of each form is decoded
+   */
+  async function getForms() {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index('form');
+    const forms = new Map();
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const dbCursor = request.result;
+        if (!dbCursor) {
+          resolve();
+          return;
+        }
+
+        // Keys are [formFingerprint, timestamp, id], oldest first within each form
+        const [formFingerprint, timestamp, id] = dbCursor.key;
+        const form = forms.get(formFingerprint);
+        if (form) {
+          form.count++;
+          form.lastSubmitted = timestamp;
+          form.latestId = id;
+        } else {
+          forms.set(formFingerprint, { formFingerprint, count: 1, firstSubmitted: timestamp, lastSubmitted: timestamp, latestId: id });
+        }
+        dbCursor.continue();
+      };
+    });
+
+    const summaries = await Promise.all([...forms.values()].map(async ({ latestId, ...form }) => {
+      const latest = await getSubmission(latestId);
+      return {
+        ...form,
+        title: latest?.title || '',
+        url: latest ? latest.pageUrl || latest.url : '',
+        fieldCount: FormTrackSchema.getFields(latest).length
+      };
+    }));
+
+    return summaries.sort((a, b) => b.lastSubmitted.localeCompare(a.lastSubmitted));
+  }
+
+  /**
+   * Every tag in use with the number of submissions carrying it, most used first
+   * Tags may be encrypted, so every record is decoded
+   */
+  async function getTags() {
+    const counts = new Map();
+    let position = null;
+
+    while (true) {
+      const range = buildRange([], {}, position);
+      if (!range) break;
+
+      const batch = await readBatch('timestamp', range, READ_BATCH_SIZE);
+      const records = await Promise.all(batch.map(decodeRecord));
+      records.forEach(record => {
+        (record.tags || []).forEach(tag => {
+          const key = tag.toLowerCase();
+          const entry = counts.get(key) || { tag, count: 0 };
+          entry.count++;
+          counts.set(key, entry);
+        });
+      });
+
+      if (batch.length < READ_BATCH_SIZE) break;
+      position = encodeCursor(batch[batch.length - 1]);
+    }
+
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Distinct first key parts of an index (e.g. every domain), read without decoding
+   */
+  async function getIndexValues(indexName) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index(indexName);
+    const values = [];
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const dbCursor = request.result;
+        if (!dbCursor) {
+          resolve();
+          return;
+        }
+        const [value] = dbCursor.key;
+        if (value) values.push(value);
+        // Skip the rest of this value's entries
+        dbCursor.continue([value, KEY_MAX]);
+      };
+    });
+
+    return values;
+  }
+
+  /**
+   * Number of submissions for each first key part of an index (e.g. per domain), read without decoding
+   * Resolves to a Map of value -> count
+   */
+  async function countByIndex(indexName) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    const index = transaction.objectStore(SUBMISSIONS_STORE).index(indexName);
+    const counts = new Map();
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const dbCursor = request.result;
+        if (!dbCursor) {
+          resolve();
+          return;
+        }
+        const [value] = dbCursor.key;
+        counts.set(value, (counts.get(value) || 0) + 1);
+        dbCursor.continue();
+      };
+    });
+
+    return counts;
+  }
+
+  /**
+   * Values for search autocompletion: { domains, sources, fields: [{ name, label }] }
+   * Field names come from the most recent submissions only, since each one has to be decoded
+   */
+  async function getSearchSuggestions() {
+    const [domains, sources] = await Promise.all([getIndexValues('domain'), getIndexValues('source')]);
+
+    const range = buildRange([], {}, null);
+    const batch = range ? await readBatch('timestamp', range, SUGGESTION_SAMPLE_SIZE) : [];
+    const records = await Promise.all(batch.map(decodeRecord));
+    const fields = new Map();
+    records.forEach(record => {
+      FormTrackSchema.getFields(record).forEach(field => {
+        if (!fields.has(field.name)) {
+          fields.set(field.name, { name: field.name, label: field.label });
+        }
+      });
+    });
+
+    return { domains, sources, fields: [...fields.values()] };
+  }
+
+  /**
+   * Count stored submissions
+   */
+  async function countSubmissions() {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUBMISSIONS_STORE, 'readonly');
+    return promisifyRequest(transaction.objectStore(SUBMISSIONS_STORE).count());
+  }
+
+  return {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    setCodec,
+    getDomain,
+    getFormTarget,
+    querySubmissions,
+    searchSubmissions,
+    getSubmissionsSince,
+    getSubmissionsBetween,
+    getAllSubmissions,
+    getSubmission,
+    putSubmission,
+    putSubmissions,
+    deleteSubmission,
+    clearSubmissions,
+    deleteSubmissionsBefore,
+    trimSubmissionsPerDomain,
+    deleteSubmissionsForDomain,
+    countSubmissions,
+    getForms,
+    getTags,
+    countByIndex,
+    getSearchSuggestions,
+    getOutdatedSubmissionIds
+  };
+})();
@@ -0,0 +1,308 @@
+// FormTrack Email Providers
+// One adapter per email API. Each builds its provider's request and maps its errors onto the
+// result the outbox expects: { success, data } or { success: false, error, status, retryable, retryAfter }.
+// Loaded by the background service worker (which sends) and the popup (which edits the settings).
+
+const FormTrackEmail = (function() {
+  'use strict';
+
+  const DEFAULT_PROVIDER = 'resend';
+
+  // Rate limits and server errors go away on their own
+  function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Seconds from a Retry-After header, which holds either seconds or an HTTP date
+   */
+  function getRetryAfter(response) {
+    const value = response.headers.get('retry-after');
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10);
+    }
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(Math.ceil((date - Date.now()) / 1000), 0) : null;
+  }
+
+  /**
+   * Error bodies are JSON for most providers, plain text for some (Mailgun's 401)
+   */
+  async function readErrorBody(response) {
+    const text = await response.text().catch(() => '');
+    try {
+      return JSON.parse(text) || {};
+    } catch {
+      return { message: text.trim() };
+    }
+  }
+
+  function jsonHeaders(extra) {
+    return { 'Content-Type': 'application/json', 'Accept': 'application/json', ...extra };
+  }
+
+  /**
+   * Adapters
+   * fields: provider settings shown in the popup (the keys and tokens are in the vault's SECRET_SETTINGS)
+   * getBaseUrl(settings): API root, replaced by `options.baseUrl` when sending (e.g. a local mock server)
+   * requiresFrom: `emailFrom` must be set, the provider only sends from verified senders
+   * defaultFrom(settings): sender used when `emailFrom` is empty (null for none)
+   * buildRequest(settings, email, baseUrl): { url, init } for fetch
+   * mapError(status, body): { error, retryable }
+   */
+  const PROVIDERS = {
+    resend: {
+      label: 'Resend',
+      fields: [{ key: 'resendApiKey', label: 'Resend API key', required: true }],
+      fromHint: 'Must be verified in your Resend domain. Leave empty to use the Resend test sender.',
+      getBaseUrl: () => 'https://api.resend.com',
+      defaultFrom: () => 'onboarding@resend.dev',
+      buildRequest(settings, email, baseUrl) {
+        const headers = jsonHeaders({ 'Authorization': `Bearer ${settings.resendApiKey}` });
+        // Lets Resend drop a repeat of a send that already went through
+        if (email.idempotencyKey) {
+          headers['Idempotency-Key'] = email.idempotencyKey;
+        }
+        return {
+          url: `${baseUrl}/emails`,
+          init: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ from: email.from, to: email.to, subject: email.subject, html: email.html })
+          }
+        };
+      },
+      mapError(status, body) {
+        // 409: a request with the same idempotency key is still in progress
+        return { error: body.message, retryable: status === 409 || isRetryableStatus(status) };
+      }
+    },
+
+    sendgrid: {
+      label: 'SendGrid',
+      fields: [{ key: 'sendgridApiKey', label: 'SendGrid API key', required: true }],
+      fromHint: 'Required - a verified sender identity in SendGrid.',
+      requiresFrom: true,
+      getBaseUrl: () => 'https://api.sendgrid.com',
+      defaultFrom: () => null,
+      buildRequest(settings, email, baseUrl) {
+        return {
+          url: `${baseUrl}/v3/mail/send`,
+          init: {
+            method: 'POST',
+            headers: jsonHeaders({ 'Authorization': `Bearer ${settings.sendgridApiKey}` }),
+            body: JSON.stringify({
+              personalizations: [{ to: [{ email: email.to }] }],
+              from: { email: email.from },
+              subject: email.subject,
+              content: [{ type: 'text/html', value: email.html }]
+            })
+          }
+        };
+      },
+      mapError(status, body) {
+        // { errors: [{ message, field }] }
+        const messages = (body.errors || []).map(error => (error.field ? `${error.field}: ${error.message}` : error.message));
+        return { error: messages.join('; ') || body.message, retryable: isRetryableStatus(status) };
+      }
+    },
+
+    mailgun: {
+      label: 'Mailgun',
+      fields: [
+        { key: 'mailgunApiKey', label: 'Mailgun API key', required: true },
+        { key: 'mailgunDomain', label: 'Mailgun sending domain', required: true },
+        { key: 'mailgunRegion', label: 'Mailgun region' }
+      ],
+      fromHint: 'Leave empty to send as formtrack@ your Mailgun domain.',
+      getBaseUrl: settings => (settings.mailgunRegion === 'eu' ? 'https://api.eu.mailgun.net' : 'https://api.mailgun.net'),
+      defaultFrom: settings => `FormTrack <formtrack@${settings.mailgunDomain}>`,
+      buildRequest(settings, email, baseUrl) {
+        // Mailgun takes form fields and HTTP basic auth with the user "api"
+        return {
+          url: `${baseUrl}/v3/${encodeURIComponent(settings.mailgunDomain)}/messages`,
+          init: {
+            method: 'POST',
+            headers: { 'Authorization': `Basic ${btoa(`api:${settings.mailgunApiKey}`)}` },
+            body: new URLSearchParams({ from: email.from, to: email.to, subject: email.subject, html: email.html })
+          }
+        };
+      },
+      mapError(status, body) {
+        return { error: body.message, retryable: isRetryableStatus(status) };
+      }
+    },
+
+    postmark: {
+      label: 'Postmark',
+      fields: [
+        { key: 'postmarkServerToken', label: 'Postmark server token', required: true },
+        { key: 'postmarkMessageStream', label: 'Postmark message stream' }
+      ],
+      fromHint: 'Required - a confirmed sender signature or domain in Postmark.',
+      requiresFrom: true,
+      getBaseUrl: () => 'https://api.postmarkapp.com',
+      defaultFrom: () => null,
+      buildRequest(settings, email, baseUrl) {
+        return {
+          url: `${baseUrl}/email`,
+          init: {
+            method: 'POST',
+            headers: jsonHeaders({ 'X-Postmark-Server-Token': settings.postmarkServerToken }),
+            body: JSON.stringify({
+              From: email.from,
+              To: email.to,
+              Subject: email.subject,
+              HtmlBody: email.html,
+              MessageStream: settings.postmarkMessageStream || 'outbound'
+            })
+          }
+        };
+      },
+      mapError(status, body) {
+        // 422 carries { ErrorCode, Message }: invalid sender, inactive recipient... none fixed by retrying
+        const error = body.ErrorCode ? `${body.Message} (error ${body.ErrorCode})` : body.Message || body.message;
+        return { error, retryable: isRetryableStatus(status) };
+      }
+    },
+
+    relay: {
+      label: 'HTTP relay',
+      fields: [
+        { key: 'relayUrl', label: 'relay URL', required: true },
+        { key: 'relayToken', label: 'relay token' }
+      ],
+      fromHint: 'Passed on to your relay; optional.',
+      getBaseUrl: settings => settings.relayUrl,
+      defaultFrom: () => null,
+      buildRequest(settings, email, baseUrl) {
+        const headers = jsonHeaders();
+        if (settings.relayToken) {
+          headers['Authorization'] = `Bearer ${settings.relayToken}`;
+        }
+        if (email.idempotencyKey) {
+          headers['Idempotency-Key'] = email.idempotencyKey;
+        }
+        return {
+          url: baseUrl,
+          init: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+              from: email.from,
+              to: email.to,
+              subject: email.subject,
+              html: email.html,
+              idempotencyKey: email.idempotencyKey || null
+            })
+          }
+        };
+      },
+      mapError(status, body) {
+        // Accepts { error: "..." }, { error: { message } } or { message }
+        const error = typeof body.error === 'string' ? body.error : body.error?.message || body.message;
+        return { error, retryable: status === 408 || status === 409 || status === 425 || isRetryableStatus(status) };
+      }
+    }
+  };
+
+  // Plain http only reaches a relay on this machine, so keys and message bodies never cross the network unencrypted
+  const LOCAL_RELAY_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Whether a relay URL is https, or http to a relay running locally
+   */
+  function isAllowedRelayUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return false;
+    }
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_RELAY_HOSTS.includes(url.hostname));
+  }
+
+  function getProvider(settings) {
+    return PROVIDERS[settings.emailProvider] || PROVIDERS[DEFAULT_PROVIDER];
+  }
+
+  function getFromAddress(settings) {
+    return settings.emailFrom || getProvider(settings).defaultFrom(settings);
+  }
+
+  /**
+   * Labels of the provider settings that still need a value (the recipient is checked separately)
+   * A relay URL that is not https counts as missing
+   */
+  function getMissingSettings(settings) {
+    const provider = getProvider(settings);
+    const missing = provider.fields
+      .filter(field => field.required && !settings[field.key])
+      .map(field => field.label);
+    if (provider === PROVIDERS.relay && settings.relayUrl && !isAllowedRelayUrl(settings.relayUrl)) {
+      missing.push('https relay URL');
+    }
+    if (provider.requiresFrom && !getFromAddress(settings)) {
+      missing.push('"from" email address');
+    }
+    return missing;
+  }
+
+  /**
+   * Whether notifications can be sent; false while the vault hides the API keys
+   */
+  function isConfigured(settings) {
+    return Boolean(settings.emailTo) && getMissingSettings(settings).length === 0;
+  }
+
+  /**
+   * Send { to, subject, html, from?, idempotencyKey? } through the provider chosen in `settings`
+   */
+  async function sendEmail(settings, email, options = {}) {
+    const provider = getProvider(settings);
+    const missing = getMissingSettings(settings);
+    if (missing.length > 0) {
+      return { success: false, error: `Missing ${missing.join(', ')}`, retryable: false };
+    }
+
+    try {
+      const baseUrl = (options.baseUrl || provider.getBaseUrl(settings)).replace(/\/+$/, '');
+      const { url, init } = provider.buildRequest(settings, { ...email, from: email.from || getFromAddress(settings) }, baseUrl);
+      const response = await fetch(url, init);
+
+      if (!response.ok) {
+        const { error, retryable } = provider.mapError(response.status, await readErrorBody(response));
+        console.error(`FormTrack: Error sending email via ${provider.label}`, response.status, error);
+        return {
+          success: false,
+          error: `${provider.label}: ${error || `HTTP ${response.status}`}`,
+          status: response.status,
+          retryable,
+          retryAfter: getRetryAfter(response)
+        };
+      }
+
+      // SendGrid answers 202 with an empty body
+      const data = await response.json().catch(() => ({}));
+      return { success: true, data };
+    } catch (error) {
+      // Offline, DNS failure or the request was cut off
+      console.error(`FormTrack: Error sending email via ${provider.label}`, error);
+      return { success: false, error: error.message, retryable: true };
+    }
+  }
+
+  return {
+    DEFAULT_PROVIDER,
+    PROVIDERS,
+    getProvider,
+    getFromAddress,
+    getMissingSettings,
+    isAllowedRelayUrl,
+    isConfigured,
+    sendEmail
+  };
+})();
@@ -0,0 +1,287 @@
+// FormTrack Network Hooks
+// Runs in the page's main world so fetch, XHR and sendBeacon calls made by page scripts are seen.
+// Parsed request bodies are relayed to content.js with window.postMessage; nothing is sent anywhere else.
+
+(function() {
+  'use strict';
+
+  // Guard against double injection (e.g. the extension being reloaded)
+  if (window.__formtrackNetworkHooks) return;
+  Object.defineProperty(window, '__formtrackNetworkHooks', { value: true });
+
+  const CHANNEL = 'formtrack-network';
+  const CHANNEL_VERSION = 1;
+  const MAX_BODY_LENGTH = 1024 * 1024;
+  const CAPTURED_METHODS = ['POST', 'PUT', 'PATCH'];
+
+  /**
+   * Same filter the content script applies: never relay anything that looks like a password
+   */
+  function isPasswordKey(key) {
+    return String(key).toLowerCase().includes('password');
+  }
+
+  /**
+   * Add a value under a key, collecting repeated keys into an array
+   */
+  function addField(fields, key, value) {
+    if (isPasswordKey(key)) return;
+    if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      fields[key] = [].concat(fields[key], value);
+    } else {
+      fields[key] = value;
+    }
+  }
+
+  /**
+   * Describe a FormData entry value without sending file contents
+   */
+  function describeEntryValue(value) {
+    if (typeof File !== 'undefined' && value instanceof File) {
+      return `${value.name || 'unnamed'} (file)`;
+    }
+    return String(value);
+  }
+
+  function parseFormData(formData) {
+    const fields = {};
+    formData.forEach((value, key) => addField(fields, key, describeEntryValue(value)));
+    return fields;
+  }
+
+  function parseUrlEncoded(text) {
+    const fields = {};
+    new URLSearchParams(text).forEach((value, key) => addField(fields, key, value));
+    return fields;
+  }
+
+  /**
+   * Keep the top level of a JSON body (nested values are passed through as-is)
+   */
+  function parseJson(text) {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return null;
+    }
+    const fields = {};
+    Object.keys(parsed).forEach(key => addField(fields, key, parsed[key]));
+    return fields;
+  }
+
+  /**
+   * Parse a multipart/form-data body sent as a string
+   */
+  function parseMultipart(text, boundary) {
+    const fields = {};
+    text.split(`--${boundary}`).forEach(part => {
+      const headerEnd = part.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const headers = part.slice(0, headerEnd);
+      const name = /name="([^"]*)"/i.exec(headers);
+      if (!name) return;
+
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      const value = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+      addField(fields, name[1], filename ? `${filename[1] || 'unnamed'} (file)` : value);
+    });
+    return fields;
+  }
+
+  /**
+   * Parse a text body using the content type when known, otherwise by sniffing
+   * Returns { fields, bodyType } or null
+   */
+  function parseTextBody(text, contentType) {
+    if (!text || text.length > MAX_BODY_LENGTH) return null;
+    const type = (contentType || '').toLowerCase();
+
+    // Boundaries are case-sensitive, so match against the original header
+    const boundary = /multipart\/form-data;.*boundary=("?)([^";]+)\1/i.exec(contentType || '');
+    if (boundary) {
+      return { fields: parseMultipart(text, boundary[2]), bodyType: 'multipart' };
+    }
+
+    if (type.includes('json') || /^\s*[{[]/.test(text)) {
+      try {
+        const fields = parseJson(text);
+        return fields ? { fields, bodyType: 'json' } : null;
+      } catch (e) {
+        // Not JSON after all, fall through to URL-encoded
+      }
+    }
+
+    if (type.includes('x-www-form-urlencoded') || /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(text.trim())) {
+      return { fields: parseUrlEncoded(text), bodyType: 'url-encoded' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse any supported body type; resolves to { fields, bodyType } or null
+   */
+  async function parseBody(body, contentType) {
+    if (!body) return null;
+
+    if (body instanceof FormData) {
+      return { fields: parseFormData(body), bodyType: 'form-data' };
+    }
+    if (body instanceof URLSearchParams) {
+      return { fields: parseUrlEncoded(body.toString()), bodyType: 'url-encoded' };
+    }
+    if (typeof body === 'string') {
+      return parseTextBody(body, contentType);
+    }
+    if (body instanceof Blob) {
+      if (body.size > MAX_BODY_LENGTH || !/json|text|urlencoded|multipart/i.test(body.type || contentType || '')) {
+        return null;
+      }
+      return parseTextBody(await body.text(), body.type || contentType);
+    }
+    return null;
+  }
+
+  /**
+   * Get a Content-Type header from Headers, an array of pairs or a plain object
+   */
+  function getContentType(headers) {
+    if (!headers) return '';
+    try {
+      if (headers instanceof Headers) return headers.get('content-type') || '';
+      const entries = Array.isArray(headers) ? headers : Object.entries(headers);
+      const match = entries.find(([key]) => String(key).toLowerCase() === 'content-type');
+      return match ? String(match[1]) : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page
+   */
+  function toAbsoluteUrl(url) {
+    try {
+      return new URL(String(url), window.location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  /**
+   * Relay a parsed request to the content script
+   */
+  function relay(kind, method, url, parsed) {
+    if (!parsed || !parsed.fields || Object.keys(parsed.fields).length === 0) return;
+
+    try {
+      const targetOrigin = window.location.origin === 'null' ? '*' : window.location.origin;
+      window.postMessage({
+        channel: CHANNEL,
+        version: CHANNEL_VERSION,
+        kind,
+        method: method.toUpperCase(),
+        url: toAbsoluteUrl(url),
+        bodyType: parsed.bodyType,
+        fields: parsed.fields
+      }, targetOrigin);
+    } catch (e) {
+      // Values that cannot be cloned are dropped silently
+    }
+  }
+
+  /**
+   * Parse and relay without ever affecting the page's own request
+   */
+  function capture(kind, method, url, body, contentType) {
+    if (!method || !CAPTURED_METHODS.includes(String(method).toUpperCase())) return;
+
+    Promise.resolve()
+      .then(() => (typeof body === 'function' ? body() : body))
+      .then(resolvedBody => parseBody(resolvedBody, contentType))
+      .then(parsed => relay(kind, String(method), url, parsed))
+      .catch(() => {});
+  }
+
+  // fetch
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function(input, init) {
+      try {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const method = (init && init.method) || (isRequest ? input.method : 'GET');
+        const url = isRequest ? input.url : input;
+
+        if (init && init.body) {
+          capture('fetch', method, url, init.body, getContentType(init.headers) || (isRequest ? input.headers.get('content-type') : ''));
+        } else if (isRequest && input.body && CAPTURED_METHODS.includes(method.toUpperCase())) {
+          // Read a copy so the page's request body is left untouched
+          const copy = input.clone();
+          const contentType = input.headers.get('content-type') || '';
+          capture('fetch', method, url, () => (
+            /multipart\/form-data/i.test(contentType) ? copy.formData() : copy.text()
+          ), contentType);
+        }
+      } catch (e) {
+        // Never interfere with the page's request
+      }
+      return originalFetch.apply(this, arguments);
+    };
+  }
+
+  // XMLHttpRequest
+  if (typeof XMLHttpRequest !== 'undefined') {
+    const requestInfo = new WeakMap();
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function(method, url) {
+      try {
+        requestInfo.set(this, { method, url, contentType: '' });
+      } catch (e) {
+        // Ignore
+      }
+      return originalOpen.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+      try {
+        const info = requestInfo.get(this);
+        if (info && String(name).toLowerCase() === 'content-type') {
+          info.contentType = String(value);
+        }
+      } catch (e) {
+        // Ignore
+      }
+      return originalSetRequestHeader.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.send = function(body) {
+      try {
+        const info = requestInfo.get(this);
+        if (info && body) {
+          capture('xhr', info.method, info.url, body, info.contentType);
+        }
+      } catch (e) {
+        // Ignore
+      }
+      return originalSend.apply(this, arguments);
+    };
+  }
+
+  // navigator.sendBeacon (always a POST)
+  if (navigator.sendBeacon) {
+    const originalSendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function(url, data) {
+      try {
+        if (data) {
+          capture('beacon', 'POST', url, data, '');
+        }
+      } catch (e) {
+        // Ignore
+      }
+      return originalSendBeacon.apply(this, arguments);
+    };
+  }
+})();
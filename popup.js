@@ -1,16 +1,35 @@
 // FormTrack Popup Script
 // Handles UI interactions and displays submissions
 
-let allSubmissions = [];
+// Submissions are loaded a page at a time from the background worker
+const PAGE_SIZE = 50;
+const EXPORT_PAGE_SIZE = 500;
+const SEARCH_DEBOUNCE_MS = 200;
+const MAX_SEARCH_SUGGESTIONS = 20;
+
+// Loaded pages for the current search, newest first
 let filteredSubmissions = [];
+let totalSubmissions = 0;
+let matchedSubmissions = 0;
+let nextCursor = null;
+let currentQuery = '';
+let currentTag = '';
+let loadRequestId = 0;
 
 // DOM elements
 const submissionsList = document.getElementById('submissionsList');
 const searchInput = document.getElementById('searchInput');
+const tagFilter = document.getElementById('tagFilter');
+const searchError = document.getElementById('searchError');
+const searchSuggestionList = document.getElementById('searchSuggestions');
 const statsText = document.getElementById('statsText');
 const exportBtn = document.getElementById('exportBtn');
 const clearBtn = document.getElementById('clearBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
+const siteBtn = document.getElementById('siteBtn');
 const emptyState = document.getElementById('emptyState');
+const undoBar = document.getElementById('undoBar');
+const undoDeleteBtn = document.getElementById('undoDeleteBtn');
 
 /**
  * Format timestamp to readable date
@@ -35,6 +54,19 @@ function formatDate(timestamp) {
   });
 }
 
+/**
+ * Format timestamp as an absolute date and time
+ */
+function formatFullDate(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
 /**
  * Truncate URL for display
  */
@@ -57,17 +89,62 @@ function truncateUrl(url, maxLength = 50) {
   }
 }
 
+/**
+ * Escape text for safe use inside innerHTML templates
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render one field of a submission: label, raw name, type, value, options and flags
+ * Chosen options are highlighted
+ */
+function renderFieldItem(field, redactionPolicy) {
+  const chosen = [].concat(field.value).map(String);
+  const nameHtml = field.label
+    ? `${escapeHtml(field.label)} <span class="field-name">${escapeHtml(field.name)}</span>`
+    : escapeHtml(field.name);
+  const valueHtml = field.value === null
+    ? '<em>(not stored)</em>'
+    : escapeHtml(formatCellValue(field.value));
+  const optionsHtml = field.options
+    ? field.options.map(option => (chosen.includes(option)
+      ? `<strong>${escapeHtml(option)}</strong>`
+      : escapeHtml(option))).join(' · ')
+    : '';
+
+  return `
+    <li class="field-item">
+      <div class="field-heading">
+        <span class="field-label">${nameHtml}${field.required ? '<span class="field-required" title="Required">*</span>' : ''}</span>
+        <span class="field-type">${escapeHtml(field.type)}</span>
+        ${field.redacted ? `<span class="redacted-flag" title="Redacted (${escapeHtml(redactionPolicy || 'mask')})">${escapeHtml(field.redacted.join(', '))}</span>` : ''}
+      </div>
+      <div class="field-value">${valueHtml}</div>
+      ${optionsHtml ? `<div class="field-options">Options: ${optionsHtml}</div>` : ''}
+    </li>
+  `;
+}
+
 /**
  * Render a single submission
  */
-function renderSubmission(submission, index) {
+function renderSubmission(submission) {
   const submissionDiv = document.createElement('div');
   submissionDiv.className = 'submission-item';
-  submissionDiv.dataset.index = index;
+  submissionDiv.dataset.id = submission.id;
 
   const timeAgo = formatDate(submission.timestamp);
   const displayUrl = truncateUrl(submission.url, 60);
-  const fieldCount = Object.keys(submission.fields || {}).length;
+  const fields = FormTrackSchema.getFields(submission);
+  const fieldCount = fields.length;
+  const redactedCount = fields.filter(field => field.redacted).length;
   const isGoogleForm = submission.source === 'google-forms' || 
                        submission.url.includes('docs.google.com/forms/');
   const isMicrosoftForm = submission.source === 'microsoft-forms' ||
@@ -89,26 +166,71 @@ function renderSubmission(submission, index) {
   submissionDiv.innerHTML = `
     <div class="submission-header">
       <div class="submission-time">${timeAgo}</div>
-      <button class="toggle-btn" data-id="${index}">
+      <button class="toggle-btn" data-id="${escapeHtml(submission.id)}">
         <span class="toggle-icon">▼</span>
       </button>
     </div>
-    <div class="submission-url" title="${submission.url}">
-      ${displayUrl}
+    <div class="submission-url" title="${escapeHtml(submission.url)}">
+      ${escapeHtml(displayUrl)}
       ${sourceBadge}
     </div>
-    <div class="submission-title">${submission.title || 'Untitled Page'}</div>
+    <div class="submission-title">${escapeHtml(submission.title || 'Untitled Page')}</div>
     <div class="submission-preview">
       <span class="field-count">${fieldCount} field${fieldCount !== 1 ? 's' : ''}</span>
+      ${submission.pinned ? '<span class="pinned-flag" title="Never deleted by the retention rules">📌 pinned</span>' : ''}
+      ${submission.editedAt ? '<span class="edited-flag">edited</span>' : ''}
+      ${redactedCount > 0 ? `<span class="redacted-flag" title="Sensitive values were redacted before storing">${redactedCount} redacted</span>` : ''}
+      ${(submission.tags || []).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}
     </div>
     <div class="submission-details" style="display: none;">
+      <div class="details-actions">
+        <button class="btn-item-action btn-refill-submission" title="Fill these answers into the form in the current tab">↩️ Refill this page</button>
+        <button class="btn-item-action btn-compare-submission" title="Show what changed since the previous submission of this form">🔀 Compare with previous</button>
+        <button class="btn-item-action btn-edit-submission" title="Edit title and fields">✏️ Edit</button>
+        <button class="btn-item-action btn-pin-submission" title="Pinned submissions are never deleted by the retention rules">📌 ${submission.pinned ? 'Unpin' : 'Pin'}</button>
+        <button class="btn-item-action btn-item-danger btn-delete-submission" title="Delete this submission">🗑️ Delete</button>
+        ${submission.domain ? `<button class="btn-item-action btn-item-danger btn-forget-site" title="Delete everything captured on ${escapeHtml(submission.domain)}">🧹 Forget this site</button>` : ''}
+      </div>
+      <div class="restore-report" style="display: none;"></div>
+      <div class="compare-panel" style="display: none;"></div>
+      <div class="submission-editor" style="display: none;">
+        <div class="details-section">
+          <strong>Title:</strong>
+          <input type="text" class="setting-input edit-title" />
+        </div>
+        <div class="details-section">
+          <strong>Tags (comma-separated):</strong>
+          <input type="text" class="setting-input edit-tags" placeholder="expense claim, needs follow-up" />
+        </div>
+        <div class="details-section">
+          <strong>Notes:</strong>
+          <textarea class="setting-input edit-notes" rows="3"></textarea>
+        </div>
+        <div class="details-section">
+          <strong>Fields (JSON):</strong>
+          <textarea class="fields-json edit-fields" rows="8" spellcheck="false"></textarea>
+          <div class="edit-error" style="display: none;"></div>
+        </div>
+        <div class="details-actions">
+          <button class="btn-item-action btn-save-edit">Save</button>
+          <button class="btn-item-action btn-cancel-edit">Cancel</button>
+        </div>
+      </div>
+      ${submission.notes ? `
+      <div class="details-section">
+        <strong>Notes:</strong>
+        <div class="submission-notes">${escapeHtml(submission.notes)}</div>
+      </div>
+      ` : ''}
       <div class="details-section">
         <strong>Fields:</strong>
-        <pre class="fields-json">${JSON.stringify(submission.fields, null, 2)}</pre>
+        <ul class="field-list">
+          ${fields.map(field => renderFieldItem(field, submission.redactionPolicy)).join('')}
+        </ul>
       </div>
       <div class="details-section">
         <strong>Full URL:</strong>
-        <div class="full-url">${submission.url}</div>
+        <div class="full-url">${escapeHtml(submission.url)}</div>
       </div>
       <div class="details-section">
         <strong>Timestamp:</strong>
@@ -119,17 +241,17 @@ function renderSubmission(submission, index) {
         <strong>Source:</strong>
         <div>${submission.source === 'google-forms' ? 'Google Forms' : 
                 (submission.source === 'microsoft-forms' ? 'Microsoft Forms' : 
-                (submission.source === 'clickup-forms' ? 'ClickUp Forms' : submission.source))}</div>
+                (submission.source === 'clickup-forms' ? 'ClickUp Forms' : escapeHtml(submission.source)))}</div>
       </div>
       ` : ''}
       <div class="details-section ai-summary-section">
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
           <strong>🤖 AI Summary:</strong>
-          <button class="btn-generate-summary" data-submission-index="${index}" title="Generate AI Summary">
+          <button class="btn-generate-summary" title="Generate AI Summary">
             Generate Summary
           </button>
         </div>
-        <div class="ai-summary-content" id="ai-summary-${index}" style="display: none;">
+        <div class="ai-summary-content" style="display: none;">
           <div class="ai-summary-loading" style="display: none;">Generating summary...</div>
           <div class="ai-summary-text"></div>
           <div class="ai-summary-error" style="display: none; color: #d32f2f; font-size: 12px; margin-top: 8px;"></div>
@@ -155,10 +277,91 @@ function renderSubmission(submission, index) {
   const generateSummaryBtn = submissionDiv.querySelector('.btn-generate-summary');
   if (generateSummaryBtn) {
     generateSummaryBtn.addEventListener('click', async () => {
-      await generateAISummary(index);
+      await generateAISummary(submission, submissionDiv);
     });
   }
 
+  // Add edit functionality
+  const editor = submissionDiv.querySelector('.submission-editor');
+  const editTitle = submissionDiv.querySelector('.edit-title');
+  const editTags = submissionDiv.querySelector('.edit-tags');
+  const editNotes = submissionDiv.querySelector('.edit-notes');
+  const editFields = submissionDiv.querySelector('.edit-fields');
+  const editError = submissionDiv.querySelector('.edit-error');
+
+  submissionDiv.querySelector('.btn-edit-submission').addEventListener('click', () => {
+    editTitle.value = submission.title || '';
+    editTags.value = (submission.tags || []).join(', ');
+    editNotes.value = submission.notes || '';
+    editFields.value = JSON.stringify(FormTrackSchema.getFieldValues(submission), null, 2);
+    editError.style.display = 'none';
+    editor.style.display = 'block';
+  });
+
+  submissionDiv.querySelector('.btn-cancel-edit').addEventListener('click', () => {
+    editor.style.display = 'none';
+  });
+
+  submissionDiv.querySelector('.btn-save-edit').addEventListener('click', async () => {
+    let fields;
+    try {
+      fields = JSON.parse(editFields.value);
+    } catch (error) {
+      editError.textContent = 'Fields must be valid JSON: ' + error.message;
+      editError.style.display = 'block';
+      return;
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      editError.textContent = 'Fields must be a JSON object of name/value pairs';
+      editError.style.display = 'block';
+      return;
+    }
+
+    await saveSubmissionEdits(submission.id, {
+      title: editTitle.value.trim(),
+      fields,
+      tags: FormTrackSchema.normalizeTags(editTags.value),
+      notes: editNotes.value
+    }, submissionDiv);
+  });
+
+  // Add refill functionality
+  const refillBtn = submissionDiv.querySelector('.btn-refill-submission');
+  refillBtn.addEventListener('click', async () => {
+    refillBtn.disabled = true;
+    try {
+      await refillSubmission(submission, submissionDiv);
+    } finally {
+      refillBtn.disabled = false;
+    }
+  });
+
+  // Add compare functionality
+  const compareBtn = submissionDiv.querySelector('.btn-compare-submission');
+  compareBtn.addEventListener('click', async () => {
+    compareBtn.disabled = true;
+    try {
+      await toggleComparison(submission, submissionDiv.querySelector('.compare-panel'));
+    } finally {
+      compareBtn.disabled = false;
+    }
+  });
+
+  // Add pin functionality
+  submissionDiv.querySelector('.btn-pin-submission').addEventListener('click', async () => {
+    await setSubmissionPinned(submission, !submission.pinned, submissionDiv);
+  });
+
+  // Add delete functionality
+  submissionDiv.querySelector('.btn-delete-submission').addEventListener('click', async () => {
+    await deleteSubmission(submission);
+  });
+
+  submissionDiv.querySelector('.btn-forget-site')?.addEventListener('click', async () => {
+    await forgetSite(submission.domain);
+  });
+
   return submissionDiv;
 }
 
@@ -177,423 +380,2697 @@ function renderSubmissions() {
   emptyState.style.display = 'none';
   submissionsList.style.display = 'block';
 
-  filteredSubmissions.forEach((submission, index) => {
-    const submissionElement = renderSubmission(submission, index);
+  appendSubmissionElements(filteredSubmissions);
+}
+
+/**
+ * Append rendered submissions, followed by a "Load more" button when more pages exist
+ */
+function appendSubmissionElements(submissions) {
+  submissionsList.querySelector('.btn-load-more')?.remove();
+
+  submissions.forEach(submission => {
+    const submissionElement = renderSubmission(submission);
     submissionsList.appendChild(submissionElement);
   });
+
+  if (nextCursor) {
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.className = 'btn-load-more';
+    loadMoreBtn.textContent = 'Load more';
+    loadMoreBtn.addEventListener('click', () => {
+      loadMoreBtn.disabled = true;
+      loadMoreBtn.textContent = 'Loading...';
+      loadSubmissions({ append: true });
+    });
+    submissionsList.appendChild(loadMoreBtn);
+  }
 }
 
 /**
- * Update stats
+ * Replace a submission in the local lists after it changed in storage
  */
-function updateStats() {
-  const total = allSubmissions.length;
-  const filtered = filteredSubmissions.length;
-  
-  if (filtered === total) {
-    statsText.textContent = `${total} submission${total !== 1 ? 's' : ''}`;
-  } else {
-    statsText.textContent = `Showing ${filtered} of ${total} submission${total !== 1 ? 's' : ''}`;
-  }
+function replaceLocalSubmission(updated) {
+  filteredSubmissions = filteredSubmissions.map(submission => submission.id === updated.id ? updated : submission);
 }
 
 /**
- * Filter submissions based on search query
+ * Save edits to a submission and re-render it in place
  */
-function filterSubmissions(query) {
-  if (!query || query.trim() === '') {
-    filteredSubmissions = [...allSubmissions];
-    renderSubmissions();
-    updateStats();
-    return;
-  }
+async function saveSubmissionEdits(id, changes, submissionDiv) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SUBMISSION',
+      id,
+      changes
+    });
 
-  const lowerQuery = query.toLowerCase();
-  
-  filteredSubmissions = allSubmissions.filter(submission => {
-    // Search in URL
-    if (submission.url && submission.url.toLowerCase().includes(lowerQuery)) {
-      return true;
-    }
-    
-    // Search in title
-    if (submission.title && submission.title.toLowerCase().includes(lowerQuery)) {
-      return true;
-    }
-    
-    // Search in field names and values
-    if (submission.fields) {
-      for (const [key, value] of Object.entries(submission.fields)) {
-        if (key.toLowerCase().includes(lowerQuery)) return true;
-        if (String(value).toLowerCase().includes(lowerQuery)) return true;
-      }
+    if (!response || !response.success) {
+      alert('Error saving changes: ' + (response?.error || 'Unknown error'));
+      return;
     }
-    
-    return false;
-  });
 
-  renderSubmissions();
-  updateStats();
+    replaceLocalSubmission(response.submission);
+    loadTags();
+    showUpdatedSubmission(response.submission, submissionDiv);
+  } catch (error) {
+    console.error('Error saving submission:', error);
+    alert('Error saving changes: ' + error.message);
+  }
+}
+
+/**
+ * Re-render a changed submission in place, keeping it expanded
+ */
+function showUpdatedSubmission(submission, submissionDiv) {
+  const updatedDiv = renderSubmission(submission);
+  submissionDiv.replaceWith(updatedDiv);
+  updatedDiv.querySelector('.toggle-btn').click();
 }
 
 /**
- * Load submissions from storage
+ * Pin or unpin a submission (pinned ones are skipped by the retention rules)
  */
-async function loadSubmissions() {
+async function setSubmissionPinned(submission, pinned, submissionDiv) {
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_SUBMISSIONS' });
-    allSubmissions = response.submissions || [];
-    filteredSubmissions = [...allSubmissions];
-    
-    // Sort by timestamp (newest first)
-    allSubmissions.sort((a, b) => 
-      new Date(b.timestamp) - new Date(a.timestamp)
-    );
-    filteredSubmissions.sort((a, b) => 
-      new Date(b.timestamp) - new Date(a.timestamp)
-    );
-    
-    renderSubmissions();
-    updateStats();
+    const response = await chrome.runtime.sendMessage({ type: 'SET_PINNED', id: submission.id, pinned });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    replaceLocalSubmission(response.submission);
+    showUpdatedSubmission(response.submission, submissionDiv);
   } catch (error) {
-    console.error('Error loading submissions:', error);
-    submissionsList.innerHTML = '<div class="error">Error loading submissions</div>';
+    console.error('Error pinning submission:', error);
+    alert('Error pinning submission: ' + error.message);
   }
 }
 
 /**
- * Export submissions as JSON
+ * Check whether a tab shows the same page a submission was captured on (ignoring query and hash)
  */
-function exportSubmissions() {
-  if (allSubmissions.length === 0) {
-    alert('No submissions to export');
-    return;
+function isSamePage(tabUrl, submission) {
+  try {
+    const tab = new URL(tabUrl);
+    const page = new URL(submission.pageUrl || submission.url);
+    return tab.origin === page.origin && tab.pathname === page.pathname;
+  } catch {
+    return false;
   }
-
-  const dataStr = JSON.stringify(allSubmissions, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(dataBlob);
-  
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `formtrack-export-${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
 }
 
 /**
- * Generate AI summary for a submission
+ * Send a submission's fields to the content script in the active tab to fill the form
  */
-async function generateAISummary(submissionIndex) {
-  const submission = filteredSubmissions[submissionIndex];
-  if (!submission) return;
-
-  const summaryContent = document.getElementById(`ai-summary-${submissionIndex}`);
-  const summaryText = summaryContent?.querySelector('.ai-summary-text');
-  const summaryLoading = summaryContent?.querySelector('.ai-summary-loading');
-  const summaryError = summaryContent?.querySelector('.ai-summary-error');
-  const generateBtn = document.querySelector(`[data-submission-index="${submissionIndex}"]`);
-
-  if (!summaryContent || !summaryText || !summaryLoading || !summaryError) return;
-
-  // Show summary section
-  summaryContent.style.display = 'block';
-  summaryLoading.style.display = 'block';
-  summaryText.style.display = 'none';
-  summaryError.style.display = 'none';
-  summaryText.textContent = '';
+async function refillSubmission(submission, submissionDiv) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+    alert('Open the page with the form in the current tab first.');
+    return;
+  }
 
-  if (generateBtn) {
-    generateBtn.disabled = true;
-    generateBtn.textContent = 'Generating...';
+  if (!isSamePage(tab.url, submission)) {
+    const host = truncateUrl(tab.url, 50);
+    if (!confirm(`The current tab (${host}) is not the page this submission came from. Fill matching fields anyway?`)) {
+      return;
+    }
   }
 
+  let report;
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'GENERATE_SUMMARY',
-      submissions: [submission],
-      formUrl: submission.url
+    report = await chrome.tabs.sendMessage(tab.id, {
+      type: 'RESTORE_FORM',
+      fields: FormTrackSchema.getFields(submission)
     });
-
-    if (response.success && response.summary) {
-      summaryLoading.style.display = 'none';
-      summaryText.style.display = 'block';
-      summaryText.textContent = response.summary;
-      // Format the text nicely
-      summaryText.style.whiteSpace = 'pre-wrap';
-      summaryText.style.lineHeight = '1.6';
-      summaryText.style.color = '#333';
-    } else {
-      summaryLoading.style.display = 'none';
-      summaryError.style.display = 'block';
-      summaryError.textContent = response.error || 'Failed to generate summary';
-    }
   } catch (error) {
-    console.error('Error generating AI summary:', error);
-    summaryLoading.style.display = 'none';
-    summaryError.style.display = 'block';
-    summaryError.textContent = 'Error: ' + error.message;
-  } finally {
-    if (generateBtn) {
-      generateBtn.disabled = false;
-      generateBtn.textContent = 'Generate Summary';
-    }
+    console.debug('FormTrack: Could not reach content script', error);
+    alert('FormTrack is not running on this page yet. Reload the page and try again.');
+    return;
   }
+
+  renderRestoreReport(submissionDiv.querySelector('.restore-report'), report);
 }
 
 /**
- * Generate AI summary for all submissions (form analysis)
+ * Show which fields were filled, skipped or not found
  */
-async function generateFormSummary() {
-  if (filteredSubmissions.length === 0) {
-    alert('No submissions to analyze');
+function renderRestoreReport(container, report) {
+  if (!report || !report.success) {
+    container.innerHTML = '<div class="restore-summary">Could not fill this page.</div>';
+    container.style.display = 'block';
     return;
   }
 
-  // Show a modal or alert with summary
-  const formUrl = filteredSubmissions[0]?.url || null;
-  
-  try {
-    // Show loading state
-    const summaryText = 'Generating comprehensive form analysis...';
-    if (confirm(`Generate AI summary for ${filteredSubmissions.length} submissions?`)) {
-      const response = await chrome.runtime.sendMessage({
-        type: 'GENERATE_SUMMARY',
-        submissions: filteredSubmissions,
-        formUrl: formUrl
-      });
+  const list = (items, className) => items.length > 0
+    ? `<ul class="restore-list ${className}">${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+    : '';
 
-      if (response.success && response.summary) {
-        // Show summary in a modal or alert
-        const summaryWindow = window.open('', '_blank', 'width=600,height=600');
-        summaryWindow.document.write(`
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <title>AI Form Summary</title>
-            <style>
-              body { font-family: Arial, sans-serif; padding: 20px; line-height: 1.6; }
-              h1 { color: #667eea; }
-              pre { white-space: pre-wrap; background: #f5f5f5; padding: 15px; border-radius: 5px; }
-            </style>
-          </head>
-          <body>
-            <h1>🤖 AI Form Summary</h1>
-            <p><strong>Analyzing ${filteredSubmissions.length} submission(s)</strong></p>
-            <hr>
-            <pre>${response.summary}</pre>
-          </body>
-          </html>
-        `);
-      } else {
-        alert('Error: ' + (response.error || 'Failed to generate summary'));
-      }
-    }
-  } catch (error) {
-    console.error('Error generating form summary:', error);
-    alert('Error: ' + error.message);
-  }
+  container.innerHTML = `
+    <div class="restore-summary">
+      Filled ${report.matched.length} · Skipped ${report.skipped.length} · Not found ${report.notFound.length}
+    </div>
+    ${list(report.matched.map(name => `✓ ${escapeHtml(name)}`), 'restore-matched')}
+    ${list(report.skipped.map(item => `– ${escapeHtml(item.name)} <span class="restore-reason">(${escapeHtml(item.reason)})</span>`), 'restore-skipped')}
+    ${list(report.notFound.map(name => `✗ ${escapeHtml(name)}`), 'restore-not-found')}
+  `;
+  container.style.display = 'block';
 }
 
 /**
- * Clear all submissions
+ * Comparison with the previous submission of the same form
+ * Fields are matched by raw name. Lists (checkboxes, multi-selects) are compared as sets and
+ * long text is compared word by word; other values are shown as replaced
  */
-async function clearSubmissions() {
-  if (allSubmissions.length === 0) {
-    return;
+const LONG_TEXT_LENGTH = 80;
+
+// Largest word-diff table (words before x words after); longer texts are shown as replaced
+const MAX_WORD_DIFF_CELLS = 250000;
+
+/**
+ * Split text into words and the whitespace between them, so joining the parts restores it
+ */
+function splitWords(text) {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * Returns [{ type: 'same' | 'added' | 'removed', text }], or null when the texts are too long
+ */
+function diffWords(before, after) {
+  const a = splitWords(before);
+  const b = splitWords(after);
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+    return null;
   }
 
-  if (!confirm(`Are you sure you want to delete all ${allSubmissions.length} submissions? This cannot be undone.`)) {
-    return;
+  // lengths[i * (b.length + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
   }
 
-  try {
-    await chrome.runtime.sendMessage({ type: 'CLEAR_SUBMISSIONS' });
-    allSubmissions = [];
-    filteredSubmissions = [];
-    renderSubmissions();
-    updateStats();
-    searchInput.value = '';
-  } catch (error) {
-    console.error('Error clearing submissions:', error);
-    alert('Error clearing submissions');
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
   }
+  a.slice(i).forEach(word => push('removed', word));
+  b.slice(j).forEach(word => push('added', word));
+
+  return parts;
 }
 
-// Settings Modal Elements
-const settingsBtn = document.getElementById('settingsBtn');
-const settingsModal = document.getElementById('settingsModal');
-const closeSettingsBtn = document.getElementById('closeSettingsBtn');
-const saveSettingsBtn = document.getElementById('saveSettingsBtn');
-const testEmailBtn = document.getElementById('testEmailBtn');
-const resendApiKey = document.getElementById('resendApiKey');
-const emailTo = document.getElementById('emailTo');
-const emailFrom = document.getElementById('emailFrom');
-const emailEnabled = document.getElementById('emailEnabled');
-const geminiApiKey = document.getElementById('geminiApiKey');
-// emailOnSubmit removed - now auto-enabled when emailEnabled is true
+function isLongText(value) {
+  return typeof value === 'string' && (value.length > LONG_TEXT_LENGTH || value.includes('\n'));
+}
+
+/**
+ * Display HTML for both sides of a changed value, with removed and added parts highlighted
+ * Resolves to { before, after }
+ */
+function diffValueHtml(before, after) {
+  const removed = text => `<del class="diff-removed">${escapeHtml(text)}</del>`;
+  const added = text => `<ins class="diff-added">${escapeHtml(text)}</ins>`;
+  const plain = value => (value === null || value === undefined ? '<em>(not stored)</em>' : escapeHtml(formatCellValue(value)));
+
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const beforeItems = before === null || before === undefined ? [] : [].concat(before).map(formatCellValue);
+    const afterItems = after === null || after === undefined ? [] : [].concat(after).map(formatCellValue);
+    const list = (items, others, mark) => (items.length > 0
+      ? items.map(item => (others.includes(item) ? escapeHtml(item) : mark(item))).join('; ')
+      : '<em>(none)</em>');
+    return {
+      before: list(beforeItems, afterItems, removed),
+      after: list(afterItems, beforeItems, added)
+    };
+  }
+
+  if ((isLongText(before) || isLongText(after)) && typeof before === 'string' && typeof after === 'string') {
+    const parts = diffWords(before, after);
+    if (parts) {
+      const side = type => parts
+        .filter(part => part.type === 'same' || part.type === type)
+        .map(part => (part.type === 'same' ? escapeHtml(part.text) : (type === 'removed' ? removed(part.text) : added(part.text))))
+        .join('');
+      return { before: side('removed'), after: side('added') };
+    }
+  }
+
+  return {
+    before: before === null || before === undefined ? plain(before) : removed(formatCellValue(before)),
+    after: after === null || after === undefined ? plain(after) : added(formatCellValue(after))
+  };
+}
+
+/**
+ * Match the fields of two submissions by raw name
+ * Returns rows of { field, status: 'added' | 'removed' | 'changed' | 'unchanged', before, after },
+ * in the current submission's order with removed fields last
+ */
+function compareSubmissionFields(previous, current) {
+  const previousFields = new Map(FormTrackSchema.getFields(previous).map(field => [field.name, field]));
+  const rows = [];
+
+  FormTrackSchema.getFields(current).forEach(field => {
+    const old = previousFields.get(field.name);
+    previousFields.delete(field.name);
+
+    if (!old) {
+      rows.push({ field, status: 'added', before: undefined, after: field.value });
+      return;
+    }
+
+    let same = JSON.stringify(old.value) === JSON.stringify(field.value);
+    if (!same && (Array.isArray(old.value) || Array.isArray(field.value))) {
+      // Checkbox answers are a set: the same choices in another order are not a change
+      const toSet = value => [...new Set([].concat(value ?? []).map(formatCellValue))].sort();
+      same = JSON.stringify(toSet(old.value)) === JSON.stringify(toSet(field.value));
+    }
+    rows.push({ field, status: same ? 'unchanged' : 'changed', before: old.value, after: field.value });
+  });
+
+  previousFields.forEach(field => {
+    rows.push({ field, status: 'removed', before: field.value, after: undefined });
+  });
+
+  return rows;
+}
+
+/**
+ * Render the comparison table; unchanged fields are only counted
+ */
+function renderComparison(container, previous, current) {
+  const rows = compareSubmissionFields(previous, current);
+  const count = status => rows.filter(row => row.status === status).length;
+  const changedRows = rows.filter(row => row.status !== 'unchanged');
+
+  const rowHtml = ({ field, status, before, after }) => {
+    let values;
+    if (status === 'added') {
+      values = { before: '<em>(no field)</em>', after: diffValueHtml(undefined, after).after };
+    } else if (status === 'removed') {
+      values = { before: diffValueHtml(before, undefined).before, after: '<em>(no field)</em>' };
+    } else {
+      values = diffValueHtml(before, after);
+    }
+    return `
+      <tr class="compare-row compare-${status}">
+        <td class="compare-field">
+          ${escapeHtml(FormTrackSchema.getFieldLabel(field))}
+          <span class="compare-status">${status}</span>
+        </td>
+        <td class="compare-value">${values.before}</td>
+        <td class="compare-value">${values.after}</td>
+      </tr>
+    `;
+  };
+
+  container.innerHTML = `
+    <div class="compare-summary">
+      Compared with ${escapeHtml(formatFullDate(previous.timestamp))}:
+      ${count('changed')} changed · ${count('added')} added · ${count('removed')} removed · ${count('unchanged')} unchanged
+    </div>
+    ${changedRows.length > 0 ? `
+    <table class="compare-table">
+      <thead>
+        <tr><th>Field</th><th>Previous</th><th>This one</th></tr>
+      </thead>
+      <tbody>
+        ${changedRows.map(rowHtml).join('')}
+      </tbody>
+    </table>
+    ` : '<div class="compare-none">No differences.</div>'}
+  `;
+}
+
+/**
+ * Show or hide the comparison of a submission with the previous one of the same form
+ */
+async function toggleComparison(submission, container) {
+  if (container.style.display !== 'none') {
+    container.style.display = 'none';
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PREVIOUS_SUBMISSION', id: submission.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    if (response.previous) {
+      renderComparison(container, response.previous, submission);
+    } else {
+      container.innerHTML = '<div class="compare-summary">This is the first stored submission of this form.</div>';
+    }
+  } catch (error) {
+    console.error('Error comparing submissions:', error);
+    container.innerHTML = `<div class="compare-summary">Could not compare: ${escapeHtml(error.message)}</div>`;
+  }
+  container.style.display = 'block';
+}
+
+/**
+ * Delete a single submission
+ */
+async function deleteSubmission(submission) {
+  const id = submission.id;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_SUBMISSION', id });
+
+    if (!response || !response.success) {
+      alert('Error deleting submission: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    filteredSubmissions = filteredSubmissions.filter(item => item.id !== id);
+    totalSubmissions = Math.max(totalSubmissions - 1, 0);
+    matchedSubmissions = Math.max(matchedSubmissions - 1, 0);
+    renderSubmissions();
+    updateStats();
+    loadTags();
+
+    if (activeView === 'forms') {
+      loadForms();
+    }
+    showUndoDelete(submission);
+  } catch (error) {
+    console.error('Error deleting submission:', error);
+    alert('Error deleting submission');
+  }
+}
+
+/**
+ * Undo for the last deleted submission
+ * The popup keeps the record itself and hands it back with RESTORE_SUBMISSION; it is gone
+ * for good once the bar hides or the popup closes
+ */
+const UNDO_DELETE_MS = 10000;
+let deletedSubmission = null;
+let undoTimer = null;
+
+function showUndoDelete(submission) {
+  deletedSubmission = submission;
+  undoBar.style.display = '';
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(hideUndoDelete, UNDO_DELETE_MS);
+}
+
+function hideUndoDelete() {
+  clearTimeout(undoTimer);
+  deletedSubmission = null;
+  undoBar.style.display = 'none';
+}
+
+async function undoDelete() {
+  const submission = deletedSubmission;
+  hideUndoDelete();
+  if (!submission) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RESTORE_SUBMISSION', submission });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    loadSubmissions();
+    loadTags();
+    if (activeView === 'forms') {
+      loadForms();
+    }
+  } catch (error) {
+    console.error('Error restoring submission:', error);
+    alert('Error restoring submission: ' + error.message);
+  }
+}
+
+/**
+ * Delete everything captured on a site and its subdomains, after confirmation
+ * Resolves to the background's result, or null when cancelled or failed
+ */
+async function forgetSite(site) {
+  if (!confirm(`Delete every submission and draft from ${site} and its subdomains, including pinned ones? This cannot be undone.`)) {
+    return null;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'FORGET_SITE', site });
+
+    if (!response || !response.success) {
+      alert('Error forgetting site: ' + (response?.error || 'Unknown error'));
+      return null;
+    }
+
+    loadSubmissions();
+    loadTags();
+    loadSearchSuggestions();
+    if (activeView === 'forms') {
+      loadForms();
+    }
+    return response;
+  } catch (error) {
+    console.error('Error forgetting site:', error);
+    alert('Error forgetting site');
+    return null;
+  }
+}
+
+/**
+ * Update stats
+ */
+function updateStats() {
+  const total = totalSubmissions;
+  const shown = filteredSubmissions.length;
+  
+  if (!currentQuery && !currentTag) {
+    statsText.textContent = `${total} submission${total !== 1 ? 's' : ''}`;
+  } else {
+    statsText.textContent = `Showing ${shown}${nextCursor ? '+' : ''} of ${matchedSubmissions} match${matchedSubmissions !== 1 ? 'es' : ''}`;
+  }
+}
+
+/**
+ * Filter submissions based on search query (see query.js for the operators)
+ * Matching happens in the background worker so it covers the whole history; queries that
+ * do not parse are reported under the search box instead
+ */
+function filterSubmissions(query) {
+  const { errors } = FormTrackQuery.parseQuery(query);
+  searchError.textContent = errors.join(' · ');
+  searchError.style.display = errors.length > 0 ? 'block' : 'none';
+  if (errors.length > 0) {
+    return;
+  }
+
+  currentQuery = (query || '').trim();
+  loadSubmissions();
+}
+
+/**
+ * Search autocompletion
+ * Known domains, sources, tags and field names are offered for the operator being typed
+ */
+let searchSuggestions = { domains: [], sources: [], fields: [] };
+let knownTags = [];
+
+async function loadSearchSuggestions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SEARCH_SUGGESTIONS' });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    searchSuggestions = response;
+  } catch (error) {
+    console.debug('FormTrack: Could not load search suggestions', error);
+  }
+}
+
+function quoteSearchValue(value) {
+  return /[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Completions for the last word of the search box, as { value, label } with the rest of the query kept
+ */
+function getSearchCompletions(text) {
+  const lastWord = text.split(/\s/).pop();
+  const word = lastWord.startsWith('-') ? lastWord.slice(1) : lastWord;
+  const before = text.slice(0, text.length - word.length);
+  if (!word) {
+    return [];
+  }
+
+  const operator = /^([a-z]+):(.*)$/i.exec(word);
+  let candidates;
+  if (!operator) {
+    candidates = FormTrackQuery.OPERATORS.map(name => ({ value: `${name}:` }));
+  } else {
+    const key = operator[1].toLowerCase();
+    const values = {
+      site: searchSuggestions.domains.map(domain => ({ value: domain })),
+      source: searchSuggestions.sources.map(source => ({ value: source })),
+      tag: knownTags.map(tag => ({ value: tag })),
+      field: searchSuggestions.fields.map(field => ({ value: `${field.name}=`, label: field.label }))
+    }[key] || [];
+    candidates = values.map(({ value, label }) => ({ value: `${key}:${quoteSearchValue(value)}`, label }));
+  }
+
+  const lowerWord = word.toLowerCase().replace(/"/g, '');
+  return candidates
+    .filter(candidate => {
+      const lowerValue = candidate.value.toLowerCase().replace(/"/g, '');
+      return lowerValue.startsWith(lowerWord) && lowerValue !== lowerWord;
+    })
+    .slice(0, MAX_SEARCH_SUGGESTIONS)
+    .map(candidate => ({ ...candidate, value: before + candidate.value }));
+}
+
+function updateSearchCompletions(text) {
+  searchSuggestionList.innerHTML = getSearchCompletions(text)
+    .map(({ value, label }) => `<option value="${escapeHtml(value)}"${label ? ` label="${escapeHtml(label)}"` : ''}></option>`)
+    .join('');
+}
+
+/**
+ * The search box and tag filter as a GET_SUBMISSIONS filter
+ */
+function getCurrentFilter() {
+  const filter = {};
+  if (currentQuery) filter.query = currentQuery;
+  if (currentTag) filter.tag = currentTag;
+  return filter;
+}
+
+/**
+ * Fill the tag filter with the tags in use, keeping the current choice
+ */
+async function loadTags() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TAGS' });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    const tags = response.tags || [];
+    knownTags = tags.map(({ tag }) => tag);
+    tagFilter.innerHTML = '<option value="">All tags</option>' + tags
+      .map(({ tag, count }) => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)} (${count})</option>`)
+      .join('');
+
+    // A tag that is no longer used still stays selected until changed
+    if (currentTag && !tags.some(({ tag }) => tag.toLowerCase() === currentTag.toLowerCase())) {
+      tagFilter.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(currentTag)}">${escapeHtml(currentTag)} (0)</option>`);
+    }
+    tagFilter.value = currentTag;
+  } catch (error) {
+    console.debug('FormTrack: Could not load tags', error);
+  }
+}
+
+/**
+ * Load submissions from storage
+ * With `append`, the next page is added below the ones already shown
+ */
+async function loadSubmissions({ append = false } = {}) {
+  // Ignore responses for searches that were replaced while loading
+  const requestId = ++loadRequestId;
+
+  // A search is ranked by relevance with the background search index; otherwise newest first
+  const { query, ...filter } = getCurrentFilter();
+  const message = query
+    ? { type: 'SEARCH_SUBMISSIONS', query, filter }
+    : { type: 'GET_SUBMISSIONS', filter };
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      ...message,
+      cursor: append ? nextCursor : null,
+      limit: PAGE_SIZE
+    });
+
+    if (requestId !== loadRequestId) return;
+
+    if (response && response.error === VAULT_LOCKED_ERROR) {
+      await refreshVaultStatus();
+      showLockScreen();
+      return;
+    }
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    const page = response.submissions || [];
+    filteredSubmissions = append ? [...filteredSubmissions, ...page] : page;
+    totalSubmissions = response.stored || 0;
+    matchedSubmissions = response.total || 0;
+    nextCursor = response.nextCursor || null;
+
+    if (append) {
+      appendSubmissionElements(page);
+    } else {
+      renderSubmissions();
+    }
+    updateStats();
+  } catch (error) {
+    console.error('Error loading submissions:', error);
+    submissionsList.innerHTML = '<div class="error">Error loading submissions</div>';
+  }
+}
+
+/**
+ * Fetch every stored submission matching a filter, page by page
+ */
+async function fetchAllSubmissions(filter = {}) {
+  const submissions = [];
+  let cursor = null;
+
+  do {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_SUBMISSIONS',
+      cursor,
+      limit: EXPORT_PAGE_SIZE,
+      filter
+    });
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    submissions.push(...(response.submissions || []));
+    cursor = response.nextCursor;
+  } while (cursor);
+
+  return submissions;
+}
+
+/**
+ * Forms view
+ * Submissions grouped by form fingerprint (see db.js); picking a form shows its submissions as a timeline
+ */
+const viewTabs = document.querySelectorAll('.view-tab');
+const submissionsView = document.getElementById('submissionsView');
+const formsView = document.getElementById('formsView');
+const formsList = document.getElementById('formsList');
+const formsStatsText = document.getElementById('formsStatsText');
+const formsBackBtn = document.getElementById('formsBackBtn');
+
+let activeView = 'submissions';
+let forms = [];
+// Summary of the form whose timeline is shown, or null for the list of forms
+let openForm = null;
+let formTimelineCursor = null;
+let formsRequestId = 0;
+
+/**
+ * Show the submissions, forms or outbox view
+ */
+function switchView(view) {
+  activeView = view;
+  viewTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+  submissionsView.style.display = view === 'submissions' ? '' : 'none';
+  formsView.style.display = view === 'forms' ? '' : 'none';
+  outboxView.style.display = view === 'outbox' ? '' : 'none';
+
+  if (view === 'forms') {
+    loadForms();
+  }
+  if (view === 'outbox') {
+    loadOutbox();
+  }
+}
+
+/**
+ * Load the form summaries; an open timeline is reloaded as well
+ */
+async function loadForms() {
+  const requestId = ++formsRequestId;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_FORMS' });
+    if (requestId !== formsRequestId) return;
+
+    if (response && response.error === VAULT_LOCKED_ERROR) {
+      await refreshVaultStatus();
+      showLockScreen();
+      return;
+    }
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    forms = response.forms || [];
+    const current = openForm && forms.find(form => form.formFingerprint === openForm.formFingerprint);
+    if (current) {
+      openFormTimeline(current);
+    } else {
+      renderForms();
+    }
+  } catch (error) {
+    console.error('Error loading forms:', error);
+    formsList.innerHTML = '<div class="error">Error loading forms</div>';
+  }
+}
+
+/**
+ * Render one form summary
+ */
+function renderFormItem(form) {
+  const formDiv = document.createElement('div');
+  formDiv.className = 'form-item';
+  formDiv.dataset.fingerprint = form.formFingerprint;
+
+  formDiv.innerHTML = `
+    <div class="form-item-header">
+      <span class="form-item-title">${escapeHtml(form.title || 'Untitled')}</span>
+      <span class="form-count">${form.count} submission${form.count !== 1 ? 's' : ''}</span>
+    </div>
+    <div class="submission-url">${escapeHtml(truncateUrl(form.url, 60))}</div>
+    <div class="form-dates">
+      First ${escapeHtml(formatFullDate(form.firstSubmitted))} · Last ${escapeHtml(formatFullDate(form.lastSubmitted))}
+    </div>
+    <div class="submission-preview">
+      <span class="field-count">${form.fieldCount} field${form.fieldCount !== 1 ? 's' : ''}</span>
+    </div>
+  `;
+
+  formDiv.addEventListener('click', () => openFormTimeline(form));
+  return formDiv;
+}
+
+/**
+ * Render the list of forms, most recently submitted first
+ */
+function renderForms() {
+  openForm = null;
+  formTimelineCursor = null;
+  formsBackBtn.style.display = 'none';
+  formsStatsText.textContent = `${forms.length} form${forms.length !== 1 ? 's' : ''}`;
+  formsList.innerHTML = '';
+
+  if (forms.length === 0) {
+    formsList.innerHTML = '<div class="loading">No forms yet</div>';
+    return;
+  }
+
+  forms.forEach(form => formsList.appendChild(renderFormItem(form)));
+}
+
+/**
+ * Show a form's submissions, newest first
+ * With `append`, the next page is added below the ones already shown
+ */
+async function openFormTimeline(form, { append = false } = {}) {
+  const requestId = ++formsRequestId;
+  openForm = form;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_SUBMISSIONS',
+      cursor: append ? formTimelineCursor : null,
+      limit: PAGE_SIZE,
+      filter: { form: form.formFingerprint }
+    });
+    if (requestId !== formsRequestId) return;
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    formTimelineCursor = response.nextCursor || null;
+    formsBackBtn.style.display = '';
+    formsStatsText.textContent = `${form.count} submission${form.count !== 1 ? 's' : ''} of ${form.title || 'Untitled'}`;
+
+    if (!append) {
+      formsList.innerHTML = '';
+      formsList.scrollTop = 0;
+    }
+    appendTimelineEntries(form, response.submissions || []);
+  } catch (error) {
+    console.error('Error loading form submissions:', error);
+    formsList.innerHTML = '<div class="error">Error loading submissions</div>';
+  }
+}
+
+/**
+ * Append timeline entries, followed by a "Load more" button when more pages exist
+ */
+function appendTimelineEntries(form, submissions) {
+  formsList.querySelector('.btn-load-more')?.remove();
+
+  submissions.forEach(submission => {
+    const entry = document.createElement('div');
+    entry.className = 'timeline-entry';
+    entry.innerHTML = `<div class="timeline-date">${escapeHtml(formatFullDate(submission.timestamp))}</div>`;
+    entry.appendChild(renderSubmission(submission));
+    formsList.appendChild(entry);
+  });
+
+  if (formTimelineCursor) {
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.className = 'btn-load-more';
+    loadMoreBtn.textContent = 'Load more';
+    loadMoreBtn.addEventListener('click', () => {
+      loadMoreBtn.disabled = true;
+      loadMoreBtn.textContent = 'Loading...';
+      openFormTimeline(form, { append: true });
+    });
+    formsList.appendChild(loadMoreBtn);
+  }
+}
+
+/**
+ * Export
+ * JSON keeps every property for backups; the CSV modes are for spreadsheets
+ */
+const EXPORT_FORMAT_HINTS = {
+  json: 'Every submission with all its details. Best for backups.',
+  'csv-long': 'A single file with one row per field: submission, timestamp, page, tags, notes, field name, label, type, required, options, redaction, value.',
+  'csv-wide': 'One file per form with one row per submission and a column for every field, headed by its label, plus tags and notes.'
+};
+
+const exportModal = document.getElementById('exportModal');
+const closeExportBtn = document.getElementById('closeExportBtn');
+const exportFormat = document.getElementById('exportFormat');
+const exportFormatHint = document.getElementById('exportFormatHint');
+const exportFrom = document.getElementById('exportFrom');
+const exportTo = document.getElementById('exportTo');
+const exportSearchOnly = document.getElementById('exportSearchOnly');
+const exportSearchHint = document.getElementById('exportSearchHint');
+const exportError = document.getElementById('exportError');
+const runExportBtn = document.getElementById('runExportBtn');
+
+// Per-submission columns of both CSV formats (the wide format has no action_url)
+const CSV_META_COLUMNS = ['submission_id', 'timestamp', 'title', 'page_url', 'action_url', 'source', 'tags', 'notes'];
+
+// Per-field columns of the long format; `field` is the raw name
+const CSV_FIELD_COLUMNS = ['field', 'label', 'type', 'required', 'options', 'redacted', 'value'];
+
+/**
+ * Convert a field value to a single spreadsheet cell (arrays are joined)
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatCellValue).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Quote a CSV cell when needed
+ * Cells starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+ */
+function escapeCsvCell(value) {
+  let text = formatCellValue(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document from rows of cells
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Long format: one row per field
+ */
+function buildLongCsv(submissions) {
+  const rows = [[...CSV_META_COLUMNS, ...CSV_FIELD_COLUMNS]];
+
+  submissions.forEach(submission => {
+    FormTrackSchema.getFields(submission).forEach(field => {
+      rows.push([
+        submission.id,
+        submission.timestamp,
+        submission.title,
+        submission.pageUrl || submission.url,
+        submission.action || submission.url,
+        submission.source || 'submit',
+        submission.tags || '',
+        submission.notes,
+        field.name,
+        field.label,
+        field.type,
+        field.required ? 'yes' : '',
+        field.options || '',
+        field.redacted || '',
+        field.value
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+}
+
+/**
+ * Group submissions by the page their form lives on (origin + path)
+ */
+function groupSubmissionsByForm(submissions) {
+  const groups = new Map();
+
+  submissions.forEach(submission => {
+    const pageUrl = submission.pageUrl || submission.url || '';
+    let key = pageUrl;
+    try {
+      const url = new URL(pageUrl);
+      key = `${url.origin}${url.pathname}`;
+    } catch {
+      // Keep the raw URL
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(submission);
+  });
+
+  return groups;
+}
+
+/**
+ * Wide format for one form: one row per submission, one column per field
+ * Columns are headed by the field's label, or its raw name when labels are missing or repeated
+ */
+function buildWideCsv(submissions) {
+  const fieldNames = [];
+  const headers = new Map();
+  submissions.forEach(submission => {
+    FormTrackSchema.getFields(submission).forEach(field => {
+      if (!fieldNames.includes(field.name)) {
+        fieldNames.push(field.name);
+        headers.set(field.name, FormTrackSchema.getFieldLabel(field));
+      }
+    });
+  });
+
+  const headerCounts = {};
+  headers.forEach(header => {
+    headerCounts[header] = (headerCounts[header] || 0) + 1;
+  });
+  const columns = fieldNames.map(name => (headerCounts[headers.get(name)] > 1 ? name : headers.get(name)));
+
+  const rows = [['submission_id', 'timestamp', 'title', 'page_url', 'source', 'tags', 'notes', ...columns]];
+  submissions.forEach(submission => {
+    const fields = FormTrackSchema.getFieldValues(submission);
+    rows.push([
+      submission.id,
+      submission.timestamp,
+      submission.title,
+      submission.pageUrl || submission.url,
+      submission.source || 'submit',
+      submission.tags || '',
+      submission.notes,
+      ...fieldNames.map(field => fields[field])
+    ]);
+  });
+
+  return toCsv(rows);
+}
+
+/**
+ * Turn a form key into something safe for a file name
+ */
+function toFileSlug(text) {
+  return text
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'form';
+}
+
+/**
+ * Start a download for generated text
+ */
+function downloadFile(filename, content, type) {
+  const dataBlob = new Blob([content], { type });
+  const url = URL.createObjectURL(dataBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Build the GET_SUBMISSIONS filter for the export dialog
+ * Dates are local days; `to` includes the whole day
+ */
+function getExportFilter() {
+  const filter = {};
+
+  if (exportFrom.value) {
+    filter.after = new Date(`${exportFrom.value}T00:00:00`).toISOString();
+  }
+  if (exportTo.value) {
+    const end = new Date(`${exportTo.value}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    filter.before = end.toISOString();
+  }
+  if (exportSearchOnly.checked) {
+    Object.assign(filter, getCurrentFilter());
+  }
+
+  return filter;
+}
+
+function showExportError(message) {
+  exportError.textContent = message;
+  exportError.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Open the export dialog
+ */
+function openExportDialog() {
+  if (totalSubmissions === 0) {
+    alert('No submissions to export');
+    return;
+  }
+
+  exportFormatHint.textContent = EXPORT_FORMAT_HINTS[exportFormat.value];
+  const searchParts = [];
+  if (currentQuery) searchParts.push(`Search: "${currentQuery}"`);
+  if (currentTag) searchParts.push(`Tag: ${currentTag}`);
+  exportSearchOnly.disabled = searchParts.length === 0;
+  exportSearchOnly.checked = searchParts.length > 0 && exportSearchOnly.checked;
+  exportSearchHint.textContent = searchParts.length > 0
+    ? searchParts.join(' · ')
+    : 'Type in the search box or pick a tag first to export only matching submissions.';
+  showExportError('');
+  exportModal.style.display = 'flex';
+}
+
+/**
+ * Export submissions in the chosen format
+ */
+async function exportSubmissions() {
+  if (exportFrom.value && exportTo.value && exportFrom.value > exportTo.value) {
+    showExportError('The start date must be before the end date');
+    return;
+  }
+
+  let submissions;
+  runExportBtn.disabled = true;
+  try {
+    submissions = await fetchAllSubmissions(getExportFilter());
+  } catch (error) {
+    console.error('Error exporting submissions:', error);
+    showExportError('Error exporting submissions: ' + error.message);
+    return;
+  } finally {
+    runExportBtn.disabled = false;
+  }
+
+  if (submissions.length === 0) {
+    showExportError('No submissions match these export options');
+    return;
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  const format = exportFormat.value;
+
+  if (format === 'csv-long') {
+    // BOM so spreadsheet apps read the file as UTF-8
+    downloadFile(`formtrack-export-${date}.csv`, '\uFEFF' + buildLongCsv(submissions), 'text/csv');
+  } else if (format === 'csv-wide') {
+    groupSubmissionsByForm(submissions).forEach((formSubmissions, formKey) => {
+      downloadFile(`formtrack-${toFileSlug(formKey)}-${date}.csv`, '\uFEFF' + buildWideCsv(formSubmissions), 'text/csv');
+    });
+  } else {
+    downloadFile(`formtrack-export-${date}.json`, JSON.stringify(submissions, null, 2), 'application/json');
+  }
+
+  exportModal.style.display = 'none';
+}
+
+/**
+ * Import
+ * Files are parsed here and validated by the background worker
+ */
+const importBtn = document.getElementById('importBtn');
+const importModal = document.getElementById('importModal');
+const closeImportBtn = document.getElementById('closeImportBtn');
+const importFile = document.getElementById('importFile');
+const importError = document.getElementById('importError');
+const importResult = document.getElementById('importResult');
+const runImportBtn = document.getElementById('runImportBtn');
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Undo the formula guard added by escapeCsvCell
+ */
+function unescapeCsvValue(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Convert rows from either CSV export format back into submissions
+ * Long format has `field` and `value` columns; in wide format every non-meta column is a field
+ */
+function csvRowsToSubmissions(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  if (!header.includes('timestamp') || !header.includes('page_url')) {
+    throw new Error('Unrecognized CSV columns. Expected a FormTrack CSV export with timestamp and page_url columns.');
+  }
+
+  const isLongFormat = header.includes('field') && header.includes('value');
+  const submissions = new Map();
+
+  rows.slice(1).forEach((cells, rowIndex) => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = unescapeCsvValue(cells[index] || '');
+    });
+
+    const key = record.submission_id || (isLongFormat ? `${record.timestamp}|${record.page_url}` : `row-${rowIndex}`);
+    if (!submissions.has(key)) {
+      submissions.set(key, {
+        id: record.submission_id || undefined,
+        timestamp: record.timestamp,
+        title: record.title || undefined,
+        url: record.page_url,
+        pageUrl: record.page_url,
+        action: record.action_url || undefined,
+        source: record.source || undefined,
+        tags: record.tags ? record.tags.split('; ') : undefined,
+        notes: record.notes || undefined,
+        // Long sheets carry per-field metadata, so they become a field list
+        fields: isLongFormat ? [] : {}
+      });
+    }
+
+    const submission = submissions.get(key);
+    if (isLongFormat) {
+      if (record.field) {
+        submission.fields.push({
+          name: record.field,
+          label: record.label || undefined,
+          type: record.type || undefined,
+          required: record.required === 'yes',
+          options: record.options ? record.options.split('; ') : undefined,
+          redacted: record.redacted ? record.redacted.split('; ') : undefined,
+          value: record.value
+        });
+      }
+    } else {
+      // Wide sheets leave a blank cell for fields a submission did not have
+      rows[0].forEach((name, index) => {
+        if (!CSV_META_COLUMNS.includes(header[index]) && cells[index]) {
+          submission.fields[name] = unescapeCsvValue(cells[index]);
+        }
+      });
+    }
+  });
+
+  return [...submissions.values()];
+}
+
+/**
+ * Read an export file into a list of submission-like entries
+ */
+async function parseImportFile(file) {
+  const text = (await file.text()).replace(/^\uFEFF/, '');
+
+  if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON: ' + error.message);
+    }
+
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.submissions)) return data.submissions;
+    throw new Error('Expected a list of submissions in the JSON file');
+  }
+
+  return csvRowsToSubmissions(parseCsv(text));
+}
+
+function showImportError(message) {
+  importError.textContent = message;
+  importError.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Show how many entries were added, skipped and rejected
+ */
+function renderImportResult(result) {
+  const errors = result.errors && result.errors.length > 0
+    ? `<ul>${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`
+    : '';
+
+  importResult.innerHTML = `
+    Added <strong>${result.added}</strong>, 
+    skipped <strong>${result.skipped}</strong> already stored, 
+    rejected <strong>${result.rejected}</strong> invalid.
+    ${errors}
+  `;
+  importResult.style.display = 'block';
+}
+
+/**
+ * Open the import dialog
+ */
+function openImportDialog() {
+  importFile.value = '';
+  showImportError('');
+  importResult.style.display = 'none';
+  importModal.style.display = 'flex';
+}
+
+/**
+ * Import the chosen file
+ */
+async function importSubmissions() {
+  const file = importFile.files[0];
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  showImportError('');
+  importResult.style.display = 'none';
+
+  if (!file) {
+    showImportError('Choose a file to import');
+    return;
+  }
+
+  let entries;
+  try {
+    entries = await parseImportFile(file);
+  } catch (error) {
+    showImportError(error.message);
+    return;
+  }
+
+  if (entries.length === 0) {
+    showImportError('The file has no submissions');
+    return;
+  }
+
+  if (mode === 'replace' && totalSubmissions > 0 &&
+      !confirm(`Replace all ${totalSubmissions} stored submissions with ${entries.length} from this file? This cannot be undone.`)) {
+    return;
+  }
+
+  runImportBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_SUBMISSIONS',
+      submissions: entries,
+      mode
+    });
+
+    if (!response) {
+      throw new Error('No response from background');
+    }
+    if (!response.success) {
+      showImportError(response.error || 'Import failed');
+      if (response.errors) {
+        renderImportResult(response);
+      }
+      return;
+    }
+
+    renderImportResult(response);
+    loadSubmissions();
+    loadTags();
+  } catch (error) {
+    console.error('Error importing submissions:', error);
+    showImportError('Error importing submissions: ' + error.message);
+  } finally {
+    runImportBtn.disabled = false;
+  }
+}
+
+/**
+ * Generate AI summary for a submission
+ */
+async function generateAISummary(submission, submissionDiv) {
+  if (!submission) return;
+
+  const summaryContent = submissionDiv.querySelector('.ai-summary-content');
+  const summaryText = summaryContent?.querySelector('.ai-summary-text');
+  const summaryLoading = summaryContent?.querySelector('.ai-summary-loading');
+  const summaryError = summaryContent?.querySelector('.ai-summary-error');
+  const generateBtn = submissionDiv.querySelector('.btn-generate-summary');
+
+  if (!summaryContent || !summaryText || !summaryLoading || !summaryError) return;
+
+  // Show summary section
+  summaryContent.style.display = 'block';
+  summaryLoading.style.display = 'block';
+  summaryText.style.display = 'none';
+  summaryError.style.display = 'none';
+  summaryText.textContent = '';
+
+  if (generateBtn) {
+    generateBtn.disabled = true;
+    generateBtn.textContent = 'Generating...';
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GENERATE_SUMMARY',
+      submissions: [submission],
+      formUrl: submission.url
+    });
+
+    if (response.success && response.summary) {
+      summaryLoading.style.display = 'none';
+      summaryText.style.display = 'block';
+      summaryText.textContent = response.summary;
+      // Format the text nicely
+      summaryText.style.whiteSpace = 'pre-wrap';
+      summaryText.style.lineHeight = '1.6';
+      summaryText.style.color = '#333';
+    } else {
+      summaryLoading.style.display = 'none';
+      summaryError.style.display = 'block';
+      summaryError.textContent = response.error || 'Failed to generate summary';
+    }
+  } catch (error) {
+    console.error('Error generating AI summary:', error);
+    summaryLoading.style.display = 'none';
+    summaryError.style.display = 'block';
+    summaryError.textContent = 'Error: ' + error.message;
+  } finally {
+    if (generateBtn) {
+      generateBtn.disabled = false;
+      generateBtn.textContent = 'Generate Summary';
+    }
+  }
+}
+
+/**
+ * Generate AI summary for all submissions (form analysis)
+ */
+async function generateFormSummary() {
+  if (filteredSubmissions.length === 0) {
+    alert('No submissions to analyze');
+    return;
+  }
+
+  // Show a modal or alert with summary
+  const formUrl = filteredSubmissions[0]?.url || null;
+  
+  try {
+    // Show loading state
+    const summaryText = 'Generating comprehensive form analysis...';
+    if (confirm(`Generate AI summary for ${filteredSubmissions.length} submissions?`)) {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GENERATE_SUMMARY',
+        submissions: filteredSubmissions,
+        formUrl: formUrl
+      });
+
+      if (response.success && response.summary) {
+        // Show summary in a modal or alert
+        const summaryWindow = window.open('', '_blank', 'width=600,height=600');
+        summaryWindow.document.write(`
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <title>AI Form Summary</title>
+            <style>
+              body { font-family: Arial, sans-serif; padding: 20px; line-height: 1.6; }
+              h1 { color: #667eea; }
+              pre { white-space: pre-wrap; background: #f5f5f5; padding: 15px; border-radius: 5px; }
+            </style>
+          </head>
+          <body>
+            <h1>🤖 AI Form Summary</h1>
+            <p><strong>Analyzing ${filteredSubmissions.length} submission(s)</strong></p>
+            <hr>
+            <pre>${response.summary}</pre>
+          </body>
+          </html>
+        `);
+      } else {
+        alert('Error: ' + (response.error || 'Failed to generate summary'));
+      }
+    }
+  } catch (error) {
+    console.error('Error generating form summary:', error);
+    alert('Error: ' + error.message);
+  }
+}
+
+/**
+ * Clear all submissions
+ */
+async function clearSubmissions() {
+  if (totalSubmissions === 0) {
+    return;
+  }
+
+  if (!confirm(`Are you sure you want to delete all ${totalSubmissions} submissions? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_SUBMISSIONS' });
+    filteredSubmissions = [];
+    totalSubmissions = 0;
+    matchedSubmissions = 0;
+    nextCursor = null;
+    currentQuery = '';
+    currentTag = '';
+    searchInput.value = '';
+    searchError.style.display = 'none';
+    loadTags();
+    renderSubmissions();
+    updateStats();
+
+    if (activeView === 'forms') {
+      loadForms();
+    }
+  } catch (error) {
+    console.error('Error clearing submissions:', error);
+    alert('Error clearing submissions');
+  }
+}
+
+/**
+ * Outbox view
+ * Notification emails that are waiting for a retry or failed for good (see the outbox in background.js)
+ */
+const outboxView = document.getElementById('outboxView');
+const outboxList = document.getElementById('outboxList');
+const outboxStatsText = document.getElementById('outboxStatsText');
+const outboxCount = document.getElementById('outboxCount');
+const retryAllOutboxBtn = document.getElementById('retryAllOutboxBtn');
+
+/**
+ * Load the outbox; the tab shows how many deliveries failed
+ */
+async function loadOutbox() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_OUTBOX' });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    renderOutbox(response.items || [], response.maxAttempts);
+  } catch (error) {
+    console.error('Error loading outbox:', error);
+    outboxList.innerHTML = '<div class="error">Error loading outbox</div>';
+  }
+}
+
+function renderOutbox(items, maxAttempts) {
+  const failedCount = items.filter(item => item.status === 'failed').length;
+  outboxCount.textContent = failedCount;
+  outboxCount.style.display = failedCount > 0 ? '' : 'none';
+  retryAllOutboxBtn.style.display = failedCount > 0 ? '' : 'none';
+
+  outboxStatsText.textContent = items.length > 0
+    ? `${items.length - failedCount} retrying · ${failedCount} failed`
+    : 'All notification emails were delivered';
+  outboxList.innerHTML = '';
+
+  if (items.length === 0) {
+    outboxList.innerHTML = '<div class="loading">Nothing waiting to be sent</div>';
+    return;
+  }
+
+  items.forEach(item => outboxList.appendChild(renderOutboxItem(item, maxAttempts)));
+}
+
+/**
+ * Render one delivery with its last error and the retry/discard buttons
+ */
+function renderOutboxItem(item, maxAttempts) {
+  const failed = item.status === 'failed';
+  let title;
+  if (item.kind === 'digest') {
+    title = `Digest of ${item.submissionIds.length} submission${item.submissionIds.length !== 1 ? 's' : ''}`;
+  } else {
+    title = item.title || 'Deleted submission';
+  }
+
+  const timing = [`Queued ${formatFullDate(item.createdAt)}`];
+  if (item.attempts > 0) {
+    timing.push(`attempt ${item.attempts} of ${maxAttempts}`);
+  }
+  if (!failed && item.nextAttemptAt) {
+    timing.push(`next try ${formatFullDate(item.nextAttemptAt)}`);
+  }
+
+  const itemDiv = document.createElement('div');
+  itemDiv.className = 'form-item outbox-item';
+  itemDiv.innerHTML = `
+    <div class="form-item-header">
+      <span class="form-item-title">${escapeHtml(title)}</span>
+      <span class="outbox-status ${failed ? 'failed' : 'pending'}">${failed ? 'Failed' : 'Retrying'}</span>
+    </div>
+    ${item.url ? `<div class="submission-url">${escapeHtml(truncateUrl(item.url, 60))}</div>` : ''}
+    <div class="form-dates">${escapeHtml(timing.join(' · '))}</div>
+    ${item.lastError ? `<div class="outbox-error">${escapeHtml(item.lastError)}</div>` : ''}
+    <div class="outbox-actions">
+      <button class="btn btn-outline outbox-retry">Retry now</button>
+      <button class="btn btn-outline outbox-discard">Discard</button>
+    </div>
+  `;
+
+  itemDiv.querySelector('.outbox-retry').addEventListener('click', () => retryOutbox([item.id]));
+  itemDiv.querySelector('.outbox-discard').addEventListener('click', () => discardOutboxItem(item));
+  return itemDiv;
+}
+
+/**
+ * Send deliveries again right away (every failed one when `ids` is omitted)
+ */
+async function retryOutbox(ids) {
+  outboxList.querySelectorAll('button').forEach(button => {
+    button.disabled = true;
+  });
+  retryAllOutboxBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RETRY_OUTBOX', ids });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+  } catch (error) {
+    console.error('Error retrying delivery:', error);
+    alert('Error retrying delivery: ' + error.message);
+  } finally {
+    retryAllOutboxBtn.disabled = false;
+    loadOutbox();
+  }
+}
+
+async function discardOutboxItem(item) {
+  if (!confirm('Discard this email? It will not be sent.')) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DISCARD_OUTBOX', ids: [item.id] });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+  } catch (error) {
+    console.error('Error discarding delivery:', error);
+    alert('Error discarding delivery: ' + error.message);
+  }
+  loadOutbox();
+}
+
+// Settings Modal Elements
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsModal = document.getElementById('settingsModal');
+const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+const testEmailBtn = document.getElementById('testEmailBtn');
+const emailProvider = document.getElementById('emailProvider');
+const providerFieldGroups = document.querySelectorAll('.provider-fields');
+const providerSettingInputs = document.querySelectorAll('.provider-fields [data-setting]');
+const emailTo = document.getElementById('emailTo');
+const emailFrom = document.getElementById('emailFrom');
+const emailFromHint = document.getElementById('emailFromHint');
+const emailEnabled = document.getElementById('emailEnabled');
+const geminiApiKey = document.getElementById('geminiApiKey');
+const draftsEnabled = document.getElementById('draftsEnabled');
+const redactionPolicy = document.getElementById('redactionPolicy');
+const retentionDays = document.getElementById('retentionDays');
+const maxPerDomain = document.getElementById('maxPerDomain');
+const forgetSiteInput = document.getElementById('forgetSiteInput');
+const forgetSiteBtn = document.getElementById('forgetSiteBtn');
+const forgetSiteResult = document.getElementById('forgetSiteResult');
+const emailDelivery = document.getElementById('emailDelivery');
+const digestOptions = document.getElementById('digestOptions');
+const digestWeekday = document.getElementById('digestWeekday');
+const digestHour = document.getElementById('digestHour');
+const digestTimeZone = document.getElementById('digestTimeZone');
+const timeZoneList = document.getElementById('timeZoneList');
+const digestStatus = document.getElementById('digestStatus');
+const sendDigestBtn = document.getElementById('sendDigestBtn');
+// emailOnSubmit removed - now auto-enabled when emailEnabled is true
 
 /**
  * Load settings from storage
  */
-async function loadSettings() {
-  // Default settings to ensure we always have values
-  const defaultSettings = {
-    resendApiKey: '',
-    emailTo: '',
-    emailFrom: '',
-    emailEnabled: true,
-    geminiApiKey: ''
-  };
-  
+async function loadSettings() {
+  // Default settings to ensure we always have values
+  const defaultSettings = {
+    emailProvider: FormTrackEmail.DEFAULT_PROVIDER,
+    emailTo: '',
+    emailFrom: '',
+    emailEnabled: true,
+    geminiApiKey: '',
+    draftsEnabled: false,
+    redactionPolicy: 'mask',
+    retentionDays: 0,
+    maxPerDomain: 0,
+    emailDelivery: 'instant',
+    digestHour: 8,
+    digestWeekday: 1,
+    digestTimeZone: ''
+  };
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    
+    // Handle case where response might be undefined or doesn't have settings
+    let settings = defaultSettings;
+    
+    if (response && response.settings && typeof response.settings === 'object') {
+      // Merge with defaults to ensure all properties exist
+      settings = { ...defaultSettings, ...response.settings };
+    } else {
+      console.debug('FormTrack: Invalid response format, using defaults', response);
+      settings = defaultSettings;
+    }
+    
+    // Load the email provider and its keys
+    fillProviderSettings(settings);
+    
+    // Load recipient email
+    emailTo.value = settings.emailTo || '';
+    
+    // Load from email (optional)
+    emailFrom.value = settings.emailFrom || '';
+    
+    // Load email enabled setting (default to true for auto-send)
+    emailEnabled.checked = settings.emailEnabled !== undefined ? settings.emailEnabled : true;
+    
+    // Load Gemini API key
+    if (geminiApiKey) {
+      geminiApiKey.value = settings.geminiApiKey || '';
+    }
+    
+    // Load draft autosave setting (opt-in)
+    draftsEnabled.checked = Boolean(settings.draftsEnabled);
+
+    // Load redaction policy
+    redactionPolicy.value = settings.redactionPolicy || defaultSettings.redactionPolicy;
+
+    // Load retention rules (empty means no limit)
+    retentionDays.value = settings.retentionDays || '';
+    maxPerDomain.value = settings.maxPerDomain || '';
+
+    // Load the email delivery schedule
+    emailDelivery.value = settings.emailDelivery || defaultSettings.emailDelivery;
+    digestHour.value = String(settings.digestHour ?? defaultSettings.digestHour);
+    digestWeekday.value = String(settings.digestWeekday ?? defaultSettings.digestWeekday);
+    digestTimeZone.value = settings.digestTimeZone || '';
+    updateDigestOptions();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    // Set defaults on error
+    fillProviderSettings(defaultSettings);
+    emailTo.value = defaultSettings.emailTo;
+    emailFrom.value = defaultSettings.emailFrom;
+    emailEnabled.checked = defaultSettings.emailEnabled;
+    if (geminiApiKey) {
+      geminiApiKey.value = defaultSettings.geminiApiKey;
+    }
+    draftsEnabled.checked = defaultSettings.draftsEnabled;
+    redactionPolicy.value = defaultSettings.redactionPolicy;
+    retentionDays.value = '';
+    maxPerDomain.value = '';
+    emailDelivery.value = defaultSettings.emailDelivery;
+    digestHour.value = String(defaultSettings.digestHour);
+    digestWeekday.value = String(defaultSettings.digestWeekday);
+    digestTimeZone.value = '';
+    updateDigestOptions();
+  }
+}
+
+/**
+ * Fill in the provider select and every provider's fields, so switching providers keeps their keys
+ */
+function fillProviderSettings(settings) {
+  emailProvider.value = FormTrackEmail.PROVIDERS[settings.emailProvider] ? settings.emailProvider : FormTrackEmail.DEFAULT_PROVIDER;
+  providerSettingInputs.forEach(input => {
+    input.value = settings[input.dataset.setting] || '';
+  });
+  updateProviderFields();
+}
+
+function readProviderSettings() {
+  const settings = { emailProvider: emailProvider.value };
+  providerSettingInputs.forEach(input => {
+    settings[input.dataset.setting] = input.value.trim();
+  });
+  return settings;
+}
+
+/**
+ * Show only the selected provider's fields
+ */
+function updateProviderFields() {
+  providerFieldGroups.forEach(group => {
+    group.style.display = group.dataset.provider === emailProvider.value ? '' : 'none';
+  });
+  emailFromHint.textContent = FormTrackEmail.PROVIDERS[emailProvider.value].fromHint;
+}
+
+/**
+ * Problems with the provider settings in the form, or null
+ */
+function validateProviderSettings(settings) {
+  if (settings.emailProvider === 'relay' && settings.relayUrl && !FormTrackEmail.isAllowedRelayUrl(settings.relayUrl)) {
+    return 'Please enter an https:// relay URL (http:// works only for localhost and 127.0.0.1).';
+  }
+  const missing = FormTrackEmail.getMissingSettings(settings);
+  if (missing.length > 0) {
+    return `Please enter the ${missing.join(' and ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Fill the hour and time zone pickers; the browser's time zone is the default
+ */
+function initDigestPickers() {
+  for (let hour = 0; hour < 24; hour++) {
+    const option = document.createElement('option');
+    option.value = String(hour);
+    option.textContent = `${String(hour).padStart(2, '0')}:00`;
+    digestHour.appendChild(option);
+  }
+
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  digestTimeZone.placeholder = `Time zone (default: ${browserTimeZone})`;
+  (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [browserTimeZone]).forEach(timeZone => {
+    const option = document.createElement('option');
+    option.value = timeZone;
+    timeZoneList.appendChild(option);
+  });
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Show the schedule pickers for digest delivery, with the weekday only for weekly digests
+ */
+function updateDigestOptions() {
+  const delivery = emailDelivery.value;
+  digestOptions.style.display = delivery === 'instant' ? 'none' : '';
+  digestWeekday.style.display = delivery === 'weekly' ? '' : 'none';
+  if (delivery !== 'instant') {
+    loadDigestStatus();
+  }
+}
+
+/**
+ * Show how many submissions wait for the next digest and when it is due
+ */
+async function loadDigestStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_DIGEST_STATUS' });
+    const parts = [`${status.pending} submission${status.pending !== 1 ? 's' : ''} waiting`];
+    if (status.nextAt) {
+      parts.push(`next digest ${new Date(status.nextAt).toLocaleString()}`);
+    }
+    if (status.lastSentAt) {
+      parts.push(`last sent ${new Date(status.lastSentAt).toLocaleString()}`);
+    }
+    digestStatus.textContent = parts.join(' · ');
+    sendDigestBtn.disabled = status.pending === 0;
+  } catch (error) {
+    console.debug('FormTrack: Could not read digest status', error);
+    digestStatus.textContent = '';
+  }
+}
+
+/**
+ * Send the queued submissions now instead of waiting for the schedule
+ */
+async function sendDigestNow() {
+  sendDigestBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SEND_DIGEST' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    alert(`Digest sent with ${response.sent} submission${response.sent !== 1 ? 's' : ''}.`);
+  } catch (error) {
+    console.error('Error sending digest:', error);
+    alert('Error sending digest: ' + error.message);
+  } finally {
+    loadDigestStatus();
+  }
+}
+
+/**
+ * Save settings to storage
+ */
+async function saveSettings() {
+  try {
+    const providerSettings = readProviderSettings();
+    const toEmail = emailTo.value.trim();
+    const fromEmail = emailFrom.value.trim();
+
+    // Basic validation
+    if (emailEnabled.checked) {
+      const problem = toEmail
+        ? validateProviderSettings({ ...providerSettings, emailFrom: fromEmail })
+        : 'Please enter the recipient email address.';
+      if (problem) {
+        alert(problem.replace(/\.$/, ' to enable email notifications.'));
+        return;
+      }
+    }
+
+    // Validate email format if provided
+    if (toEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(toEmail)) {
+      alert('Please enter a valid recipient email address.');
+      return;
+    }
+
+    if (fromEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fromEmail)) {
+      alert('Please enter a valid "from" email address or leave it empty.');
+      return;
+    }
+
+    const timeZone = digestTimeZone.value.trim();
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      alert('Please pick a time zone from the list (such as Europe/Berlin) or leave it empty.');
+      return;
+    }
+
+    const settings = {
+      ...providerSettings,
+      emailTo: toEmail,
+      emailFrom: fromEmail || null,
+      emailEnabled: emailEnabled.checked, // Auto-send when enabled and configured
+      geminiApiKey: geminiApiKey ? geminiApiKey.value.trim() : '',
+      draftsEnabled: draftsEnabled.checked,
+      redactionPolicy: redactionPolicy.value,
+      retentionDays: Math.max(parseInt(retentionDays.value, 10) || 0, 0),
+      maxPerDomain: Math.max(parseInt(maxPerDomain.value, 10) || 0, 0),
+      emailDelivery: emailDelivery.value,
+      digestHour: parseInt(digestHour.value, 10),
+      digestWeekday: parseInt(digestWeekday.value, 10),
+      digestTimeZone: timeZone
+    };
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_SETTINGS',
+      settings
+    });
+
+    if (response && response.success === false) {
+      throw new Error(response.error || 'Settings were not saved');
+    }
+
+    if (response && response.removed > 0) {
+      alert(`Settings saved. The retention rules deleted ${response.removed} submission${response.removed !== 1 ? 's' : ''}.`);
+      loadSubmissions();
+      loadTags();
+      if (activeView === 'forms') {
+        loadForms();
+      }
+    } else {
+      alert('Settings saved successfully!');
+    }
+    settingsModal.style.display = 'none';
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    alert('Error saving settings: ' + error.message);
+  }
+}
+
+/**
+ * Test email functionality
+ */
+async function testEmail() {
+  const settings = { ...readProviderSettings(), emailFrom: emailFrom.value.trim() };
+  const toEmail = emailTo.value.trim();
+  const providerLabel = FormTrackEmail.getProvider(settings).label;
+
+  const problem = validateProviderSettings(settings);
+  if (problem) {
+    alert(problem);
+    return;
+  }
+
+  if (!toEmail) {
+    alert('Please enter the recipient email address');
+    return;
+  }
+
+  try {
+    testEmailBtn.disabled = true;
+    testEmailBtn.textContent = 'Sending...';
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SEND_EMAIL',
+      email: {
+        to: toEmail,
+        subject: 'FormTrack Test Email',
+        html: `
+          <h2>FormTrack Test Email</h2>
+          <p>This is a test email from FormTrack to verify your ${escapeHtml(providerLabel)} configuration.</p>
+          <p>If you received this email, your settings are configured correctly!</p>
+          <hr>
+          <small>Sent at ${new Date().toLocaleString()}</small>
+        `
+      },
+      settings
+    });
+
+    if (response.success) {
+      alert('Test email sent successfully! Check your inbox.');
+    } else {
+      alert('Error sending email: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    alert('Error sending test email: ' + error.message);
+  } finally {
+    testEmailBtn.disabled = false;
+    testEmailBtn.textContent = 'Test Email';
+  }
+}
+
+// Ignore List Elements
+const ignoreRulesList = document.getElementById('ignoreRulesList');
+const ignoreRuleType = document.getElementById('ignoreRuleType');
+const ignoreRulePattern = document.getElementById('ignoreRulePattern');
+const ignoreRuleError = document.getElementById('ignoreRuleError');
+const addIgnoreRuleBtn = document.getElementById('addIgnoreRuleBtn');
+const ignoreTestUrl = document.getElementById('ignoreTestUrl');
+const testIgnoreUrlBtn = document.getElementById('testIgnoreUrlBtn');
+const ignoreTestResult = document.getElementById('ignoreTestResult');
+
+let ignoreRules = [];
+
+const IGNORE_RULE_PLACEHOLDERS = {
+  domain: 'intranet.example.com',
+  glob: 'example.com/admin/*',
+  regex: '^https://[^/]+\\.internal/'
+};
+
+/**
+ * Render a rule list (ignore or allow) in the settings modal
+ */
+function renderRuleList(listElement, rules, removeRule) {
+  listElement.innerHTML = '';
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+
+    const type = document.createElement('span');
+    type.className = 'rule-type';
+    type.textContent = rule.type;
+
+    const pattern = document.createElement('span');
+    pattern.className = 'rule-pattern';
+    pattern.textContent = rule.pattern;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'rule-remove';
+    removeBtn.title = 'Remove rule';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => removeRule(index));
+
+    item.append(type, pattern, removeBtn);
+    listElement.appendChild(item);
+  });
+}
+
+function renderIgnoreRules() {
+  renderRuleList(ignoreRulesList, ignoreRules, removeIgnoreRule);
+}
+
+/**
+ * Read a new rule from a type select and pattern input
+ * Returns null (and shows why) when it is invalid or already in `rules`
+ */
+function readRuleInput(typeSelect, patternInput, errorElement, rules) {
+  const rule = {
+    type: typeSelect.value,
+    pattern: patternInput.value.trim()
+  };
+
+  const validationError = FormTrackRules.validateRule(rule);
+  if (validationError) {
+    errorElement.textContent = validationError;
+    errorElement.style.display = 'block';
+    return null;
+  }
+
+  if (rules.some(existing => existing.type === rule.type && existing.pattern === rule.pattern)) {
+    errorElement.textContent = 'This rule is already in the list';
+    errorElement.style.display = 'block';
+    return null;
+  }
+
+  errorElement.style.display = 'none';
+  return rule;
+}
+
+/**
+ * Load the ignore list from storage
+ */
+async function loadIgnoreRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_IGNORE_LIST' });
+    ignoreRules = FormTrackRules.normalizeRules(response?.ignoreList);
+  } catch (error) {
+    console.error('Error loading ignore list:', error);
+    ignoreRules = [];
+  }
+  renderIgnoreRules();
+}
+
+/**
+ * Persist the ignore list - content scripts pick up the change immediately
+ */
+async function saveIgnoreRules(rules) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_IGNORE_LIST',
+    ignoreList: rules
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+
+  ignoreRules = FormTrackRules.normalizeRules(response.ignoreList);
+  renderIgnoreRules();
+}
+
+/**
+ * Add a rule from the settings form
+ */
+async function addIgnoreRule() {
+  const rule = readRuleInput(ignoreRuleType, ignoreRulePattern, ignoreRuleError, ignoreRules);
+  if (!rule) return;
+
+  try {
+    await saveIgnoreRules([...ignoreRules, rule]);
+    ignoreRulePattern.value = '';
+    if (ignoreTestUrl.value.trim()) {
+      testIgnoreUrl();
+    }
+  } catch (error) {
+    console.error('Error saving ignore list:', error);
+    alert('Error saving ignore list: ' + error.message);
+  }
+}
+
+/**
+ * Remove a rule by its position in the list
+ */
+async function removeIgnoreRule(index) {
+  try {
+    await saveIgnoreRules(ignoreRules.filter((_, i) => i !== index));
+    if (ignoreTestUrl.value.trim()) {
+      testIgnoreUrl();
+    }
+  } catch (error) {
+    console.error('Error saving ignore list:', error);
+    alert('Error saving ignore list: ' + error.message);
+  }
+}
+
+/**
+ * Describe whether a URL would be captured: { captured, text }
+ */
+function describeCapture(url) {
+  const match = FormTrackRules.findIgnoreMatch(ignoreRules, url);
+  if (match && match.builtIn) {
+    return { captured: false, text: `Ignored by built-in sensitive page pattern /${match.rule.pattern}/` };
+  }
+  if (match) {
+    return { captured: false, text: `Ignored by ${match.rule.type} rule: ${match.rule.pattern}` };
+  }
+  if (!FormTrackRules.isAllowedByMode(captureMode, allowRules, url)) {
+    if (captureMode !== 'paused') {
+      return { captured: false, text: 'Not captured - the page is not on the allow list' };
+    }
+    const until = captureResumeAt
+      ? ` until ${new Date(captureResumeAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+      : '';
+    return { captured: false, text: `Not captured - capture is paused${until}` };
+  }
+  return { captured: true, text: 'Not ignored - forms on this page will be captured' };
+}
+
+/**
+ * Show whether a URL would be captured or ignored, and by which rule
+ */
+function testIgnoreUrl() {
+  const url = ignoreTestUrl.value.trim();
+  if (!url) {
+    ignoreTestResult.style.display = 'none';
+    return;
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    ignoreTestResult.className = 'rule-test-result ignored';
+    ignoreTestResult.textContent = 'Enter a full URL including https://';
+    ignoreTestResult.style.display = 'block';
+    return;
+  }
+
+  const status = describeCapture(url);
+  ignoreTestResult.className = `rule-test-result ${status.captured ? 'captured' : 'ignored'}`;
+  ignoreTestResult.textContent = status.text;
+  ignoreTestResult.style.display = 'block';
+}
+
+/**
+ * Pre-fill the test box with the active tab's URL
+ */
+async function prefillIgnoreTestUrl() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab && tab.url && /^https?:/.test(tab.url) && !ignoreTestUrl.value) {
+      ignoreTestUrl.value = tab.url;
+      testIgnoreUrl();
+    }
+  } catch (error) {
+    console.debug('FormTrack: Could not read active tab', error);
+  }
+}
+
+// Capture Mode Elements
+const captureModeSelect = document.getElementById('captureMode');
+const allowRulesList = document.getElementById('allowRulesList');
+const allowRuleType = document.getElementById('allowRuleType');
+const allowRulePattern = document.getElementById('allowRulePattern');
+const allowRuleError = document.getElementById('allowRuleError');
+const addAllowRuleBtn = document.getElementById('addAllowRuleBtn');
+
+let captureMode = 'everything';
+let allowRules = [];
+// When a timed pause ends (ISO string), if one is running
+let captureResumeAt = null;
+
+function renderAllowRules() {
+  renderRuleList(allowRulesList, allowRules, removeAllowRule);
+}
+
+/**
+ * Load the capture mode and allow list
+ */
+async function loadCaptureSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CAPTURE_SETTINGS' });
+    captureMode = FormTrackRules.normalizeCaptureMode(response?.captureMode);
+    allowRules = FormTrackRules.normalizeRules(response?.allowList);
+    captureResumeAt = response?.resumeAt || null;
+  } catch (error) {
+    console.error('Error loading capture settings:', error);
+    captureMode = 'everything';
+    allowRules = [];
+    captureResumeAt = null;
+  }
+  captureModeSelect.value = captureMode;
+  renderAllowRules();
+}
+
+/**
+ * Save the capture mode as soon as it is picked
+ */
+async function saveCaptureMode() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_CAPTURE_MODE',
+      captureMode: captureModeSelect.value
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    captureMode = response.captureMode;
+    captureResumeAt = null;
+    if (ignoreTestUrl.value.trim()) {
+      testIgnoreUrl();
+    }
+  } catch (error) {
+    console.error('Error saving capture mode:', error);
+    alert('Error saving capture mode: ' + error.message);
+    captureModeSelect.value = captureMode;
+  }
+}
+
+/**
+ * Persist the allow list - content scripts pick up the change immediately
+ */
+async function saveAllowRules(rules) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_ALLOW_LIST',
+    allowList: rules
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+
+  allowRules = FormTrackRules.normalizeRules(response.allowList);
+  renderAllowRules();
+  if (ignoreTestUrl.value.trim()) {
+    testIgnoreUrl();
+  }
+}
+
+async function addAllowRule() {
+  const rule = readRuleInput(allowRuleType, allowRulePattern, allowRuleError, allowRules);
+  if (!rule) return;
+
+  try {
+    await saveAllowRules([...allowRules, rule]);
+    allowRulePattern.value = '';
+  } catch (error) {
+    console.error('Error saving allow list:', error);
+    alert('Error saving allow list: ' + error.message);
+  }
+}
+
+async function removeAllowRule(index) {
+  try {
+    await saveAllowRules(allowRules.filter((_, i) => i !== index));
+  } catch (error) {
+    console.error('Error saving allow list:', error);
+    alert('Error saving allow list: ' + error.message);
+  }
+}
+
+// This Site Elements
+const siteModal = document.getElementById('siteModal');
+const closeSiteBtn = document.getElementById('closeSiteBtn');
+const siteHost = document.getElementById('siteHost');
+const siteStatus = document.getElementById('siteStatus');
+const sitePauseBtn = document.getElementById('sitePauseBtn');
+const siteActionButtons = siteModal.querySelectorAll('[data-site-action]');
+const siteActionResult = document.getElementById('siteActionResult');
+
+// Give the background time to redact and store an on-demand capture before reloading
+const CAPTURE_NOW_REFRESH_MS = 500;
+
+let siteTab = null;
+
+/**
+ * Open the tracking controls for the active tab
+ */
+async function openSiteDialog() {
+  siteActionResult.style.display = 'none';
+  siteModal.style.display = 'flex';
+
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
-    
-    // Handle case where response might be undefined or doesn't have settings
-    let settings = defaultSettings;
-    
-    if (response && response.settings && typeof response.settings === 'object') {
-      // Merge with defaults to ensure all properties exist
-      settings = { ...defaultSettings, ...response.settings };
-    } else {
-      console.debug('FormTrack: Invalid response format, using defaults', response);
-      settings = defaultSettings;
-    }
-    
-    // Load API key
-    resendApiKey.value = settings.resendApiKey || '';
-    
-    // Load recipient email
-    emailTo.value = settings.emailTo || '';
-    
-    // Load from email (optional)
-    emailFrom.value = settings.emailFrom || '';
-    
-    // Load email enabled setting (default to true for auto-send)
-    emailEnabled.checked = settings.emailEnabled !== undefined ? settings.emailEnabled : true;
-    
-    // Load Gemini API key
-    if (geminiApiKey) {
-      geminiApiKey.value = settings.geminiApiKey || '';
+    [siteTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  } catch (error) {
+    console.debug('FormTrack: Could not read active tab', error);
+    siteTab = null;
+  }
+
+  await Promise.all([loadIgnoreRules(), loadCaptureSettings()]);
+  renderSiteStatus();
+}
+
+/**
+ * Show the active tab's host and whether it is captured
+ */
+function renderSiteStatus() {
+  const url = siteTab && siteTab.url;
+  const isWebPage = Boolean(url && /^https?:/.test(url));
+
+  siteHost.textContent = isWebPage ? new URL(url).host : 'FormTrack does not run on this page';
+  siteActionButtons.forEach(button => {
+    button.disabled = !isWebPage;
+  });
+
+  // The pause button resumes while capture is paused; it works from any page
+  const paused = captureMode === 'paused';
+  sitePauseBtn.dataset.siteAction = paused ? 'resume' : 'pause';
+  sitePauseBtn.textContent = paused ? '▶️ Resume capture' : '⏸️ Pause for 1 hour';
+  sitePauseBtn.disabled = false;
+
+  if (!isWebPage) {
+    siteStatus.style.display = 'none';
+    return;
+  }
+
+  const status = describeCapture(url);
+  siteStatus.className = `rule-test-result ${status.captured ? 'captured' : 'ignored'}`;
+  siteStatus.textContent = status.text;
+  siteStatus.style.display = 'block';
+}
+
+/**
+ * Run one of the tracking controls on the active tab
+ */
+async function runSiteAction(action, confirmed = false) {
+  siteActionButtons.forEach(button => {
+    button.disabled = true;
+  });
+
+  let result;
+  try {
+    result = await chrome.runtime.sendMessage({
+      type: 'SITE_ACTION',
+      action,
+      url: siteTab && siteTab.url,
+      tabId: siteTab && siteTab.id,
+      confirmed
+    });
+    // "Track only this form" asks before switching every site to allowlist mode
+    if (result && result.needsConfirm && confirm(`${result.error}\n\nContinue?`)) {
+      return runSiteAction(action, true);
     }
   } catch (error) {
-    console.error('Error loading settings:', error);
-    // Set defaults on error
-    resendApiKey.value = defaultSettings.resendApiKey;
-    emailTo.value = defaultSettings.emailTo;
-    emailFrom.value = defaultSettings.emailFrom;
-    emailEnabled.checked = defaultSettings.emailEnabled;
-    if (geminiApiKey) {
-      geminiApiKey.value = defaultSettings.geminiApiKey;
+    console.error('Error running site action:', error);
+    result = { success: false, error: error.message };
+  }
+
+  const success = Boolean(result && result.success);
+  siteActionResult.className = `rule-test-result ${success ? 'captured' : 'ignored'}`;
+  if (success && action === 'capture-now') {
+    siteActionResult.textContent = `Captured ${result.fieldCount} field${result.fieldCount !== 1 ? 's' : ''}` +
+      (result.queued ? ' (saved when the vault is unlocked)' : '');
+  } else {
+    siteActionResult.textContent = success ? result.message : (result?.error || 'Unknown error');
+  }
+  siteActionResult.style.display = 'block';
+
+  if (success && action === 'capture-now') {
+    setTimeout(() => {
+      loadSubmissions();
+      loadTags();
+      loadSearchSuggestions();
+      if (activeView === 'forms') {
+        loadForms();
+      }
+    }, CAPTURE_NOW_REFRESH_MS);
+  }
+
+  await Promise.all([loadIgnoreRules(), loadCaptureSettings()]);
+  renderSiteStatus();
+}
+
+// Vault Elements
+// Matches FormTrackVault.LOCKED_ERROR in the background worker
+const VAULT_LOCKED_ERROR = 'Vault is locked';
+
+const lockBtn = document.getElementById('lockBtn');
+const lockScreen = document.getElementById('lockScreen');
+const unlockPassphrase = document.getElementById('unlockPassphrase');
+const unlockBtn = document.getElementById('unlockBtn');
+const unlockError = document.getElementById('unlockError');
+const lockQueueHint = document.getElementById('lockQueueHint');
+const vaultStatusText = document.getElementById('vaultStatusText');
+const vaultSetup = document.getElementById('vaultSetup');
+const vaultPassphrase = document.getElementById('vaultPassphrase');
+const vaultPassphraseConfirm = document.getElementById('vaultPassphraseConfirm');
+const vaultAutoLock = document.getElementById('vaultAutoLock');
+const enableVaultBtn = document.getElementById('enableVaultBtn');
+const vaultManage = document.getElementById('vaultManage');
+const lockVaultBtn = document.getElementById('lockVaultBtn');
+const vaultDisablePassphrase = document.getElementById('vaultDisablePassphrase');
+const disableVaultBtn = document.getElementById('disableVaultBtn');
+const vaultError = document.getElementById('vaultError');
+
+let vaultStatus = { enabled: false, locked: false };
+
+/**
+ * Fetch the vault state and update the header lock button
+ */
+async function refreshVaultStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'VAULT_STATUS' });
+    if (response && !response.error) {
+      vaultStatus = response;
     }
+  } catch (error) {
+    console.debug('FormTrack: Could not read vault status', error);
   }
+
+  lockBtn.style.display = vaultStatus.enabled && !vaultStatus.locked ? '' : 'none';
+  return vaultStatus;
 }
 
 /**
- * Save settings to storage
+ * Hide everything behind the unlock prompt
  */
-async function saveSettings() {
+function showLockScreen() {
+  filteredSubmissions = [];
+  nextCursor = null;
+  submissionsList.innerHTML = '';
+  forms = [];
+  formsList.innerHTML = '';
+  settingsModal.style.display = 'none';
+  exportModal.style.display = 'none';
+  importModal.style.display = 'none';
+  lockBtn.style.display = 'none';
+
+  lockQueueHint.textContent = vaultStatus.queued > 0
+    ? `${vaultStatus.queued} submission${vaultStatus.queued !== 1 ? 's' : ''} captured while locked will be added when you unlock.`
+    : '';
+  unlockPassphrase.value = '';
+  unlockError.style.display = 'none';
+  lockScreen.style.display = 'flex';
+  unlockPassphrase.focus();
+}
+
+/**
+ * Unlock with the passphrase from the lock screen
+ */
+async function unlockVault() {
+  unlockBtn.disabled = true;
+  unlockError.style.display = 'none';
+
   try {
-    const apiKey = resendApiKey.value.trim();
-    const toEmail = emailTo.value.trim();
-    const fromEmail = emailFrom.value.trim();
+    const response = await chrome.runtime.sendMessage({
+      type: 'VAULT_UNLOCK',
+      passphrase: unlockPassphrase.value
+    });
 
-    // Basic validation
-    if (emailEnabled.checked && (!apiKey || !toEmail)) {
-      alert('Please enter both Resend API key and recipient email address to enable email notifications.');
-      return;
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
     }
 
-    // Validate email format if provided
-    if (toEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(toEmail)) {
-      alert('Please enter a valid recipient email address.');
-      return;
+    unlockPassphrase.value = '';
+    lockScreen.style.display = 'none';
+    await refreshVaultStatus();
+    loadSubmissions();
+    loadTags();
+    loadSearchSuggestions();
+    if (activeView === 'forms') {
+      loadForms();
     }
+  } catch (error) {
+    unlockError.textContent = error.message;
+    unlockError.style.display = 'block';
+    unlockPassphrase.select();
+  } finally {
+    unlockBtn.disabled = false;
+  }
+}
 
-    if (fromEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fromEmail)) {
-      alert('Please enter a valid "from" email address or leave it empty.');
-      return;
-    }
+/**
+ * Lock the vault right away
+ */
+async function lockVault() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'VAULT_LOCK' });
+    await refreshVaultStatus();
+    showLockScreen();
+  } catch (error) {
+    console.error('Error locking vault:', error);
+    alert('Error locking vault: ' + error.message);
+  }
+}
 
-    const settings = {
-      resendApiKey: apiKey,
-      emailTo: toEmail,
-      emailFrom: fromEmail || null,
-      emailEnabled: emailEnabled.checked, // Auto-send when enabled and configured
-      geminiApiKey: geminiApiKey ? geminiApiKey.value.trim() : ''
-    };
+function showVaultError(message) {
+  vaultError.textContent = message;
+  vaultError.style.display = message ? 'block' : 'none';
+}
 
-    await chrome.runtime.sendMessage({
-      type: 'SET_SETTINGS',
-      settings
+/**
+ * Show the vault section of the settings for the current state
+ */
+async function loadVaultSettings() {
+  const status = await refreshVaultStatus();
+
+  vaultStatusText.className = status.enabled ? 'vault-status enabled' : 'vault-status';
+  vaultStatusText.textContent = status.enabled
+    ? 'Encryption is on. Submissions and API keys are stored encrypted.'
+    : 'Encryption is off. Submissions and API keys are stored as plain text in this browser profile.';
+
+  vaultSetup.style.display = status.enabled ? 'none' : 'block';
+  enableVaultBtn.style.display = status.enabled ? 'none' : 'block';
+  vaultManage.style.display = status.enabled ? 'block' : 'none';
+  vaultAutoLock.value = String(status.autoLockMinutes || 15);
+
+  vaultPassphrase.value = '';
+  vaultPassphraseConfirm.value = '';
+  vaultDisablePassphrase.value = '';
+  showVaultError('');
+}
+
+/**
+ * Turn the vault on and encrypt existing data
+ */
+async function enableVault() {
+  showVaultError('');
+
+  if (vaultPassphrase.value !== vaultPassphraseConfirm.value) {
+    showVaultError('The passphrases do not match');
+    return;
+  }
+
+  enableVaultBtn.disabled = true;
+  enableVaultBtn.textContent = 'Encrypting...';
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'VAULT_ENABLE',
+      passphrase: vaultPassphrase.value,
+      autoLockMinutes: parseInt(vaultAutoLock.value, 10)
     });
 
-    alert('Settings saved successfully!');
-    settingsModal.style.display = 'none';
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    await loadVaultSettings();
   } catch (error) {
-    console.error('Error saving settings:', error);
-    alert('Error saving settings: ' + error.message);
+    showVaultError(error.message);
+  } finally {
+    enableVaultBtn.disabled = false;
+    enableVaultBtn.textContent = 'Enable Vault';
   }
 }
 
 /**
- * Test email functionality
+ * Turn the vault off, decrypting everything
  */
-async function testEmail() {
-  const apiKey = resendApiKey.value.trim();
-  const toEmail = emailTo.value.trim();
-  const fromEmail = emailFrom.value.trim();
+async function disableVault() {
+  showVaultError('');
 
-  if (!apiKey) {
-    alert('Please enter your Resend API key');
+  if (!confirm('Turn off encryption? Submissions and API keys will be stored as plain text again.')) {
     return;
   }
 
-  if (!toEmail) {
-    alert('Please enter the recipient email address');
-    return;
+  disableVaultBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'VAULT_DISABLE',
+      passphrase: vaultDisablePassphrase.value
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    await loadVaultSettings();
+  } catch (error) {
+    showVaultError(error.message);
+  } finally {
+    disableVaultBtn.disabled = false;
   }
+}
 
-  try {
-    testEmailBtn.disabled = true;
-    testEmailBtn.textContent = 'Sending...';
+/**
+ * Save a new auto-lock time while the vault is on
+ */
+async function saveVaultAutoLock() {
+  if (!vaultStatus.enabled) return;
 
+  try {
     const response = await chrome.runtime.sendMessage({
-      type: 'SEND_EMAIL',
-      email: {
-        to: toEmail,
-        from: fromEmail || 'onboarding@resend.dev',
-        subject: 'FormTrack Test Email',
-        html: `
-          <h2>FormTrack Test Email</h2>
-          <p>This is a test email from FormTrack to verify your Resend API configuration.</p>
-          <p>If you received this email, your settings are configured correctly!</p>
-          <hr>
-          <small>Sent at ${new Date().toLocaleString()}</small>
-        `
-      },
-      apiKey: apiKey
+      type: 'VAULT_SET_AUTO_LOCK',
+      minutes: parseInt(vaultAutoLock.value, 10)
     });
 
-    if (response.success) {
-      alert('Test email sent successfully! Check your inbox.');
-    } else {
-      alert('Error sending email: ' + (response.error || 'Unknown error'));
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
     }
+    vaultStatus.autoLockMinutes = response.autoLockMinutes;
   } catch (error) {
-    console.error('Error sending test email:', error);
-    alert('Error sending test email: ' + error.message);
-  } finally {
-    testEmailBtn.disabled = false;
-    testEmailBtn.textContent = 'Test Email';
+    showVaultError(error.message);
   }
 }
 
 // Settings Modal Event Listeners
 settingsBtn.addEventListener('click', () => {
   loadSettings();
+  loadVaultSettings();
+  Promise.all([loadIgnoreRules(), loadCaptureSettings()]).then(prefillIgnoreTestUrl);
+  forgetSiteResult.style.display = 'none';
   settingsModal.style.display = 'flex';
 });
 
@@ -605,7 +3082,79 @@ closeSettingsBtn.addEventListener('click', () => {
 });
 
 saveSettingsBtn.addEventListener('click', saveSettings);
+
+forgetSiteBtn.addEventListener('click', async () => {
+  const site = forgetSiteInput.value.trim();
+  if (!site) return;
+
+  forgetSiteBtn.disabled = true;
+  try {
+    const result = await forgetSite(site);
+    if (result) {
+      forgetSiteInput.value = '';
+      forgetSiteResult.className = 'rule-test-result captured';
+      forgetSiteResult.textContent = `Deleted ${result.deleted} submission${result.deleted !== 1 ? 's' : ''} from ${result.host}`;
+      forgetSiteResult.style.display = 'block';
+    }
+  } finally {
+    forgetSiteBtn.disabled = false;
+  }
+});
 testEmailBtn.addEventListener('click', testEmail);
+emailDelivery.addEventListener('change', updateDigestOptions);
+emailProvider.addEventListener('change', updateProviderFields);
+sendDigestBtn.addEventListener('click', sendDigestNow);
+initDigestPickers();
+
+// Vault Event Listeners
+lockBtn.addEventListener('click', lockVault);
+lockVaultBtn.addEventListener('click', lockVault);
+enableVaultBtn.addEventListener('click', enableVault);
+disableVaultBtn.addEventListener('click', disableVault);
+vaultAutoLock.addEventListener('change', saveVaultAutoLock);
+unlockBtn.addEventListener('click', unlockVault);
+
+unlockPassphrase.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    unlockVault();
+  }
+});
+
+// Capture Mode Event Listeners
+captureModeSelect.addEventListener('change', saveCaptureMode);
+addAllowRuleBtn.addEventListener('click', addAllowRule);
+
+allowRulePattern.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addAllowRule();
+  }
+});
+
+allowRuleType.addEventListener('change', () => {
+  allowRuleError.style.display = 'none';
+});
+
+// Ignore List Event Listeners
+ignoreRuleType.addEventListener('change', () => {
+  ignoreRulePattern.placeholder = IGNORE_RULE_PLACEHOLDERS[ignoreRuleType.value];
+  ignoreRuleError.style.display = 'none';
+});
+
+addIgnoreRuleBtn.addEventListener('click', addIgnoreRule);
+
+ignoreRulePattern.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addIgnoreRule();
+  }
+});
+
+testIgnoreUrlBtn.addEventListener('click', testIgnoreUrl);
+
+ignoreTestUrl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    testIgnoreUrl();
+  }
+});
 
 // Close modal when clicking outside
 settingsModal.addEventListener('click', (e) => {
@@ -615,11 +3164,88 @@ settingsModal.addEventListener('click', (e) => {
 });
 
 // Event listeners
+let searchTimer = null;
 searchInput.addEventListener('input', (e) => {
-  filterSubmissions(e.target.value);
+  updateSearchCompletions(e.target.value);
+
+  // Debounce so each keystroke doesn't query the whole history
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => filterSubmissions(e.target.value), SEARCH_DEBOUNCE_MS);
+});
+
+tagFilter.addEventListener('change', () => {
+  currentTag = tagFilter.value;
+  loadSubmissions();
+});
+
+exportBtn.addEventListener('click', openExportDialog);
+
+// Forms View Event Listeners
+viewTabs.forEach(tab => {
+  tab.addEventListener('click', () => switchView(tab.dataset.view));
+});
+
+retryAllOutboxBtn.addEventListener('click', () => retryOutbox());
+undoDeleteBtn.addEventListener('click', undoDelete);
+
+formsBackBtn.addEventListener('click', () => {
+  formsRequestId++;
+  renderForms();
+});
+
+importBtn.addEventListener('click', openImportDialog);
+
+dashboardBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  window.close();
+});
+
+// This Site Modal Event Listeners
+siteBtn.addEventListener('click', openSiteDialog);
+
+siteActionButtons.forEach(button => {
+  button.addEventListener('click', () => runSiteAction(button.dataset.siteAction));
+});
+
+closeSiteBtn.addEventListener('click', () => {
+  siteModal.style.display = 'none';
+});
+
+siteModal.addEventListener('click', (e) => {
+  if (e.target === siteModal) {
+    siteModal.style.display = 'none';
+  }
 });
 
-exportBtn.addEventListener('click', exportSubmissions);
+// Export Modal Event Listeners
+exportFormat.addEventListener('change', () => {
+  exportFormatHint.textContent = EXPORT_FORMAT_HINTS[exportFormat.value];
+});
+
+runExportBtn.addEventListener('click', exportSubmissions);
+
+closeExportBtn.addEventListener('click', () => {
+  exportModal.style.display = 'none';
+});
+
+exportModal.addEventListener('click', (e) => {
+  if (e.target === exportModal) {
+    exportModal.style.display = 'none';
+  }
+});
+
+// Import Modal Event Listeners
+runImportBtn.addEventListener('click', importSubmissions);
+
+closeImportBtn.addEventListener('click', () => {
+  importModal.style.display = 'none';
+});
+
+importModal.addEventListener('click', (e) => {
+  if (e.target === importModal) {
+    importModal.style.display = 'none';
+  }
+});
 
 clearBtn.addEventListener('click', clearSubmissions);
 
@@ -629,6 +3255,16 @@ if (generateFormSummaryBtn) {
   generateFormSummaryBtn.addEventListener('click', generateFormSummary);
 }
 
-// Load submissions on popup open
-loadSubmissions();
+// Load submissions on popup open, once unlocked when the vault is in use
+refreshVaultStatus().then(status => {
+  if (status.enabled && status.locked) {
+    showLockScreen();
+  } else {
+    loadSubmissions();
+    loadTags();
+    loadSearchSuggestions();
+    // Shows the failed delivery count on the Outbox tab
+    loadOutbox();
+  }
+});
 
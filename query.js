@@ -0,0 +1,275 @@
+// FormTrack Search Queries
+// Parsing and matching of the popup's search language, e.g.
+//   site:forms.office.com source:google-forms field:email=bob@ tag:"needs follow-up" after:2026-01-01 -draft
+// Loaded by the popup and the background service worker (after schema.js).
+
+const FormTrackQuery = (function() {
+  'use strict';
+
+  const OPERATORS = ['site', 'source', 'field', 'tag', 'after', 'before'];
+
+  // Longer words are cut to this length in the search index
+  const MAX_TOKEN_LENGTH = 40;
+
+  /**
+   * Read one whitespace-separated token starting at `start`
+   * Quotes may wrap the whole token or an operator's value (`tag:"needs follow-up"`)
+   * Returns { text, end, error }
+   */
+  function readToken(input, start) {
+    let text = '';
+    let i = start;
+
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const close = input.indexOf('"', i + 1);
+        if (close === -1) {
+          return { text, end: input.length, error: 'Missing closing quote' };
+        }
+        text += input.slice(i + 1, close);
+        i = close + 1;
+      } else {
+        text += input[i];
+        i++;
+      }
+    }
+
+    return { text, end: i, error: null };
+  }
+
+  /**
+   * Parse a date for after:/before: - a bare date means midnight local time
+   */
+  function parseDate(value) {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Turn a site: value into a host name (a pasted URL keeps only its host)
+   */
+  function parseSite(value) {
+    return value.toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#]/)[0];
+  }
+
+  /**
+   * Build the term for one token, or return { error }
+   */
+  function parseTerm(text, quoted, negate) {
+    const match = !quoted && /^([a-z]+):(.*)$/i.exec(text);
+    if (!match) {
+      return { term: { type: 'text', value: text, negate } };
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2];
+
+    if (!OPERATORS.includes(key)) {
+      // `https://...` and similar are plain text; anything else is probably a mistyped operator
+      if (value.startsWith('//')) {
+        return { term: { type: 'text', value: text, negate } };
+      }
+      return { error: `Unknown operator "${key}:" (use ${OPERATORS.map(name => `${name}:`).join(', ')})` };
+    }
+
+    if (!value) {
+      return { error: `"${key}:" needs a value` };
+    }
+
+    if (key === 'after' || key === 'before') {
+      const date = parseDate(value);
+      if (!date) {
+        return { error: `"${value}" is not a date (use YYYY-MM-DD)` };
+      }
+      return { term: { type: key, value: date.toISOString(), negate } };
+    }
+
+    if (key === 'field') {
+      const separator = value.indexOf('=');
+      const name = separator === -1 ? value : value.slice(0, separator);
+      if (!name) {
+        return { error: '"field:" needs a field name, e.g. field:email=bob@' };
+      }
+      return {
+        term: {
+          type: 'field',
+          name,
+          value: separator === -1 ? null : value.slice(separator + 1),
+          negate
+        }
+      };
+    }
+
+    if (key === 'site') {
+      return { term: { type: 'site', value: parseSite(value), negate } };
+    }
+
+    return { term: { type: key, value, negate } };
+  }
+
+  /**
+   * Parse a search query
+   * Returns { terms, errors } - terms are { type, value, name?, negate }
+   */
+  function parseQuery(input) {
+    const text = String(input || '');
+    const terms = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+
+      // A leading "-" negates the term; a lone "-" is just text
+      const negate = text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1]);
+      const start = negate ? i + 1 : i;
+      const quoted = text[start] === '"';
+      const token = readToken(text, start);
+      i = token.end;
+
+      if (token.error) {
+        errors.push(token.error);
+        continue;
+      }
+      if (!token.text) continue;
+
+      const { term, error } = parseTerm(token.text, quoted, negate);
+      if (error) {
+        errors.push(error);
+      } else {
+        terms.push(term);
+      }
+    }
+
+    return { terms, errors };
+  }
+
+  /**
+   * Split text into lowercase search-index tokens (runs of letters and digits)
+   */
+  function tokenize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map(token => token.slice(0, MAX_TOKEN_LENGTH));
+  }
+
+  /**
+   * Check a submission against free text (URL, title, tags, notes, field names, labels and values)
+   */
+  function matchesText(submission, query) {
+    const lowerQuery = query.toLowerCase();
+
+    if (submission.url && submission.url.toLowerCase().includes(lowerQuery)) {
+      return true;
+    }
+
+    if (submission.title && submission.title.toLowerCase().includes(lowerQuery)) {
+      return true;
+    }
+
+    if ((submission.tags || []).some(tag => tag.toLowerCase().includes(lowerQuery))) {
+      return true;
+    }
+
+    if (submission.notes && submission.notes.toLowerCase().includes(lowerQuery)) {
+      return true;
+    }
+
+    for (const field of FormTrackSchema.getFields(submission)) {
+      const text = [field.name, field.label, field.value === null ? '' : field.value];
+      if (text.some(item => String(item).toLowerCase().includes(lowerQuery))) return true;
+    }
+
+    return false;
+  }
+
+  function getHost(submission) {
+    if (submission.domain) return submission.domain;
+    try {
+      return new URL(submission.pageUrl || submission.url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * field:name or field:name=value - the name matches a field's raw name or label, the value is a substring
+   * Without a value the field must have been answered
+   */
+  function matchesField(submission, name, value) {
+    const lowerName = name.toLowerCase();
+    const lowerValue = value === null ? null : value.toLowerCase();
+
+    return FormTrackSchema.getFields(submission).some(field => {
+      const named = field.name.toLowerCase().includes(lowerName) ||
+                    (field.label && field.label.toLowerCase().includes(lowerName));
+      if (!named) return false;
+
+      const items = [].concat(field.value ?? []).map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item)));
+      if (lowerValue === null) {
+        return items.some(item => item !== '');
+      }
+      return items.some(item => item.toLowerCase().includes(lowerValue));
+    });
+  }
+
+  function matchesTerm(submission, term) {
+    switch (term.type) {
+      case 'site': {
+        const host = getHost(submission);
+        return host === term.value || host.endsWith(`.${term.value}`);
+      }
+      case 'source':
+        return (submission.source || 'submit').toLowerCase() === term.value.toLowerCase();
+      case 'tag':
+        return FormTrackSchema.hasTag(submission, term.value);
+      case 'field':
+        return matchesField(submission, term.name, term.value);
+      case 'after':
+        return new Date(submission.timestamp) >= new Date(term.value);
+      case 'before':
+        return new Date(submission.timestamp) < new Date(term.value);
+      default:
+        return matchesText(submission, term.value);
+    }
+  }
+
+  /**
+   * Check a submission against every term of a parsed query
+   */
+  function matchesQuery(submission, parsed) {
+    return parsed.terms.every(term => matchesTerm(submission, term) !== term.negate);
+  }
+
+  /**
+   * The time range every match must fall in, from the query's positive after:/before: terms
+   * Returns { after, before } (ISO strings, either may be undefined) for narrowing index reads
+   */
+  function getTimeRange(parsed) {
+    const range = {};
+    parsed.terms.forEach(term => {
+      if (term.negate) return;
+      if (term.type === 'after' && (!range.after || term.value > range.after)) {
+        range.after = term.value;
+      }
+      if (term.type === 'before' && (!range.before || term.value < range.before)) {
+        range.before = term.value;
+      }
+    });
+    return range;
+  }
+
+  return {
+    OPERATORS,
+    parseQuery,
+    tokenize,
+    matchesQuery,
+    matchesText,
+    getTimeRange
+  };
+})();
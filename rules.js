@@ -0,0 +1,172 @@
+// FormTrack URL Rules
+// Shared matching for the user-managed ignore and allow lists, and the capture mode.
+// Loaded by the content script, the popup and the background service worker.
+
+const FormTrackRules = (function() {
+  'use strict';
+
+  // Built-in patterns for sensitive pages, always applied on top of user rules
+  const DEFAULT_IGNORE_PATTERNS = [
+    /login/i,
+    /signin/i,
+    /password/i,
+    /auth/i,
+    /bank/i,
+    /credit/i,
+    /payment/i
+  ];
+
+  const RULE_TYPES = ['domain', 'glob', 'regex'];
+
+  // everything: any page not ignored; allowlist: only pages matching an allow rule; paused: nothing
+  const CAPTURE_MODES = ['everything', 'allowlist', 'paused'];
+
+  /**
+   * Convert a URL glob (`*` and `?` wildcards) to a case-insensitive RegExp
+   */
+  function globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Normalize a stored entry into a { type, pattern } rule
+   * Plain strings (older ignore lists) are treated as domains
+   */
+  function normalizeRule(entry) {
+    if (typeof entry === 'string') {
+      return { type: 'domain', pattern: entry.trim() };
+    }
+    if (!entry || typeof entry !== 'object') {
+      return null;
+    }
+    return {
+      type: RULE_TYPES.includes(entry.type) ? entry.type : 'domain',
+      pattern: String(entry.pattern || '').trim()
+    };
+  }
+
+  /**
+   * Validate a rule, returning an error message or null when valid
+   */
+  function validateRule(rule) {
+    if (!rule || !rule.pattern) {
+      return 'Pattern cannot be empty';
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      return `Unknown rule type: ${rule.type}`;
+    }
+    if (rule.type === 'domain' && !/^(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(rule.pattern)) {
+      return 'Domain rules take a host name such as example.com or *.example.com';
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a list of stored entries, dropping anything invalid
+   */
+  function normalizeRules(entries) {
+    if (!Array.isArray(entries)) return [];
+    return entries
+      .map(normalizeRule)
+      .filter(rule => rule && validateRule(rule) === null);
+  }
+
+  /**
+   * Check whether a single rule matches a URL
+   * - domain: the host or any of its subdomains
+   * - glob: the full URL, or the URL without its scheme when the glob has none
+   * - regex: searched anywhere in the full URL
+   */
+  function matchesRule(rule, url) {
+    if (!rule || !url) return false;
+
+    try {
+      if (rule.type === 'domain') {
+        const hostname = new URL(url).hostname.toLowerCase();
+        const domain = rule.pattern.toLowerCase().replace(/^\*\./, '').replace(/:\d+$/, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+      }
+
+      if (rule.type === 'glob') {
+        const target = rule.pattern.includes('://') ? url : url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+        return globToRegExp(rule.pattern).test(target);
+      }
+
+      if (rule.type === 'regex') {
+        return new RegExp(rule.pattern, 'i').test(url);
+      }
+    } catch (error) {
+      // Unparseable URL or pattern never matches
+    }
+    return false;
+  }
+
+  /**
+   * Find why a page/action pair would be ignored
+   * Returns { rule, builtIn } for the first match, or null when it would be captured
+   */
+  function findIgnoreMatch(rules, url, action) {
+    const targets = [url, action].filter(Boolean);
+
+    for (const pattern of DEFAULT_IGNORE_PATTERNS) {
+      if (targets.some(target => pattern.test(target.toLowerCase()))) {
+        return { rule: { type: 'regex', pattern: pattern.source }, builtIn: true };
+      }
+    }
+
+    for (const rule of rules || []) {
+      if (targets.some(target => matchesRule(rule, target))) {
+        return { rule, builtIn: false };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A stored capture mode, or 'everything' when missing or unknown
+   */
+  function normalizeCaptureMode(mode) {
+    return CAPTURE_MODES.includes(mode) ? mode : 'everything';
+  }
+
+  /**
+   * Check whether the capture mode lets a page/action pair be captured
+   * The ignore list (findIgnoreMatch) still applies on top of this
+   */
+  function isAllowedByMode(mode, allowRules, url, action) {
+    const captureMode = normalizeCaptureMode(mode);
+    if (captureMode === 'paused') return false;
+    if (captureMode === 'everything') return true;
+
+    const targets = [url, action].filter(Boolean);
+    return (allowRules || []).some(rule => targets.some(target => matchesRule(rule, target)));
+  }
+
+  return {
+    DEFAULT_IGNORE_PATTERNS,
+    RULE_TYPES,
+    CAPTURE_MODES,
+    normalizeCaptureMode,
+    isAllowedByMode,
+    normalizeRule,
+    normalizeRules,
+    validateRule,
+    matchesRule,
+    findIgnoreMatch
+  };
+})();
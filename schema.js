@@ -0,0 +1,226 @@
+// FormTrack Submission Schema
+// The versioned submission format and the upgrade of records saved by older versions.
+// Loaded by the content script, the popup and the background service worker.
+
+const FormTrackSchema = (function() {
+  'use strict';
+
+  // Version 1 kept `fields` as a flat name -> value map, with optional `fieldLabels` and
+  // `redactedFields` maps beside it. Version 2 keeps an ordered list of field objects:
+  //   { name, label, type, value, options?, required?, redacted?, order }
+  // Either version may carry the user's `tags` (a list) and `notes` (text)
+  const CURRENT_VERSION = 2;
+
+  const MAX_TAGS = 20;
+  const MAX_TAG_LENGTH = 40;
+
+  /**
+   * Guess a field type from a value when the page did not tell us (e.g. fetch bodies)
+   */
+  function inferType(value) {
+    if (Array.isArray(value)) return 'list';
+    if (value !== null && typeof value === 'object') return 'object';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'text';
+  }
+
+  /**
+   * Build one field object; optional properties are only set when they carry information
+   */
+  function createField({ name, label, type, value, options, required, redacted }, order) {
+    const field = {
+      name: String(name),
+      label: label && String(label) !== String(name) ? String(label) : '',
+      type: type ? String(type) : inferType(value),
+      value: value === undefined ? null : value,
+      order
+    };
+    if (Array.isArray(options) && options.length > 0) {
+      field.options = options.map(String);
+    }
+    if (required) {
+      field.required = true;
+    }
+    if (Array.isArray(redacted) && redacted.length > 0) {
+      field.redacted = redacted.map(String);
+    }
+    return field;
+  }
+
+  /**
+   * Build a field list from a flat key -> value map, keeping the map's order
+   * `meta` maps keys to { name, label, type, options, required }; `redacted` maps keys to detected kinds
+   * Platform extractors key answers by question text, so a key that is not the raw name becomes the label
+   */
+  function buildFields(values, meta = {}, redacted = {}) {
+    const fields = [];
+    const usedNames = new Set();
+
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const info = meta[key] || {};
+      const name = info.name && !usedNames.has(info.name) ? info.name : key;
+      usedNames.add(name);
+
+      fields.push(createField({
+        ...info,
+        name,
+        label: info.label || (name !== key ? key : ''),
+        value,
+        redacted: redacted[key]
+      }, fields.length));
+    });
+
+    return fields;
+  }
+
+  /**
+   * Check a field list from an import or the editor
+   * Returns a clean list sorted and renumbered by `order`, or null when an entry is not a field
+   */
+  function normalizeFields(list) {
+    if (!Array.isArray(list)) return null;
+
+    const items = list.map((item, index) => ({ item, position: Number.isFinite(item?.order) ? item.order : index }));
+    if (items.some(({ item }) => !item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name)) {
+      return null;
+    }
+
+    return items
+      .sort((a, b) => a.position - b.position)
+      .map(({ item }, order) => createField(item, order));
+  }
+
+  /**
+   * Bring a record to the current version; current records are returned unchanged
+   * Lists without a version (e.g. hand-made imports) are normalized as well
+   */
+  function migrateSubmission(record) {
+    if (!record || record.encrypted || record.version >= CURRENT_VERSION) {
+      return record;
+    }
+
+    const { fieldLabels, redactedFields, ...rest } = record;
+    let fields;
+    if (Array.isArray(record.fields)) {
+      fields = normalizeFields(record.fields) || [];
+    } else {
+      const meta = {};
+      Object.entries(fieldLabels || {}).forEach(([key, label]) => {
+        meta[key] = { label };
+      });
+      const values = { ...(record.fields && typeof record.fields === 'object' ? record.fields : {}) };
+      // Fields dropped by redaction were only listed in redactedFields
+      Object.keys(redactedFields || {}).forEach(key => {
+        if (!(key in values)) values[key] = null;
+      });
+      fields = buildFields(values, meta, redactedFields || {});
+    }
+
+    return { ...rest, version: CURRENT_VERSION, fields };
+  }
+
+  /**
+   * The field list of a record of any version
+   */
+  function getFields(submission) {
+    if (!submission) return [];
+    if (Array.isArray(submission.fields) && submission.version >= CURRENT_VERSION) {
+      return submission.fields;
+    }
+    return migrateSubmission(submission).fields || [];
+  }
+
+  /**
+   * Human name of a field
+   */
+  function getFieldLabel(field) {
+    return field.label || field.name;
+  }
+
+  /**
+   * Flat raw name -> value map, for comparing, refilling and editing
+   */
+  function getFieldValues(submission) {
+    const values = {};
+    getFields(submission).forEach(field => {
+      values[field.name] = field.value;
+    });
+    return values;
+  }
+
+  /**
+   * Flat label -> value map, for summaries meant to be read (labels fall back to the raw name)
+   */
+  function getLabelledValues(submission) {
+    const values = {};
+    getFields(submission).forEach(field => {
+      const label = getFieldLabel(field);
+      values[Object.prototype.hasOwnProperty.call(values, label) ? field.name : label] = field.value;
+    });
+    return values;
+  }
+
+  /**
+   * Apply a raw name -> value map from the editor to a field list
+   * Fields that remain keep their metadata; a changed value is no longer flagged as redacted
+   */
+  function applyFieldValues(fields, values) {
+    const byName = new Map((fields || []).map(field => [field.name, field]));
+
+    return Object.entries(values || {}).map(([name, value], order) => {
+      const existing = byName.get(name);
+      if (!existing) {
+        return createField({ name, value }, order);
+      }
+
+      const updated = { ...existing, value, order };
+      if (JSON.stringify(existing.value) !== JSON.stringify(value)) {
+        delete updated.redacted;
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Clean a tag list, or comma-separated text from an input
+   * Whitespace is collapsed and repeats are dropped ignoring case; the first spelling is kept
+   */
+  function normalizeTags(tags) {
+    const items = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    const result = [];
+
+    items.forEach(item => {
+      if (typeof item !== 'string') return;
+      const tag = item.replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+      if (!tag || seen.has(tag.toLowerCase()) || result.length >= MAX_TAGS) return;
+      seen.add(tag.toLowerCase());
+      result.push(tag);
+    });
+
+    return result;
+  }
+
+  /**
+   * Check whether a submission has a tag (ignoring case)
+   */
+  function hasTag(submission, tag) {
+    const wanted = String(tag).toLowerCase();
+    return Array.isArray(submission.tags) && submission.tags.some(item => item.toLowerCase() === wanted);
+  }
+
+  return {
+    CURRENT_VERSION,
+    buildFields,
+    normalizeFields,
+    migrateSubmission,
+    getFields,
+    getFieldLabel,
+    getFieldValues,
+    getLabelledValues,
+    applyFieldValues,
+    normalizeTags,
+    hasTag
+  };
+})();
@@ -0,0 +1,221 @@
+// Provider adapters in email.js against a local mock server
+// Run with `node --test tests/` (Node 18+, no dependencies)
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// email.js is a classic script that declares a global const
+const FormTrackEmail = vm.runInThisContext(
+  `${fs.readFileSync(path.join(__dirname, '..', 'email.js'), 'utf8')}\nFormTrackEmail`
+);
+
+const EMAIL = { to: 'me@example.com', subject: 'New submission', html: '<p>Hi</p>', idempotencyKey: 'key-1' };
+
+let server;
+let baseUrl;
+let requests;
+let reply;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(reply.status, reply.headers);
+      res.end(reply.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(t => {
+  requests = [];
+  reply = { status: 200, headers: { 'Content-Type': 'application/json' }, body: '{"id":"sent-1"}' };
+  // Failed sends are logged
+  t.mock.method(console, 'error', () => {});
+});
+
+function send(settings, email = EMAIL) {
+  return FormTrackEmail.sendEmail(settings, email, { baseUrl });
+}
+
+const PROVIDERS = {
+  resend: {
+    settings: { emailProvider: 'resend', resendApiKey: 're_test' },
+    check(request) {
+      assert.equal(request.url, '/emails');
+      assert.equal(request.headers.authorization, 'Bearer re_test');
+      assert.equal(request.headers['idempotency-key'], 'key-1');
+      assert.equal(request.headers['content-type'], 'application/json');
+      assert.deepEqual(JSON.parse(request.body), {
+        from: 'onboarding@resend.dev', to: 'me@example.com', subject: 'New submission', html: '<p>Hi</p>'
+      });
+    },
+    errorBody: { message: 'Invalid API key' },
+    error: 'Resend: Invalid API key'
+  },
+
+  sendgrid: {
+    settings: { emailProvider: 'sendgrid', sendgridApiKey: 'SG.test', emailFrom: 'forms@example.com' },
+    check(request) {
+      assert.equal(request.url, '/v3/mail/send');
+      assert.equal(request.headers.authorization, 'Bearer SG.test');
+      assert.deepEqual(JSON.parse(request.body), {
+        personalizations: [{ to: [{ email: 'me@example.com' }] }],
+        from: { email: 'forms@example.com' },
+        subject: 'New submission',
+        content: [{ type: 'text/html', value: '<p>Hi</p>' }]
+      });
+    },
+    errorBody: { errors: [{ message: 'does not match a verified Sender Identity', field: 'from' }] },
+    error: 'SendGrid: from: does not match a verified Sender Identity'
+  },
+
+  mailgun: {
+    settings: { emailProvider: 'mailgun', mailgunApiKey: 'key-test', mailgunDomain: 'mg.example.com' },
+    check(request) {
+      assert.equal(request.url, '/v3/mg.example.com/messages');
+      assert.equal(request.headers.authorization, `Basic ${Buffer.from('api:key-test').toString('base64')}`);
+      assert.match(request.headers['content-type'], /^application\/x-www-form-urlencoded/);
+      assert.deepEqual(Object.fromEntries(new URLSearchParams(request.body)), {
+        from: 'FormTrack <formtrack@mg.example.com>', to: 'me@example.com', subject: 'New submission', html: '<p>Hi</p>'
+      });
+    },
+    errorBody: { message: 'Domain not found' },
+    error: 'Mailgun: Domain not found'
+  },
+
+  postmark: {
+    settings: { emailProvider: 'postmark', postmarkServerToken: 'pm-test', emailFrom: 'forms@example.com' },
+    check(request) {
+      assert.equal(request.url, '/email');
+      assert.equal(request.headers['x-postmark-server-token'], 'pm-test');
+      assert.deepEqual(JSON.parse(request.body), {
+        From: 'forms@example.com',
+        To: 'me@example.com',
+        Subject: 'New submission',
+        HtmlBody: '<p>Hi</p>',
+        MessageStream: 'outbound'
+      });
+    },
+    errorBody: { ErrorCode: 300, Message: 'Invalid email request' },
+    error: 'Postmark: Invalid email request (error 300)'
+  },
+
+  relay: {
+    // Matches the mock server, which is allowed over http since it is local
+    settings: { emailProvider: 'relay', relayUrl: 'http://127.0.0.1/send', relayToken: 'relay-test' },
+    check(request) {
+      assert.equal(request.url, '/');
+      assert.equal(request.headers.authorization, 'Bearer relay-test');
+      assert.equal(request.headers['idempotency-key'], 'key-1');
+      assert.deepEqual(JSON.parse(request.body), {
+        from: null, to: 'me@example.com', subject: 'New submission', html: '<p>Hi</p>', idempotencyKey: 'key-1'
+      });
+    },
+    errorBody: { error: { message: 'Recipient rejected' } },
+    error: 'HTTP relay: Recipient rejected'
+  }
+};
+
+for (const [name, provider] of Object.entries(PROVIDERS)) {
+  test(`${name}: sends the provider's request`, async () => {
+    const result = await send(provider.settings);
+
+    assert.deepEqual(result, { success: true, data: { id: 'sent-1' } });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, 'POST');
+    provider.check(requests[0]);
+  });
+
+  test(`${name}: maps a 4xx error and does not retry it`, async () => {
+    reply = { status: 422, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(provider.errorBody) };
+    const result = await send(provider.settings);
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 422);
+    assert.equal(result.error, provider.error);
+    assert.equal(result.retryable, false);
+    assert.equal(result.retryAfter, null);
+  });
+
+  test(`${name}: retries a 429 after the Retry-After seconds`, async () => {
+    reply = { status: 429, headers: { 'Retry-After': '30' }, body: '' };
+    const result = await send(provider.settings);
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 429);
+    assert.equal(result.error, `${FormTrackEmail.PROVIDERS[name].label}: HTTP 429`);
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfter, 30);
+  });
+
+  test(`${name}: retries a 5xx`, async () => {
+    reply = { status: 503, headers: { 'Content-Type': 'text/plain' }, body: 'Service Unavailable' };
+    const result = await send(provider.settings);
+
+    assert.equal(result.error, `${FormTrackEmail.PROVIDERS[name].label}: Service Unavailable`);
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfter, null);
+  });
+}
+
+test('Retry-After as an HTTP date is converted to seconds from now', async () => {
+  const retryAt = new Date(Date.now() + 120 * 1000).toUTCString();
+  reply = { status: 503, headers: { 'Retry-After': retryAt }, body: '' };
+  const result = await send(PROVIDERS.resend.settings);
+
+  // toUTCString drops the milliseconds
+  assert.ok(result.retryAfter >= 118 && result.retryAfter <= 120, `retryAfter was ${result.retryAfter}`);
+});
+
+test('Retry-After in the past or unreadable', async () => {
+  reply = { status: 429, headers: { 'Retry-After': new Date(Date.now() - 60 * 1000).toUTCString() }, body: '' };
+  assert.equal((await send(PROVIDERS.resend.settings)).retryAfter, 0);
+
+  reply = { status: 429, headers: { 'Retry-After': 'soon' }, body: '' };
+  assert.equal((await send(PROVIDERS.resend.settings)).retryAfter, null);
+});
+
+test('Resend and the relay retry a 409 (same idempotency key still in progress)', async () => {
+  reply = { status: 409, headers: { 'Content-Type': 'application/json' }, body: '{"message":"In progress"}' };
+
+  assert.equal((await send(PROVIDERS.resend.settings)).retryable, true);
+  assert.equal((await send(PROVIDERS.relay.settings)).retryable, true);
+  assert.equal((await send(PROVIDERS.sendgrid.settings)).retryable, false);
+});
+
+test('missing settings are reported without a request', async () => {
+  const result = await send({ emailProvider: 'sendgrid', sendgridApiKey: 'SG.test' });
+
+  assert.deepEqual(result, { success: false, error: 'Missing "from" email address', retryable: false });
+  assert.equal(requests.length, 0);
+});
+
+test('relay URLs must be https unless they are local', async () => {
+  assert.equal(FormTrackEmail.isAllowedRelayUrl('https://relay.example.com/send'), true);
+  assert.equal(FormTrackEmail.isAllowedRelayUrl('http://localhost:8025'), true);
+  assert.equal(FormTrackEmail.isAllowedRelayUrl('http://127.0.0.1:8025'), true);
+  assert.equal(FormTrackEmail.isAllowedRelayUrl('http://relay.example.com/send'), false);
+  assert.equal(FormTrackEmail.isAllowedRelayUrl('not a url'), false);
+
+  const result = await send({ emailProvider: 'relay', relayUrl: 'http://relay.example.com/send' });
+  assert.deepEqual(result, { success: false, error: 'Missing https relay URL', retryable: false });
+  assert.equal(requests.length, 0);
+});
+
+test('a network failure is retried', async () => {
+  const result = await FormTrackEmail.sendEmail(PROVIDERS.resend.settings, EMAIL, { baseUrl: 'http://127.0.0.1:1' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, true);
+});
@@ -0,0 +1,291 @@
+// FormTrack Vault
+// Passphrase encryption for submissions and API keys (WebCrypto), used by the background service worker.
+// The passphrase derives an AES-GCM key with PBKDF2. An ECDH key pair lets captures be sealed
+// while the vault is locked; only the passphrase can open them again.
+
+const FormTrackVault = (function() {
+  'use strict';
+
+  const VERSION = 1;
+  const PBKDF2_ITERATIONS = 310000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+  const VERIFIER_TEXT = 'formtrack-vault';
+  const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+  // Same message the background worker reports for any operation that needs the key
+  const LOCKED_ERROR = 'Vault is locked';
+
+  // Submission properties that are encrypted; id, timestamp, domain, source and formFingerprint stay readable for the indexes
+  // (and `pinned`, so retention rules can run while locked)
+  // fieldLabels and redactedFields only exist on records saved before the v2 format (schema.js)
+  const ENCRYPTED_SUBMISSION_FIELDS = ['url', 'pageUrl', 'action', 'title', 'fields', 'tags', 'notes', 'redactedFields', 'fieldLabels'];
+
+  // Draft properties that are encrypted; fingerprint, formKey, pageKey and the dates stay readable to find and expire drafts
+  const ENCRYPTED_DRAFT_FIELDS = ['url', 'title', 'fields'];
+
+  // Settings that are encrypted: the email providers' keys and tokens (see email.js) and the Gemini key
+  const SECRET_SETTINGS = ['resendApiKey', 'sendgridApiKey', 'mailgunApiKey', 'postmarkServerToken', 'relayToken', 'geminiApiKey'];
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  /**
+   * Derive the raw 256-bit vault key from a passphrase
+   */
+  async function deriveKeyBytes(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+
+  function importAesKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async function encryptBytes(key, bytes) {
+    const iv = randomBytes(IV_BYTES);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  function decryptBytes(key, payload) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  }
+
+  /**
+   * Encrypt any JSON-serializable value to { iv, data }
+   */
+  function encryptJson(key, value) {
+    return encryptBytes(key, encoder.encode(JSON.stringify(value)));
+  }
+
+  async function decryptJson(key, payload) {
+    return JSON.parse(decoder.decode(await decryptBytes(key, payload)));
+  }
+
+  /**
+   * Create a new vault
+   * Resolves to { header, keyBytes } - the header is stored, the key bytes are kept in memory only
+   */
+  async function createVault(passphrase) {
+    const salt = randomBytes(SALT_BYTES);
+    const keyBytes = await deriveKeyBytes(passphrase, salt, PBKDF2_ITERATIONS);
+    const key = await importAesKey(keyBytes);
+
+    const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+    const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    const privateKey = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+
+    const header = {
+      version: VERSION,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encryptBytes(key, encoder.encode(VERIFIER_TEXT)),
+      publicKey,
+      privateKey: await encryptBytes(key, privateKey)
+    };
+
+    return { header, keyBytes };
+  }
+
+  /**
+   * Derive and check the key for a passphrase, rejecting with 'Incorrect passphrase'
+   */
+  async function unlockVault(header, passphrase) {
+    const keyBytes = await deriveKeyBytes(passphrase, fromBase64(header.salt), header.iterations);
+    try {
+      const verifier = await decryptBytes(await importAesKey(keyBytes), header.verifier);
+      if (decoder.decode(verifier) !== VERIFIER_TEXT) {
+        throw new Error('Verifier mismatch');
+      }
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+    return keyBytes;
+  }
+
+  /**
+   * Turn key bytes into the keys used while unlocked: { key, privateKey }
+   */
+  async function openVault(header, keyBytes) {
+    const key = await importAesKey(keyBytes);
+    const privateKeyBytes = await decryptBytes(key, header.privateKey);
+    const privateKey = await crypto.subtle.importKey('pkcs8', privateKeyBytes, ECDH_PARAMS, false, ['deriveKey']);
+    return { key, privateKey };
+  }
+
+  function deriveSealKey(privateKey, publicKey) {
+    return crypto.subtle.deriveKey(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt a value with only the vault's public key (works while locked)
+   */
+  async function seal(header, value) {
+    const vaultPublicKey = await crypto.subtle.importKey('jwk', header.publicKey, ECDH_PARAMS, false, []);
+    const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+    const key = await deriveSealKey(ephemeral.privateKey, vaultPublicKey);
+
+    return {
+      epk: await crypto.subtle.exportKey('jwk', ephemeral.publicKey),
+      ...(await encryptJson(key, value))
+    };
+  }
+
+  /**
+   * Open a sealed value with the unlocked vault's private key
+   */
+  async function unseal(privateKey, sealed) {
+    const ephemeralPublicKey = await crypto.subtle.importKey('jwk', sealed.epk, ECDH_PARAMS, false, []);
+    const key = await deriveSealKey(privateKey, ephemeralPublicKey);
+    return decryptJson(key, sealed);
+  }
+
+  /**
+   * Move the sensitive properties of a stored record into `encrypted`
+   */
+  async function encryptRecord(key, record) {
+    const secret = {};
+    const stored = { ...record };
+    ENCRYPTED_SUBMISSION_FIELDS.forEach(field => {
+      if (record[field] !== undefined) {
+        secret[field] = record[field];
+      }
+      delete stored[field];
+    });
+    stored.encrypted = await encryptJson(key, secret);
+    return stored;
+  }
+
+  async function decryptRecord(key, stored) {
+    const { encrypted, ...record } = stored;
+    return { ...record, ...(await decryptJson(key, encrypted)) };
+  }
+
+  /**
+   * Move a draft's answers into `encrypted` with the vault key, or - while locked, with `key`
+   * null - into `sealed` with only the public key
+   */
+  async function encryptDraft(header, key, draft) {
+    const secret = {};
+    const stored = { ...draft };
+    ENCRYPTED_DRAFT_FIELDS.forEach(field => {
+      if (draft[field] !== undefined) {
+        secret[field] = draft[field];
+      }
+      delete stored[field];
+    });
+    if (key) {
+      stored.encrypted = await encryptJson(key, secret);
+    } else {
+      stored.sealed = await seal(header, secret);
+    }
+    return stored;
+  }
+
+  /**
+   * Open an encrypted or sealed draft with the unlocked vault's { key, privateKey }
+   */
+  async function decryptDraft(session, stored) {
+    const { encrypted, sealed, ...draft } = stored;
+    const secret = encrypted
+      ? await decryptJson(session.key, encrypted)
+      : await unseal(session.privateKey, sealed);
+    return { ...draft, ...secret };
+  }
+
+  /**
+   * Move secret settings into `encryptedSecrets`
+   */
+  async function encryptSettings(key, settings) {
+    const secrets = {};
+    const stored = { ...settings };
+    SECRET_SETTINGS.forEach(name => {
+      if (settings[name]) {
+        secrets[name] = settings[name];
+      }
+      delete stored[name];
+    });
+    stored.encryptedSecrets = await encryptJson(key, secrets);
+    return stored;
+  }
+
+  async function decryptSettings(key, stored) {
+    const { encryptedSecrets, ...settings } = stored;
+    return encryptedSecrets ? { ...settings, ...(await decryptJson(key, encryptedSecrets)) } : settings;
+  }
+
+  /**
+   * Encrypt the redaction secret (the key for the "hash" policy), kept as { encrypted }
+   */
+  async function encryptRedactionKey(key, secret) {
+    return { encrypted: await encryptJson(key, secret) };
+  }
+
+  function decryptRedactionKey(key, stored) {
+    return decryptJson(key, stored.encrypted);
+  }
+
+  /**
+   * Settings without their secrets, for use while locked
+   */
+  function stripSecrets(settings) {
+    const { encryptedSecrets, ...rest } = settings;
+    SECRET_SETTINGS.forEach(name => delete rest[name]);
+    return rest;
+  }
+
+  return {
+    LOCKED_ERROR,
+    SECRET_SETTINGS,
+    toBase64,
+    fromBase64,
+    createVault,
+    unlockVault,
+    openVault,
+    seal,
+    unseal,
+    encryptRecord,
+    decryptRecord,
+    encryptDraft,
+    decryptDraft,
+    encryptSettings,
+    decryptSettings,
+    encryptRedactionKey,
+    decryptRedactionKey,
+    stripSecrets
+  };
+})();